@@ -0,0 +1,125 @@
+import React, { useState, useMemo } from 'react';
+import { maxAffordablePrice, qualifyAt } from './affordability.js';
+
+const NumberField = ({ label, value, onChange, step = 1, min = 0, max }) => (
+  <div>
+    <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Math.max(min, parseFloat(e.target.value) || 0))}
+      className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+    />
+  </div>
+);
+
+const money = (value) => `$${Math.round(value).toLocaleString()}`;
+const percent = (value) => Number.isFinite(value) ? `${value.toFixed(1)}%` : '—';
+
+const bindingLabels = {
+  'front-end': 'Front-end DTI',
+  'back-end': 'Back-end DTI',
+  cash: 'Cash for down payment',
+  income: 'Debts already exceed the limit'
+};
+
+export default function Affordability({ scenarios, housePrice, downPaymentPercent, costs, pmi }) {
+  const [borrower, setBorrower] = useState({
+    monthlyIncome: 8000,
+    monthlyDebts: 500,
+    frontEndLimit: 28,
+    backEndLimit: 36,
+    downPaymentAvailable: Math.round((downPaymentPercent / 100) * housePrice)
+  });
+
+  const update = (field) => (value) => setBorrower({ ...borrower, [field]: value });
+
+  const rows = useMemo(() => {
+    const assumptions = { ...borrower, ...costs, pmi };
+    return scenarios.map(scenario => ({
+      scenario,
+      max: maxAffordablePrice(scenario, assumptions),
+      current: qualifyAt(scenario, housePrice, assumptions)
+    }));
+  }, [scenarios, borrower, costs, pmi, housePrice]);
+
+  const housingBudget = Math.min(
+    (borrower.frontEndLimit / 100) * borrower.monthlyIncome,
+    (borrower.backEndLimit / 100) * borrower.monthlyIncome - borrower.monthlyDebts
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">Affordability</h2>
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+          <NumberField label="Gross monthly income ($)" value={borrower.monthlyIncome} step={100} onChange={update('monthlyIncome')} />
+          <NumberField label="Monthly debts ($)" value={borrower.monthlyDebts} step={50} onChange={update('monthlyDebts')} />
+          <NumberField label="Front-end DTI limit (%)" value={borrower.frontEndLimit} max={100} step={0.5} onChange={update('frontEndLimit')} />
+          <NumberField label="Back-end DTI limit (%)" value={borrower.backEndLimit} max={100} step={0.5} onChange={update('backEndLimit')} />
+          <NumberField label="Down payment available ($)" value={borrower.downPaymentAvailable} step={1000} onChange={update('downPaymentAvailable')} />
+        </div>
+        <p className="text-sm text-slate-600 mt-4">
+          Maximum housing payment: <span className="font-semibold text-slate-900">{money(Math.max(0, housingBudget))}/month</span>, the lower of
+          {' '}{borrower.frontEndLimit}% of income and {borrower.backEndLimit}% of income less debts.
+          Property tax, insurance, HOA and PMI use the settings above.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">Maximum Price by Scenario</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="text-left py-3 px-4 font-semibold text-slate-700">Scenario</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Max House Price</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Max Loan</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Payment at Max</th>
+                <th className="text-left py-3 px-4 font-semibold text-slate-700">Limited By</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">DTI at {money(housePrice)}</th>
+                <th className="text-center py-3 px-4 font-semibold text-slate-700">Fits {money(housePrice)}?</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(({ scenario, max, current }) => (
+                <tr key={scenario.id} className="border-b border-slate-200 hover:bg-slate-50">
+                  <td className="py-3 px-4">
+                    <div className="flex items-center gap-2">
+                      <div className="w-3 h-3 rounded-full" style={{ backgroundColor: scenario.color }} />
+                      <span className="font-medium">{scenario.name}</span>
+                    </div>
+                  </td>
+                  <td className="text-right py-3 px-4 font-semibold">{max.fits ? money(max.housePrice) : '—'}</td>
+                  <td className="text-right py-3 px-4">{max.fits ? money(max.loanAmount) : '—'}</td>
+                  <td className="text-right py-3 px-4">{max.fits ? money(max.housingPayment) : '—'}</td>
+                  <td className="py-3 px-4 text-slate-600">{bindingLabels[max.bindingLimit]}</td>
+                  <td className="text-right py-3 px-4">
+                    {percent(current.frontEndRatio)} / {percent(current.backEndRatio)}
+                    <div className="text-xs text-slate-500">{money(current.housingPayment)}/mo</div>
+                  </td>
+                  <td className="text-center py-3 px-4">
+                    {current.fits ? (
+                      <span className="px-2 py-1 rounded bg-green-100 text-green-700 font-medium">Fits</span>
+                    ) : (
+                      <span className="px-2 py-1 rounded bg-red-100 text-red-700 font-medium">
+                        {current.withinCash ? 'Exceeds DTI' : 'Needs more cash'}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">
+          Qualifying uses the first month's P&I, tax, insurance, HOA and PMI. Scenarios with their own down payment percentage put that
+          much down and must not need more cash than is available; the others put all available cash down.
+        </p>
+      </div>
+    </div>
+  );
+}
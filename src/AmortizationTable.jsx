@@ -0,0 +1,159 @@
+import React, { useState, useMemo } from 'react';
+import { generateMonthlySchedule, generateAmortizationSchedule, paymentMonth, formatPaymentMonth, paymentDate, formatPaymentDate } from './mortgageMath.js';
+
+// A 50-year loan has 600 payments, so the monthly view is paged five years at a time
+const MONTHS_PER_PAGE = 60;
+
+const money = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+export default function AmortizationTable({ result, firstPaymentMonth, paymentDay = 1 }) {
+  const [grouping, setGrouping] = useState('year');
+  const [page, setPage] = useState(0);
+  const [jumpYear, setJumpYear] = useState('');
+
+  const monthly = useMemo(() => generateMonthlySchedule(result), [result]);
+  const yearly = useMemo(() => generateAmortizationSchedule(result), [result]);
+  const lastRow = monthly[monthly.length - 1];
+  const balloon = lastRow ? lastRow.balloon : 0;
+
+  const pageCount = grouping === 'month' ? Math.ceil(monthly.length / MONTHS_PER_PAGE) : 1;
+  const currentPage = Math.min(page, pageCount - 1);
+  const visibleMonths = monthly.slice(currentPage * MONTHS_PER_PAGE, (currentPage + 1) * MONTHS_PER_PAGE);
+  const highlightYear = Number(jumpYear) || null;
+
+  const jumpToYear = () => {
+    const year = Math.min(Math.max(1, Math.floor(Number(jumpYear)) || 1), yearly.length);
+    setJumpYear(String(year));
+    setGrouping('month');
+    setPage(Math.floor(((year - 1) * 12) / MONTHS_PER_PAGE));
+  };
+
+  const dateLabel = (paymentNumber) => formatPaymentMonth(paymentMonth(firstPaymentMonth, paymentNumber));
+  const dueDate = (paymentNumber) => formatPaymentDate(paymentDate(firstPaymentMonth, paymentDay, paymentNumber));
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex gap-1">
+          {['year', 'month'].map(option => (
+            <button
+              key={option}
+              onClick={() => setGrouping(option)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium ${
+                grouping === option ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+              }`}
+            >
+              {option === 'year' ? 'Yearly' : 'Monthly'}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center gap-2 text-sm">
+          <label className="text-slate-700">Jump to year</label>
+          <input
+            type="number"
+            min="1"
+            max={yearly.length}
+            value={jumpYear}
+            onChange={(e) => setJumpYear(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && jumpToYear()}
+            className="w-20 px-2 py-1 rounded-lg border border-slate-300"
+          />
+          <button onClick={jumpToYear} className="px-3 py-1 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200">Go</button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-100">
+            {grouping === 'year' ? (
+              <tr>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Year</th>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Payments</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Total Paid</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Interest</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Principal</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Extra</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Balance</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Cumulative Interest</th>
+              </tr>
+            ) : (
+              <tr>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">#</th>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Due Date</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Payment</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Interest</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Principal</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Extra</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Balance</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Cumulative Interest</th>
+              </tr>
+            )}
+          </thead>
+          <tbody>
+            {grouping === 'year' ? yearly.map(s => {
+              const firstPayment = (s.year - 1) * 12 + 1;
+              const lastPayment = Math.min(s.year * 12, monthly.length);
+              return (
+                <tr key={s.year} className={`border-b border-slate-200 ${highlightYear === s.year ? 'bg-blue-50' : ''}`}>
+                  <td className="py-2 px-3">{s.year}</td>
+                  <td className="py-2 px-3 text-slate-600">{dateLabel(firstPayment)} – {dateLabel(lastPayment)}</td>
+                  <td className="text-right py-2 px-3">{money(s.totalPaid)}</td>
+                  <td className="text-right py-2 px-3 text-red-600">{money(s.interestPaid)}</td>
+                  <td className="text-right py-2 px-3 text-green-600">{money(s.principalPaid - s.extraPaid)}</td>
+                  <td className="text-right py-2 px-3">{money(s.extraPaid)}</td>
+                  <td className="text-right py-2 px-3 font-semibold">{money(s.balance)}</td>
+                  <td className="text-right py-2 px-3">{money(s.cumulativeInterest)}</td>
+                </tr>
+              );
+            }) : visibleMonths.map(row => (
+              <tr
+                key={row.paymentNumber}
+                className={`border-b border-slate-200 ${highlightYear === Math.ceil(row.paymentNumber / 12) ? 'bg-blue-50' : ''}`}
+              >
+                <td className="py-2 px-3">{row.paymentNumber}</td>
+                <td className="py-2 px-3 text-slate-600">{dueDate(row.paymentNumber)}</td>
+                <td className="text-right py-2 px-3">{money(row.payment)}</td>
+                <td className="text-right py-2 px-3 text-red-600">{money(row.interest)}</td>
+                <td className="text-right py-2 px-3 text-green-600">{money(row.principal)}</td>
+                <td className="text-right py-2 px-3">{money(row.extra)}</td>
+                <td className="text-right py-2 px-3 font-semibold">{money(row.balance)}</td>
+                <td className="text-right py-2 px-3">{money(row.cumulativeInterest)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mt-3 text-sm text-slate-500">
+        <p>
+          {monthly.length} payments over {yearly.length} years, {dueDate(1)} – {dueDate(monthly.length)}
+          {balloon > 0 && <span className="text-red-600">; the last payment includes a {money(balloon)} balloon</span>}
+          {result.roundToCents && balloon === 0 && lastRow && (
+            <span>; the final payment of {money(lastRow.payment)} trues up the rounding</span>
+          )}
+        </p>
+        {grouping === 'month' && pageCount > 1 && (
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(currentPage - 1)}
+              disabled={currentPage === 0}
+              className="px-3 py-1 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-40"
+            >
+              Previous
+            </button>
+            <span>
+              Payments {currentPage * MONTHS_PER_PAGE + 1}–{Math.min((currentPage + 1) * MONTHS_PER_PAGE, monthly.length)} (page {currentPage + 1} of {pageCount})
+            </span>
+            <button
+              onClick={() => setPage(currentPage + 1)}
+              disabled={currentPage >= pageCount - 1}
+              className="px-3 py-1 rounded-lg bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-40"
+            >
+              Next
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import React from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { paymentMonth, formatPaymentMonth } from './mortgageMath.js';
+
+const money = (value) => `$${Math.round(Math.abs(value)).toLocaleString()}`;
+const signedMoney = (value) => `${Math.round(value) > 0 ? '+' : Math.round(value) < 0 ? '-' : ''}${money(value)}`;
+
+// Green where the scenario comes out ahead of the baseline, red where it falls behind
+const tone = (value, betterWhenLower = true) => {
+  if (Math.round(value) === 0) return 'text-slate-500';
+  return (value < 0) === betterWhenLower ? 'text-green-600' : 'text-red-600';
+};
+
+// A figure's difference from the baseline, as a line under the figure in a table cell
+export const BaselineDelta = ({ value, betterWhenLower = true }) => (
+  <div className={`text-xs font-normal ${tone(value, betterWhenLower)}`}>{signedMoney(value)} vs baseline</div>
+);
+
+export const PayoffDelta = ({ yearsSaved }) => (
+  <div className={`text-xs font-normal ${tone(yearsSaved, false)}`}>
+    {Math.abs(yearsSaved) < 0.005
+      ? 'same payoff as baseline'
+      : `${Number(Math.abs(yearsSaved).toFixed(2))}yr ${yearsSaved > 0 ? 'sooner' : 'later'} than baseline`}
+  </div>
+);
+
+// The month a scenario's cumulative cost passes the baseline's, if it ever does
+export const Crossover = ({ month, firstPaymentMonth }) => month === null ? 'never' : (
+  <>
+    {formatPaymentMonth(paymentMonth(firstPaymentMonth, month))}
+    <div className="text-xs text-slate-500">payment {month} (yr {Math.ceil(month / 12)})</div>
+  </>
+);
+
+// Tooltip text for a rounded dollar figure, followed by its difference from the baseline's figure
+export const withBaselineDelta = (value, baselineValue) => baselineValue == null || value === baselineValue
+  ? `$${value.toLocaleString()}`
+  : `$${value.toLocaleString()} (${signedMoney(value - baselineValue)} vs baseline)`;
+
+// Year-by-year difference from the baseline for every other scenario, drawn against a zero line
+// that stands for the baseline itself. Responsive on screen; the printed report passes a width.
+const DifferenceChart = ({ baseline, comparisons, valueAt, highlightedScenario, width }) => {
+  const others = comparisons.filter(comparison => comparison.result.id !== baseline.id);
+  const years = Math.max(0, ...others.map(comparison => comparison.equityGap.length - 1));
+  const data = [];
+  for (let year = 0; year <= years; year++) {
+    const point = { year };
+    others.forEach(comparison => {
+      point[comparison.result.name] = Math.round(valueAt(comparison, year));
+    });
+    data.push(point);
+  }
+
+  const chart = (
+    <LineChart data={data}>
+      <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+      <XAxis dataKey="year" label={{ value: 'Years', position: 'insideBottom', offset: -5, fill: '#64748b' }} tick={{ fill: '#64748b', fontSize: 12 }} />
+      <YAxis tickFormatter={(value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value) / 1000)}k`} tick={{ fill: '#64748b', fontSize: 12 }} />
+      {!width && (
+        <Tooltip
+          contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+          formatter={(value) => `${signedMoney(value)} vs baseline`}
+        />
+      )}
+      <Legend />
+      <ReferenceLine y={0} stroke={baseline.color} strokeDasharray="4 4" label={{ value: baseline.name, position: 'insideTopLeft', fill: '#64748b', fontSize: 11 }} />
+      {others.map(({ result }) => (
+        <Line
+          key={result.id}
+          type="monotone"
+          dataKey={result.name}
+          stroke={result.color}
+          strokeWidth={highlightedScenario === result.id ? 4 : 2}
+          dot={false}
+          isAnimationActive={!width}
+          opacity={highlightedScenario && highlightedScenario !== result.id ? 0.3 : 1}
+        />
+      ))}
+    </LineChart>
+  );
+  return width
+    ? React.cloneElement(chart, { width, height: 300 })
+    : <ResponsiveContainer width="100%" height={350}>{chart}</ResponsiveContainer>;
+};
+
+// Cumulative cost less the baseline's: below zero, the scenario has cost less so far
+export const CostDifferenceChart = (props) => (
+  <DifferenceChart {...props} valueAt={({ costDifference }, year) => costDifference[Math.min(year * 12, costDifference.length - 1)]} />
+);
+
+// Market-value equity less the baseline's: above zero, the scenario owns more of the home
+export const EquityGapChart = (props) => (
+  <DifferenceChart {...props} valueAt={({ equityGap }, year) => equityGap[Math.min(year, equityGap.length - 1)]} />
+);
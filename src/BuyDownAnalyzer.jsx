@@ -0,0 +1,201 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { analyzeBuyDown } from './buyDown.js';
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value)).toLocaleString()}`;
+
+const monthsLabel = (months) => months >= 12
+  ? `${Math.floor(months / 12)}y ${months % 12}m`
+  : `${months}m`;
+
+// Paid points are earned back; a credit (or a loan that starts even) falls behind on a higher rate
+const crossoverLabel = (buyDown) => {
+  if (!buyDown.startsAhead) return 'Pays back';
+  return buyDown.extraUpfront < 0 ? 'Credit used up' : 'Falls behind';
+};
+
+export default function BuyDownAnalyzer({ results, pmi }) {
+  const [baselineId, setBaselineId] = useState(null);
+
+  // Default to the scenario with the least paid upfront, which is usually the par-rate loan
+  const defaultBaseline = results.reduce((min, r) => r.upfrontCosts < min.upfrontCosts ? r : min, results[0]);
+  const baseline = results.find(r => r.id === baselineId) || defaultBaseline;
+  const options = results.filter(r => r.id !== baseline.id);
+
+  const comparisons = useMemo(
+    () => options.map(option => ({ option, buyDown: analyzeBuyDown(option, baseline, pmi) })),
+    [results, baseline, pmi]
+  );
+
+  const chartData = useMemo(() => {
+    const years = Math.ceil(Math.max(0, ...comparisons.map(c => c.buyDown.timeline.length - 1)) / 12);
+    const data = [];
+    for (let year = 0; year <= years; year++) {
+      const point = { year };
+      comparisons.forEach(({ option, buyDown }) => {
+        const row = buyDown.timeline[Math.min(year * 12, buyDown.timeline.length - 1)];
+        point[option.name] = Math.round(row.netSavings);
+      });
+      data.push(point);
+    }
+    return data;
+  }, [comparisons]);
+
+  const costData = results.map(r => ({
+    name: r.name,
+    'Upfront Costs': Math.round(r.upfrontCosts),
+    'Total Interest': Math.round(r.totalInterest)
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-xl font-semibold text-slate-900">Points, Credits &amp; APR</h2>
+          <label className="flex items-center gap-2 text-sm text-slate-700">
+            Compare against
+            <select
+              value={baseline.id}
+              onChange={(e) => setBaselineId(Number(e.target.value))}
+              className="px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            >
+              {results.map(r => (
+                <option key={r.id} value={r.id}>{r.name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="text-left py-3 px-4 font-semibold text-slate-700">Scenario</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Rate / APR</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Points</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Closing Costs</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Lender Credit</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Net Upfront</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Monthly P&I</th>
+                <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Cost</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(r => (
+                <tr key={r.id} className={`border-b border-slate-200 ${r.id === baseline.id ? 'bg-slate-50' : ''}`}>
+                  <td className="py-3 px-4">
+                    <div className="flex items-center gap-2">
+                      <div className="w-3 h-3 rounded-full" style={{ backgroundColor: r.color }} />
+                      <span className="font-medium">{r.name}</span>
+                      {r.id === baseline.id && <span className="text-xs text-slate-500">(baseline)</span>}
+                    </div>
+                  </td>
+                  <td className="text-right py-3 px-4">
+                    {r.rate}%
+                    <div className="text-xs text-slate-500">APR {r.apr.toFixed(3)}%</div>
+                  </td>
+                  <td className="text-right py-3 px-4">
+                    {money(r.pointsCost)}
+                    {r.points > 0 && <div className="text-xs text-slate-500">{r.points} pts</div>}
+                  </td>
+                  <td className="text-right py-3 px-4">{money(r.closingCosts)}</td>
+                  <td className="text-right py-3 px-4 text-green-600">{r.lenderCredit > 0 ? `-${money(r.lenderCredit)}` : '—'}</td>
+                  <td className="text-right py-3 px-4 font-semibold">{money(r.upfrontCosts)}</td>
+                  <td className="text-right py-3 px-4">{money(r.monthlyPayment)}</td>
+                  <td className="text-right py-3 px-4">{money(r.totalCost)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">
+          APR spreads points and closing costs, net of credits, over the full contractual term along with any PMI. Total cost is every loan payment plus net upfront costs.
+        </p>
+      </div>
+
+      {comparisons.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+          <h2 className="text-xl font-semibold text-slate-900 mb-4">Break-even vs {baseline.name}</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-100">
+                <tr>
+                  <th className="text-left py-3 px-4 font-semibold text-slate-700">Scenario</th>
+                  <th className="text-right py-3 px-4 font-semibold text-slate-700">Extra Upfront</th>
+                  <th className="text-right py-3 px-4 font-semibold text-slate-700">Monthly Savings</th>
+                  <th className="text-right py-3 px-4 font-semibold text-slate-700">Break-even</th>
+                  <th className="text-right py-3 px-4 font-semibold text-slate-700">Interest Saved</th>
+                  <th className="text-right py-3 px-4 font-semibold text-slate-700">Lifetime Net Savings</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparisons.map(({ option, buyDown }) => (
+                  <tr key={option.id} className="border-b border-slate-200">
+                    <td className="py-3 px-4 font-medium" style={{ color: option.color }}>{option.name}</td>
+                    <td className="text-right py-3 px-4">{money(buyDown.extraUpfront)}</td>
+                    <td className={`text-right py-3 px-4 ${buyDown.monthlySavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>{money(buyDown.monthlySavings)}</td>
+                    <td className="text-right py-3 px-4">
+                      {buyDown.crossoverMonth === null
+                        ? (buyDown.startsAhead ? 'Always ahead' : 'Never')
+                        : `${crossoverLabel(buyDown)} in ${monthsLabel(buyDown.crossoverMonth)}`}
+                      {buyDown.simpleBreakEvenMonth && (
+                        <div className="text-xs text-slate-500">Costs ÷ savings: {monthsLabel(buyDown.simpleBreakEvenMonth)}</div>
+                      )}
+                    </td>
+                    <td className={`text-right py-3 px-4 ${buyDown.interestSaved >= 0 ? 'text-green-600' : 'text-red-600'}`}>{money(buyDown.interestSaved)}</td>
+                    <td className={`text-right py-3 px-4 font-semibold ${buyDown.lifetimeSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>{money(buyDown.lifetimeSavings)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-slate-500 mt-2">
+            Break-even counts the down payment, upfront costs, payments made and the balance still owed, so it shows when selling or refinancing stops costing you the points.
+          </p>
+
+          <h3 className="text-lg font-semibold text-slate-900 mt-6 mb-3">Net Savings Over Time</h3>
+          <ResponsiveContainer width="100%" height={380}>
+            <LineChart data={chartData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis
+                dataKey="year"
+                label={{ value: 'Years', position: 'insideBottom', offset: -5, fill: '#64748b' }}
+                tick={{ fill: '#64748b', fontSize: 12 }}
+              />
+              <YAxis tick={{ fill: '#64748b', fontSize: 12 }} />
+              <Tooltip
+                contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+                formatter={(value) => money(value)}
+              />
+              <Legend />
+              <ReferenceLine y={0} stroke="#94a3b8" />
+              {comparisons.map(({ option }) => (
+                <Line key={option.id} type="monotone" dataKey={option.name} stroke={option.color} strokeWidth={2} dot={false} />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">Upfront Costs vs Total Interest</h2>
+        <ResponsiveContainer width="100%" height={350}>
+          <BarChart data={costData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis dataKey="name" tick={{ fill: '#64748b', fontSize: 11 }} angle={-15} textAnchor="end" height={80} />
+            <YAxis tick={{ fill: '#64748b', fontSize: 12 }} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+              formatter={(value) => money(value)}
+            />
+            <Legend />
+            <Bar dataKey="Upfront Costs" stackId="a" fill="#f59e0b" />
+            <Bar dataKey="Total Interest" stackId="a" fill="#ef4444" radius={[8, 8, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+        <p className="text-xs text-slate-500 mt-2">
+          Points only pay off if the loan is kept past break-even; the interest saved over the full term is the most they can return.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React from 'react';
+import { buildWorkbook, sheetsToCsv } from './exportData.js';
+
+// Hand the file to the browser as a download; nothing leaves the page
+export const download = (fileName, data, type) => {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// getSheets builds the export on click, since full monthly schedules are too big to keep around
+export default function ExportButtons({ getSheets, disabled }) {
+  const exportCsv = () => download('mortgage-comparison.csv', sheetsToCsv(getSheets()), 'text/csv;charset=utf-8');
+  const exportXlsx = () => download(
+    'mortgage-comparison.xlsx',
+    buildWorkbook(getSheets()),
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  );
+
+  return (
+    <div className="flex gap-2">
+      <button
+        onClick={exportCsv}
+        disabled={disabled}
+        className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+      >
+        Export CSV
+      </button>
+      <button
+        onClick={exportXlsx}
+        disabled={disabled}
+        className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+      >
+        Export Excel
+      </button>
+    </div>
+  );
+}
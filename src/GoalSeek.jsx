@@ -0,0 +1,155 @@
+import React, { useState, useMemo } from 'react';
+import { goalVariables, goalTargets, solveGoal, applyGoalValue, candidateErrors } from './goalSeek.js';
+import { analyzeScenario, paymentMonth, formatPaymentMonth } from './mortgageMath.js';
+
+// Solutions are rounded the way a person would enter them, in the direction that still meets the target
+const decimals = { rate: 3, term: 0, downPayment: 2, housePrice: 0, extraMonthly: 2, targetYears: 2 };
+
+const roundSolution = (variable, value, up) => {
+  const scale = Math.pow(10, decimals[variable]);
+  return (up ? Math.ceil(value * scale - 1e-6) : Math.floor(value * scale + 1e-6)) / scale;
+};
+
+const metricNames = { monthlyPayment: 'the monthly payment', totalInterest: 'total interest', payoffDate: 'the payoff date' };
+
+const money = (value) => `$${Math.round(value).toLocaleString()}`;
+
+const formatValue = (variable, value) => {
+  switch (variable) {
+    case 'rate':
+      return `${value.toFixed(3)}%`;
+    case 'downPayment':
+      return `${value.toFixed(2)}%`;
+    case 'term':
+    case 'targetYears':
+      return `${Number(value.toFixed(2))} years`;
+    case 'extraMonthly':
+      return `$${value.toFixed(2)}`;
+    default:
+      return money(value);
+  }
+};
+
+export default function GoalSeek({ scenarios, context, onApply }) {
+  const [scenarioId, setScenarioId] = useState(null);
+  const [variable, setVariable] = useState('rate');
+  const [metric, setMetric] = useState('monthlyPayment');
+  const [targets, setTargets] = useState({ monthlyPayment: 1500, totalInterest: 150000, payoffDate: '2045-12' });
+
+  const scenario = scenarios.find(s => s.id === scenarioId) || scenarios[0];
+
+  const goal = useMemo(() => {
+    if (!scenario || !targets[metric]) return null;
+    const solution = solveGoal(variable, { metric, value: targets[metric] }, scenario, context);
+    if (!solution.solved) return solution;
+
+    // Rounding can step onto a value the editor refuses, such as an accelerated payoff equal to the
+    // term; the exact solution is offered instead
+    const value = roundSolution(variable, solution.value, solution.largerMeetsTarget);
+    const applied = applyGoalValue(variable, value, scenario, context);
+    if (candidateErrors(applied.scenario).length > 0) return solution;
+    const result = analyzeScenario(applied.scenario, { ...context, housePrice: applied.housePrice });
+    return { ...solution, ...applied, value, result };
+  }, [scenario, variable, metric, targets, context]);
+
+  const describeMetric = (value) => metric === 'payoffDate'
+    ? formatPaymentMonth(paymentMonth(context.firstPaymentMonth, value))
+    : money(value);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+      <h2 className="text-xl font-semibold text-slate-900 mb-4">Goal Seek</h2>
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">Scenario</label>
+          <select
+            value={scenario ? scenario.id : ''}
+            onChange={(e) => setScenarioId(Number(e.target.value))}
+            className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+          >
+            {scenarios.map(s => (
+              <option key={s.id} value={s.id}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">Solve for</label>
+          <select
+            value={variable}
+            onChange={(e) => setVariable(e.target.value)}
+            className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+          >
+            {Object.entries(goalVariables).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">Target</label>
+          <select
+            value={metric}
+            onChange={(e) => setMetric(e.target.value)}
+            className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+          >
+            {Object.entries(goalTargets).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-slate-700 mb-1">
+            {metric === 'payoffDate' ? 'Final payment month' : 'Target amount ($)'}
+          </label>
+          {metric === 'payoffDate' ? (
+            <input
+              type="month"
+              value={targets.payoffDate}
+              onChange={(e) => setTargets({ ...targets, payoffDate: e.target.value })}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            />
+          ) : (
+            <input
+              type="number"
+              min="0"
+              step={metric === 'monthlyPayment' ? 10 : 1000}
+              value={targets[metric]}
+              onChange={(e) => setTargets({ ...targets, [metric]: Math.max(0, parseFloat(e.target.value) || 0) })}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            />
+          )}
+        </div>
+      </div>
+
+      {goal && (goal.solved ? (
+        <div className="mt-4 p-4 rounded-lg bg-green-50 border border-green-200 text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-slate-900">
+              <span className="font-semibold">{scenario.name}</span> reaches the target with {goalVariables[variable].label.toLowerCase()} of{' '}
+              <span className="font-bold text-green-700">{formatValue(variable, goal.value)}</span>
+            </p>
+            <button
+              onClick={() => candidateErrors(goal.scenario).length === 0 && onApply(goal.scenario, goal.housePrice)}
+              className="px-3 py-2 rounded-lg bg-blue-600 text-white font-medium hover:bg-blue-700"
+            >
+              Apply to {variable === 'housePrice' ? 'house price' : 'scenario'}
+            </button>
+          </div>
+          <p className="text-slate-600 mt-2">
+            Monthly P&I {money(goal.result.monthlyPayment)} · Total interest {money(goal.result.totalInterest)} ·
+            Paid off {formatPaymentMonth(paymentMonth(context.firstPaymentMonth, goal.result.numPayments))}
+          </p>
+        </div>
+      ) : goal.errors ? (
+        <div className="mt-4 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          No solution: {scenario.name} can't be solved for {goalVariables[variable].label.toLowerCase()}
+          {goal.errors.length > 0 ? ` (${goal.errors[0].replace(/\.$/, '')}).` : '.'}
+        </div>
+      ) : (
+        <div className="mt-4 p-4 rounded-lg bg-red-50 border border-red-200 text-sm text-red-700">
+          No solution: between {formatValue(variable, goal.range.from)} and {formatValue(variable, goal.range.to)}, {metricNames[metric]} only
+          ranges from {describeMetric(goal.reachable.min)} to {describeMetric(goal.reachable.max)}.
+        </div>
+      ))}
+    </div>
+  );
+}
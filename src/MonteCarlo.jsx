@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { ComposedChart, Area, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { simulationDefaults } from './monteCarlo.js';
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value)).toLocaleString()}`;
+
+const pathOptions = [500, 1000, 2000, 5000];
+
+// Setting fields, in percent per year
+const fields = [
+  { key: 'indexDrift', label: 'ARM index drift (pts/yr)', step: 0.05 },
+  { key: 'indexVolatility', label: 'ARM index volatility (pts/yr)', step: 0.05, min: 0 },
+  { key: 'appreciationMean', label: 'Appreciation mean (%/yr)', step: 0.5 },
+  { key: 'appreciationVolatility', label: 'Appreciation volatility (%/yr)', step: 0.5, min: 0 },
+  { key: 'returnMean', label: 'Investment return mean (%/yr)', step: 0.5 },
+  { key: 'returnVolatility', label: 'Investment return volatility (%/yr)', step: 0.5, min: 0 },
+  { key: 'sellProbability', label: 'Chance of selling (%/yr)', step: 1, min: 0, max: 100 },
+  { key: 'refinanceProbability', label: 'Chance of refinancing (%/yr)', step: 1, min: 0, max: 100 }
+];
+
+const FanChart = ({ summary, metric, title }) => {
+  const data = summary.years.map(row => ({
+    year: row.year,
+    'P10–P90': [Math.round(row[metric][0]), Math.round(row[metric][2])],
+    Median: Math.round(row[metric][1])
+  }));
+  return (
+    <div>
+      <h4 className="text-sm font-semibold text-slate-700 mb-2">{title}</h4>
+      <ResponsiveContainer width="100%" height={260}>
+        <ComposedChart data={data}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+          <XAxis dataKey="year" label={{ value: 'Year', position: 'insideBottom', offset: -5 }} />
+          <YAxis tickFormatter={(value) => `$${Math.round(value / 1000)}k`} />
+          <Tooltip formatter={(value) => Array.isArray(value) ? `${money(value[0])} – ${money(value[1])}` : money(value)} />
+          <Legend />
+          <Area dataKey="P10–P90" stroke="none" fill={summary.color} fillOpacity={0.2} isAnimationActive={false} />
+          <Line dataKey="Median" stroke={summary.color} strokeWidth={2} dot={false} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+export default function MonteCarlo({ results, escrow, pmi, sellingCostPercent, appreciation, investmentReturn, saleYear }) {
+  const [settings, setSettings] = useState(() => ({
+    ...simulationDefaults,
+    appreciationMean: appreciation.rate,
+    returnMean: investmentReturn
+  }));
+  const [progress, setProgress] = useState(null);
+  const [run, setRun] = useState(null);
+  const [error, setError] = useState(null);
+  const workerRef = useRef(null);
+
+  const stop = () => {
+    if (workerRef.current) {
+      workerRef.current.terminate();
+      workerRef.current = null;
+    }
+    setProgress(null);
+  };
+
+  // Don't leave a simulation running after leaving the view
+  useEffect(() => () => {
+    if (workerRef.current) workerRef.current.terminate();
+  }, []);
+
+  const start = () => {
+    stop();
+    setError(null);
+    const worker = new Worker(new URL('./monteCarlo.worker.js', import.meta.url), { type: 'module' });
+    workerRef.current = worker;
+    const inputs = { results, settings, appreciation };
+    worker.onmessage = (event) => {
+      if (event.data.type === 'progress') {
+        setProgress(event.data.progress);
+      } else {
+        setRun({ ...inputs, summaries: event.data.summaries });
+        stop();
+      }
+    };
+    worker.onerror = (event) => {
+      setError(event.message || 'The simulation failed');
+      stop();
+    };
+    setProgress(0);
+    worker.postMessage({ results, settings, options: { pmi, escrow, sellingCostPercent, appreciationPath: appreciation.path } });
+  };
+
+  const update = (key, value) => setSettings({ ...settings, [key]: value });
+  const stale = run && (run.results !== results || run.settings !== settings || run.appreciation !== appreciation);
+  // The yearly changes set in the equity view stand in for the mean, as they do everywhere else
+  const followsPath = appreciation.path.length > 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-1">Monte Carlo Simulation</h2>
+        <p className="text-sm text-slate-600 mb-4">
+          Runs each active scenario through many random futures. Each year the ARM index, home value and investment returns move by a random amount
+          drawn from the distributions below, and the home may be sold or the loan refinanced. Every scenario sees the same random markets.
+          {followsPath && ` Appreciation centers on the yearly changes set in the equity view (${appreciation.path.join(', ')}%), the last repeating, instead of a single mean.`}
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {fields.map(field => (
+            <div key={field.key}>
+              <label className="block text-sm font-medium text-slate-700 mb-1">{field.label}</label>
+              <input
+                type="number"
+                step={field.step}
+                min={field.min}
+                max={field.max}
+                value={field.key === 'appreciationMean' && followsPath ? '' : settings[field.key]}
+                placeholder={field.key === 'appreciationMean' && followsPath ? 'Yearly changes' : undefined}
+                disabled={field.key === 'appreciationMean' && followsPath}
+                onChange={(e) => {
+                  const value = parseFloat(e.target.value) || 0;
+                  update(field.key, Math.min(Math.max(value, field.min ?? -Infinity), field.max ?? Infinity));
+                }}
+                className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm disabled:bg-slate-100"
+              />
+            </div>
+          ))}
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Simulated paths</label>
+            <select
+              value={settings.paths}
+              onChange={(e) => update('paths', Number(e.target.value))}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            >
+              {pathOptions.map(paths => (
+                <option key={paths} value={paths}>{paths.toLocaleString()}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Random seed</label>
+            <input
+              type="number"
+              min="1"
+              step="1"
+              value={settings.seed}
+              onChange={(e) => update('seed', Math.max(1, Math.floor(Number(e.target.value)) || 1))}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-3 mt-4">
+          {progress === null ? (
+            <button
+              onClick={start}
+              disabled={results.length === 0}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40"
+            >
+              Run Simulation
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={stop}
+                className="px-4 py-2 rounded-lg text-sm font-medium bg-white text-slate-700 border border-slate-300 hover:bg-slate-50"
+              >
+                Cancel
+              </button>
+              <div className="flex-1 min-w-[12rem] h-2 rounded-full bg-slate-200 overflow-hidden">
+                <div className="h-full bg-blue-600" style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+              <span className="text-sm text-slate-600">{Math.round(progress * 100)}%</span>
+            </>
+          )}
+          {stale && progress === null && (
+            <span className="text-sm text-amber-700">The scenarios or settings have changed since this run.</span>
+          )}
+          {error && <span className="text-sm text-red-600">{error}</span>}
+        </div>
+      </div>
+
+      {run && (
+        <>
+          <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+            <h3 className="text-lg font-semibold text-slate-900 mb-3">Net Cost After {saleYear} Years</h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-100">
+                  <tr>
+                    <th className="text-left py-2 px-3 font-semibold text-slate-700">Scenario</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">P10</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">Median</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">P90</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">Median Equity</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">Loan Still Held</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {run.summaries.map(summary => {
+                    const row = summary.years[Math.min(saleYear, summary.years.length - 1)];
+                    return (
+                      <tr key={summary.id} className="border-b border-slate-200">
+                        <td className="py-2 px-3 font-medium" style={{ color: summary.color }}>{summary.name}</td>
+                        <td className="text-right py-2 px-3">{money(row.netCost[0])}</td>
+                        <td className="text-right py-2 px-3 font-semibold">{money(row.netCost[1])}</td>
+                        <td className="text-right py-2 px-3">{money(row.netCost[2])}</td>
+                        <td className="text-right py-2 px-3">{money(row.equity[1])}</td>
+                        <td className="text-right py-2 px-3">{Math.round(row.held * 100)}%</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              Net cost is the down payment, upfront costs, loan payments, PMI and escrow, each grown at the simulated investment return, less what a sale
+              would net after {sellingCostPercent}% selling costs and paying off the loan. Once a path sells or refinances its figures stop changing.
+              {' '}{run.settings.paths.toLocaleString()} paths, seed {run.settings.seed}.
+            </p>
+          </div>
+
+          {run.summaries.map(summary => (
+            <div key={summary.id} className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h3 className="text-lg font-semibold mb-4" style={{ color: summary.color }}>{summary.name}</h3>
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <FanChart summary={summary} metric="netCost" title="Net cost" />
+                <FanChart summary={summary} metric="equity" title="Equity" />
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,226 +1,507 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import ScenarioEditor from './ScenarioEditor.jsx';
+import AmortizationTable from './AmortizationTable.jsx';
+import RefinanceAnalyzer from './RefinanceAnalyzer.jsx';
+import RentVsBuy from './RentVsBuy.jsx';
+import Affordability from './Affordability.jsx';
+import GoalSeek from './GoalSeek.jsx';
+import Sensitivity from './Sensitivity.jsx';
+import MonteCarlo from './MonteCarlo.jsx';
+import BuyDownAnalyzer from './BuyDownAnalyzer.jsx';
+import ExportButtons from './ExportButtons.jsx';
+import WorkspaceManager from './WorkspaceManager.jsx';
+import StrategicAnalysis from './StrategicAnalysis.jsx';
+import { BaselineDelta, PayoffDelta, Crossover, withBaselineDelta, CostDifferenceChart, EquityGapChart } from './BaselineComparison.jsx';
+import { hasProgram, programLabel, insuranceLabel } from './loanPrograms.js';
+import Report from './Report.jsx';
+import { marketValueAtYear, marketEquityAtYear, analyzeSale } from './homeSale.js';
+import { valueScenario, investTheDifference } from './opportunityCost.js';
+import { compareToBaseline } from './baseline.js';
+import { buildExportSheets } from './exportData.js';
+import { encodeState, decodeState } from './urlState.js';
+import { analyzeScenario, calculateMortgage, generateAmortizationSchedule, generateMonthlySchedule, balanceAtYear, hasExtraPayments, isArm, isInterestOnly, isBalloon, armProducts, compoundingLabel, paymentMonth, paymentDate, formatPaymentMonth } from './mortgageMath.js';
 
-export default function MortgageAnalyzer() {
-  const [housePrice, setHousePrice] = useState(200000);
-  const [downPaymentPercent, setDownPaymentPercent] = useState(5);
-  const [selectedView, setSelectedView] = useState('overview');
-  const [highlightedScenario, setHighlightedScenario] = useState(null);
+// Preset scenarios from the document; users start from these and can reset back to them
+const presetScenarios = [
+  { id: 1, name: '30-Yr Standard', term: 30, rate: 6.3, accelerated: false, targetYears: null, color: '#3b82f6' },
+  { id: 2, name: '20-Yr Standard', term: 20, rate: 6.0, accelerated: false, targetYears: null, color: '#10b981' },
+  { id: 3, name: '50-Yr Standard', term: 50, rate: 6.8, accelerated: false, targetYears: null, color: '#ef4444' },
+  { id: 4, name: '50-Yr (Paid in 30)', term: 50, rate: 6.8, accelerated: true, targetYears: 30, color: '#f59e0b' },
+  { id: 5, name: '30-Yr (Paid in 20)', term: 30, rate: 6.3, accelerated: true, targetYears: 20, color: '#8b5cf6' },
+  { id: 6, name: '50-Yr Accelerated', term: 50, rate: 6.8, accelerated: true, targetYears: 36.46, color: '#ec4899' },
+  { id: 7, name: '50-Yr (3.5% Down)', term: 50, rate: 6.8, accelerated: false, targetYears: null, color: '#14b8a6', specialDown: 3.5, program: 'fha' },
+  { id: 8, name: '5/1 ARM', term: 30, rate: 5.75, accelerated: false, targetYears: null, color: '#6366f1', loanType: 'arm', arm: { ...armProducts['5/1'], margin: 2.75, floor: null, index: { path: 'flat', start: 4.3, step: 0.25, custom: [] } } },
+  { id: 9, name: '7/6 ARM', term: 30, rate: 5.9, accelerated: false, targetYears: null, color: '#84cc16', loanType: 'arm', arm: { ...armProducts['7/6'], margin: 2.75, floor: null, index: { path: 'flat', start: 4.3, step: 0.25, custom: [] } } },
+  { id: 10, name: '10/6 ARM', term: 30, rate: 6.0, accelerated: false, targetYears: null, color: '#f97316', loanType: 'arm', arm: { ...armProducts['10/6'], margin: 2.75, floor: null, index: { path: 'flat', start: 4.3, step: 0.25, custom: [] } } },
+  { id: 11, name: '30-Yr + 1.5 Points', term: 30, rate: 5.925, accelerated: false, targetYears: null, color: '#0891b2', points: 1.5 },
+  { id: 12, name: '30-Yr, 10 Interest-Only', term: 30, rate: 6.6, accelerated: false, targetYears: null, color: '#be123c', loanType: 'interest-only', interestOnlyYears: 10 },
+  { id: 13, name: '7-Yr Balloon (30-Yr Amort.)', term: 30, rate: 5.9, accelerated: false, targetYears: null, color: '#a16207', loanType: 'balloon', balloonYears: 7 },
+  { id: 14, name: '30-Yr VA (0% Down)', term: 30, rate: 5.9, accelerated: false, targetYears: null, color: '#1d4ed8', specialDown: 0, program: 'va' },
+  { id: 15, name: '30-Yr USDA (0% Down)', term: 30, rate: 6.0, accelerated: false, targetYears: null, color: '#15803d', specialDown: 0, program: 'usda' },
+];
+
+const defaultActiveScenarios = [1, 2, 3];
+
+const views = ['overview', 'payments', 'costs', 'equity', 'amortization', 'refinance', 'rent-vs-buy', 'opportunity', 'affordability', 'goal-seek', 'points', 'sensitivity', 'monte-carlo'];
+const viewLabels = { 'rent-vs-buy': 'Rent vs Buy', opportunity: 'Opportunity Cost', 'goal-seek': 'Goal Seek', points: 'Points & APR', 'monte-carlo': 'Monte Carlo' };
+
+// Every `step` years up to the longest loan, plus each balloon year so the payoff shows
+const chartYears = (results, step) => {
+  const maxTerm = Math.max(...results.map(r => r.actualTerm));
+  const years = [];
+  for (let year = 0; year <= maxTerm; year += step) {
+    years.push(year);
+  }
+  results.filter(isBalloon).forEach(result => {
+    if (!years.includes(result.balloonYears)) years.push(result.balloonYears);
+  });
+  return years.sort((a, b) => a - b);
+};
+
+// Balance every `step` years, charted every two years and exported every year
+const balancePoints = (results, step) => {
+  if (results.length === 0) return [];
   
-  // Preset scenarios from the document
-  const presetScenarios = [
-    { id: 1, name: '30-Yr Standard', term: 30, rate: 6.3, accelerated: false, targetYears: null, color: '#3b82f6' },
-    { id: 2, name: '20-Yr Standard', term: 20, rate: 6.0, accelerated: false, targetYears: null, color: '#10b981' },
-    { id: 3, name: '50-Yr Standard', term: 50, rate: 6.8, accelerated: false, targetYears: null, color: '#ef4444' },
-    { id: 4, name: '50-Yr (Paid in 30)', term: 50, rate: 6.8, accelerated: true, targetYears: 30, color: '#f59e0b' },
-    { id: 5, name: '30-Yr (Paid in 20)', term: 30, rate: 6.3, accelerated: true, targetYears: 20, color: '#8b5cf6' },
-    { id: 6, name: '50-Yr Accelerated', term: 50, rate: 6.8, accelerated: true, targetYears: 36.46, color: '#ec4899' },
-    { id: 7, name: '50-Yr (3.5% Down)', term: 50, rate: 6.8, accelerated: false, targetYears: null, color: '#14b8a6', specialDown: 3.5 },
-  ];
-
-  const [activeScenarios, setActiveScenarios] = useState([1, 2, 3]);
-
-  const calculateMortgage = (principal, annualRate, years, acceleratedTargetYears = null) => {
-    // Standard amortization formula: M = P * [r(1+r)^n] / [(1+r)^n - 1]
-    // Where: M = monthly payment, P = principal, r = monthly rate, n = number of payments
-    const monthlyRate = annualRate / 100 / 12;
-    const numPayments = years * 12;
-    const monthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, numPayments)) / (Math.pow(1 + monthlyRate, numPayments) - 1);
-
-    if (acceleratedTargetYears) {
-      // Calculate accelerated payoff: same loan, but paid off in fewer years
-      const targetPayments = acceleratedTargetYears * 12;
-
-      // Calculate the higher monthly payment needed to pay off in target years
-      const targetMonthlyPayment = principal * (monthlyRate * Math.pow(1 + monthlyRate, targetPayments)) / (Math.pow(1 + monthlyRate, targetPayments) - 1);
-
-      // Iterate through each payment to calculate exact interest/principal split
-      let balance = principal;
-      let totalPaid = 0;
-      let totalInterest = 0;
-
-      for (let month = 1; month <= targetPayments; month++) {
-        const interestPayment = balance * monthlyRate;
-        const principalPayment = targetMonthlyPayment - interestPayment;
-        balance -= principalPayment;
-        totalPaid += targetMonthlyPayment;
-        totalInterest += interestPayment;
+  // Each schedule is built once and read at every year
+  const schedules = results.map(result => {
+    // Scenarios with extra payments also plot the balance they would have without them
+    const withoutExtras = hasExtraPayments(result.extraPayments)
+      ? { ...result, ...calculateMortgage(result.principal, result.rate, result.term, result.targetYears, null, result.compounding), extraPayments: null }
+      : null;
+    return {
+      yearly: generateAmortizationSchedule(result),
+      withoutExtras,
+      withoutExtrasYearly: withoutExtras && generateAmortizationSchedule(withoutExtras),
+      monthly: isArm(result) ? generateMonthlySchedule(result) : null
+    };
+  });
+  const data = [];
+  
+  chartYears(results, step).forEach(year => {
+    const point = { year };
+    
+    results.forEach((result, idx) => {
+      const { yearly, withoutExtras, withoutExtrasYearly, monthly } = schedules[idx];
+      if (year <= result.actualTerm) {
+        point[result.name] = Math.round(balanceAtYear(yearly, result.principal, year));
       }
-      
-      return {
-        monthlyPayment: totalPaid / targetPayments,
-        totalPaid: totalPaid,
-        totalInterest: totalInterest,
-        numPayments: targetPayments,
-        actualTerm: acceleratedTargetYears
-      };
-    }
+      if (withoutExtras && year <= withoutExtras.actualTerm && (!isBalloon(result) || year <= result.balloonYears)) {
+        point[`${result.name} (no extra)`] = Math.round(balanceAtYear(withoutExtrasYearly, result.principal, year));
+      }
+      // ARMs also plot the rate in effect, on a secondary axis
+      if (monthly && year <= result.actualTerm) {
+        const row = monthly[Math.min(Math.max(year * 12, 1), monthly.length) - 1];
+        point[`${result.name} rate`] = Number(row.rate.toFixed(3));
+      }
+    });
+    
+    data.push(point);
+  });
+  
+  return data;
+};
+
+const equityPoints = (results, housePrice, appreciation, step) => {
+  if (results.length === 0) return [];
+  
+  // Equity is market value less the balance, so it starts at the down payment and moves with prices
+  const schedules = results.map(result => generateMonthlySchedule(result));
+  const data = [];
+  
+  chartYears(results, step).forEach(year => {
+    const point = { year, 'Market value': Math.round(marketValueAtYear(housePrice, appreciation, year)) };
     
-    const totalPaid = monthlyPayment * numPayments;
-    const totalInterest = totalPaid - principal;
+    results.forEach((result, idx) => {
+      point[result.name] = Math.round(marketEquityAtYear(result, schedules[idx], appreciation, year));
+    });
     
-    return {
-      monthlyPayment: monthlyPayment,
-      totalPaid: totalPaid,
-      totalInterest: totalInterest,
-      numPayments: numPayments,
-      actualTerm: years
-    };
+    data.push(point);
+  });
+  
+  return data;
+};
+
+// Default the first payment to the month after today
+const nextMonth = () => {
+  const today = new Date();
+  const next = new Date(today.getFullYear(), today.getMonth() + 1, 1);
+  return `${next.getFullYear()}-${String(next.getMonth() + 1).padStart(2, '0')}`;
+};
+
+// Everything a shared link restores; the starting point when there is no link
+const defaultState = () => ({
+  housePrice: 200000,
+  downPaymentPercent: 5,
+  propertyTaxMode: 'rate',
+  propertyTaxRate: 1.2,
+  propertyTaxAmount: 2400,
+  homeInsurance: 1500,
+  hoaDues: 0,
+  escalationRate: 0,
+  pmiRate: 0.5,
+  pmiCancelAtRequest: false,
+  selectedView: 'overview',
+  scenarios: presetScenarios,
+  activeScenarios: defaultActiveScenarios,
+  baselineId: null,
+  firstPaymentMonth: nextMonth(),
+  paymentDay: 1,
+  scheduleMode: 'exact',
+  discountRate: 4,
+  inflationRate: 2.5,
+  investmentReturn: 6,
+  realDollars: false,
+  appreciationRate: 3,
+  appreciationPath: '',
+  sellingCostPercent: 6,
+  saleYear: 7
+});
+
+// State from the link this page was opened with, if any
+const initialState = () => typeof window === 'undefined'
+  ? { state: defaultState(), rejected: [] }
+  : decodeState(window.location.hash, defaultState(), views);
+
+export default function MortgageAnalyzer() {
+  const [{ state: initial, rejected: rejectedFromLink }] = useState(initialState);
+  const [housePrice, setHousePrice] = useState(initial.housePrice);
+  const [downPaymentPercent, setDownPaymentPercent] = useState(initial.downPaymentPercent);
+  const [propertyTaxMode, setPropertyTaxMode] = useState(initial.propertyTaxMode);
+  const [propertyTaxRate, setPropertyTaxRate] = useState(initial.propertyTaxRate);
+  const [propertyTaxAmount, setPropertyTaxAmount] = useState(initial.propertyTaxAmount);
+  const [homeInsurance, setHomeInsurance] = useState(initial.homeInsurance);
+  const [hoaDues, setHoaDues] = useState(initial.hoaDues);
+  const [escalationRate, setEscalationRate] = useState(initial.escalationRate);
+  const [pmiRate, setPmiRate] = useState(initial.pmiRate);
+  const [pmiCancelAtRequest, setPmiCancelAtRequest] = useState(initial.pmiCancelAtRequest);
+  const [selectedView, setSelectedView] = useState(initial.selectedView);
+  const [highlightedScenario, setHighlightedScenario] = useState(null);
+  const [scenarios, setScenarios] = useState(initial.scenarios);
+  const [showEditor, setShowEditor] = useState(false);
+  const [activeScenarios, setActiveScenarios] = useState(initial.activeScenarios);
+  const [baselineId, setBaselineId] = useState(initial.baselineId);
+  const [firstPaymentMonth, setFirstPaymentMonth] = useState(initial.firstPaymentMonth);
+  const [paymentDay, setPaymentDay] = useState(initial.paymentDay);
+  const [scheduleMode, setScheduleMode] = useState(initial.scheduleMode);
+  const [discountRate, setDiscountRate] = useState(initial.discountRate);
+  const [inflationRate, setInflationRate] = useState(initial.inflationRate);
+  const [investmentReturn, setInvestmentReturn] = useState(initial.investmentReturn);
+  const [realDollars, setRealDollars] = useState(initial.realDollars);
+  const [appreciationRate, setAppreciationRate] = useState(initial.appreciationRate);
+  const [appreciationPath, setAppreciationPath] = useState(initial.appreciationPath);
+  const [sellingCostPercent, setSellingCostPercent] = useState(initial.sellingCostPercent);
+  const [saleYear, setSaleYear] = useState(initial.saleYear);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  const [showReport, setShowReport] = useState(false);
+
+  // The state that links and saved workspaces capture, and how to restore it
+  const currentState = useMemo(() => ({
+    housePrice, downPaymentPercent, propertyTaxMode, propertyTaxRate, propertyTaxAmount, homeInsurance, hoaDues,
+    escalationRate, pmiRate, pmiCancelAtRequest, selectedView, scenarios, activeScenarios, baselineId, firstPaymentMonth,
+    paymentDay, scheduleMode, discountRate, inflationRate, investmentReturn, realDollars, appreciationRate, appreciationPath,
+    sellingCostPercent, saleYear
+  }), [housePrice, downPaymentPercent, propertyTaxMode, propertyTaxRate, propertyTaxAmount, homeInsurance, hoaDues,
+    escalationRate, pmiRate, pmiCancelAtRequest, selectedView, scenarios, activeScenarios, baselineId, firstPaymentMonth,
+    paymentDay, scheduleMode, discountRate, inflationRate, investmentReturn, realDollars, appreciationRate, appreciationPath,
+    sellingCostPercent, saleYear]);
+
+  const stateSetters = {
+    housePrice: setHousePrice, downPaymentPercent: setDownPaymentPercent, propertyTaxMode: setPropertyTaxMode,
+    propertyTaxRate: setPropertyTaxRate, propertyTaxAmount: setPropertyTaxAmount, homeInsurance: setHomeInsurance,
+    hoaDues: setHoaDues, escalationRate: setEscalationRate, pmiRate: setPmiRate, pmiCancelAtRequest: setPmiCancelAtRequest,
+    selectedView: setSelectedView, scenarios: setScenarios, activeScenarios: setActiveScenarios, baselineId: setBaselineId,
+    firstPaymentMonth: setFirstPaymentMonth, paymentDay: setPaymentDay, scheduleMode: setScheduleMode, discountRate: setDiscountRate, inflationRate: setInflationRate,
+    investmentReturn: setInvestmentReturn, realDollars: setRealDollars, appreciationRate: setAppreciationRate,
+    appreciationPath: setAppreciationPath, sellingCostPercent: setSellingCostPercent, saleYear: setSaleYear
   };
+  const applyState = (state) => Object.entries(stateSetters).forEach(([key, set]) => set(state[key]));
+
+  // Keep the address bar in step with the analysis so it can be bookmarked or shared as it stands
+  const sharedHash = useMemo(() => encodeState(currentState), [currentState]);
+
+  useEffect(() => {
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${sharedHash}`);
+  }, [sharedHash]);
+
+  // Pasting another link into this tab only changes the hash, so load it like a fresh visit
+  useEffect(() => {
+    const reload = () => window.location.reload();
+    window.addEventListener('hashchange', reload);
+    return () => window.removeEventListener('hashchange', reload);
+  }, []);
 
-  const getPrincipal = (scenario) => {
-    const downPercent = scenario.specialDown || downPaymentPercent;
-    const downPayment = (downPercent / 100) * housePrice;
-    return housePrice - downPayment;
+  const copyLink = () => {
+    const url = window.location.href;
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied.then(
+      () => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      },
+      // Clipboard access can be blocked (e.g. outside https); let the user copy it by hand
+      () => window.prompt('Copy this link to share the analysis:', url)
+    );
   };
 
+  const escrow = useMemo(() => ({
+    annualTax: propertyTaxMode === 'rate' ? (propertyTaxRate / 100) * housePrice : propertyTaxAmount,
+    annualInsurance: homeInsurance,
+    monthlyHoa: hoaDues,
+    escalationRate
+  }), [propertyTaxMode, propertyTaxRate, propertyTaxAmount, housePrice, homeInsurance, hoaDues, escalationRate]);
+
+  const pmi = useMemo(() => ({ rate: pmiRate, cancelAtRequest: pmiCancelAtRequest }), [pmiRate, pmiCancelAtRequest]);
+
+  // A custom list of yearly changes overrides the single appreciation rate
+  const appreciation = useMemo(() => ({
+    rate: appreciationRate,
+    path: appreciationPath.split(',').map(v => v.trim()).filter(v => v !== '').map(Number).filter(Number.isFinite)
+  }), [appreciationRate, appreciationPath]);
+
+  // Tax as a rate scales with whatever price the affordability solver tries
+  const affordabilityCosts = useMemo(() => ({
+    propertyTaxRate: propertyTaxMode === 'rate' ? propertyTaxRate : null,
+    annualTax: propertyTaxAmount,
+    annualInsurance: homeInsurance,
+    monthlyHoa: hoaDues
+  }), [propertyTaxMode, propertyTaxRate, propertyTaxAmount, homeInsurance, hoaDues]);
+
+  // Lender mode rounds every schedule line to the cent, as a servicer's statement would
+  const roundToCents = scheduleMode === 'lender';
+
+  const goalSeekContext = useMemo(() => ({ housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay, roundToCents }),
+    [housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay, roundToCents]);
+
   const results = useMemo(() => {
-    return presetScenarios
+    return scenarios
       .filter(s => activeScenarios.includes(s.id))
-      .map(scenario => {
-        const principal = getPrincipal(scenario);
-        const calc = calculateMortgage(principal, scenario.rate, scenario.term, scenario.targetYears);
-        return {
-          ...scenario,
-          ...calc,
-          principal
-        };
-      });
-  }, [activeScenarios, housePrice, downPaymentPercent]);
+      .map(scenario => analyzeScenario(scenario, { housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay, roundToCents }))
+      .map(result => ({ ...result, ...valueScenario(result, { discountRate, inflationRate }) }));
+  }, [scenarios, activeScenarios, housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay, roundToCents, discountRate, inflationRate]);
+
+  // Interest in nominal dollars, or deflated to today's dollars when comparing in real terms
+  const interestOf = (result) => realDollars ? result.realTotalInterest : result.totalInterest;
+  const interestKey = realDollars ? "Total Interest (today's $)" : 'Total Interest';
 
   const toggleScenario = (id) => {
     if (activeScenarios.includes(id)) {
       if (activeScenarios.length > 1) {
         setActiveScenarios(activeScenarios.filter(s => s !== id));
+        if (baselineId === id) setBaselineId(null);
       }
     } else {
       setActiveScenarios([...activeScenarios, id]);
     }
   };
 
-  const generateAmortizationSchedule = (result) => {
-    // Generate year-by-year amortization breakdown
-    // Each payment splits into: Interest (on remaining balance) + Principal (reduces balance)
-    const schedule = [];
-    const monthlyRate = result.rate / 100 / 12;
-    let balance = result.principal;
-
-    for (let year = 0; year <= Math.ceil(result.actualTerm); year++) {
-      const monthsInYear = year === Math.ceil(result.actualTerm) ? (result.actualTerm % 1) * 12 : 12;
-      let yearPrincipal = 0;
-      let yearInterest = 0;
-
-      for (let month = 0; month < monthsInYear && balance > 0; month++) {
-        const interestPayment = balance * monthlyRate; // Interest accrues on current balance
-        const principalPayment = Math.min(result.monthlyPayment - interestPayment, balance); // Rest goes to principal
-        yearPrincipal += principalPayment;
-        yearInterest += interestPayment;
-        balance -= principalPayment;
-      }
-      
-      schedule.push({
-        year,
-        balance: Math.max(0, balance),
-        principalPaid: yearPrincipal,
-        interestPaid: yearInterest,
-        totalPaid: yearPrincipal + yearInterest
-      });
-      
-      if (balance <= 0) break;
+  const saveScenario = (scenario) => {
+    if (scenarios.some(s => s.id === scenario.id)) {
+      setScenarios(scenarios.map(s => s.id === scenario.id ? scenario : s));
+    } else {
+      setScenarios([...scenarios, scenario]);
+      setActiveScenarios([...activeScenarios, scenario.id]);
     }
-    
-    return schedule;
+  };
+
+  const deleteScenario = (id) => {
+    if (scenarios.length <= 1) return;
+    const remaining = scenarios.filter(s => s.id !== id);
+    const remainingActive = activeScenarios.filter(s => s !== id);
+    setScenarios(remaining);
+    // Keep at least one scenario selected so every view has something to show
+    setActiveScenarios(remainingActive.length > 0 ? remainingActive : [remaining[0].id]);
+    if (baselineId === id) setBaselineId(null);
+  };
+
+  // Goal seek either changes one scenario or, when solving for price, the shared house price
+  const applyGoal = (scenario, price) => {
+    saveScenario(scenario);
+    setHousePrice(price);
+  };
+
+  const resetScenarios = () => {
+    setScenarios(presetScenarios);
+    setActiveScenarios(defaultActiveScenarios);
+    setBaselineId(null);
   };
 
   const comparisonData = useMemo(() => {
     return results.map(r => ({
       name: r.name,
       'Monthly P&I': Math.round(r.monthlyPayment),
+      'Monthly PITI + HOA': Math.round(r.monthlyPITI),
       'Total Interest': Math.round(r.totalInterest),
-      'Total Cost': Math.round(r.totalPaid),
+      'Total Cost': Math.round(r.totalCost),
+      'Upfront Costs': Math.round(r.upfrontCosts),
+      'Total Housing Cost': Math.round(r.totalHousingCost),
+      'Taxes, Insurance & HOA': Math.round(r.totalEscrow),
+      'Total PMI': Math.round(r.totalPMI),
       'Principal': Math.round(r.principal),
+      "Total Interest (today's $)": Math.round(r.realTotalInterest),
+      'Present Value of Payments': Math.round(r.presentValue),
       color: r.color
     }));
   }, [results]);
 
-  const balanceOverTimeData = useMemo(() => {
+  const investmentData = useMemo(() => {
     if (results.length === 0) return [];
-    
-    const maxTerm = Math.max(...results.map(r => r.actualTerm));
-    const data = [];
-    
-    for (let year = 0; year <= maxTerm; year += 2) {
-      const point = { year };
-      
-      results.forEach(result => {
-        if (year <= result.actualTerm) {
-          const schedule = generateAmortizationSchedule(result);
-          const yearData = schedule.find(s => s.year === year);
-          if (yearData) {
-            point[result.name] = Math.round(yearData.balance);
-          }
-        }
+
+    const yearly = investTheDifference(results, {
+      housePrice,
+      investmentReturn,
+      inflationRate: realDollars ? inflationRate : 0,
+      pmi
+    });
+    return yearly.map(point => {
+      const row = { year: point.year };
+      results.forEach((result, idx) => {
+        row[result.name] = Math.round(point.netWorth[idx]);
       });
-      
-      data.push(point);
-    }
-    
-    return data;
-  }, [results]);
+      return row;
+    });
+  }, [results, housePrice, investmentReturn, inflationRate, realDollars, pmi]);
 
-  const equityBuildupData = useMemo(() => {
+  const balanceOverTimeData = useMemo(() => balancePoints(results, 2), [results]);
+
+  const paymentOverTimeData = useMemo(() => {
     if (results.length === 0) return [];
-    
-    const maxTerm = Math.max(...results.map(r => r.actualTerm));
+
+    // Scheduled P&I payment at the start of each loan year; ARM resets and the end of an
+    // interest-only period show up as steps
+    const maxTerm = Math.ceil(Math.max(...results.map(r => r.actualTerm)));
+    const schedules = results.map(result => generateMonthlySchedule(result));
     const data = [];
-    
-    for (let year = 0; year <= maxTerm; year += 2) {
+
+    for (let year = 1; year <= maxTerm; year++) {
       const point = { year };
-      
-      results.forEach(result => {
-        const equity = result.principal;
-        if (year <= result.actualTerm) {
-          const schedule = generateAmortizationSchedule(result);
-          const yearData = schedule.find(s => s.year === year);
-          if (yearData) {
-            point[result.name] = Math.round(equity - yearData.balance);
-          }
-        } else {
-          point[result.name] = Math.round(equity);
+      results.forEach((result, idx) => {
+        const row = schedules[idx][(year - 1) * 12];
+        if (row) {
+          point[result.name] = Math.round(row.scheduledPayment);
         }
       });
-      
       data.push(point);
     }
-    
+
     return data;
   }, [results]);
 
+  const equityBuildupData = useMemo(() => equityPoints(results, housePrice, appreciation, 2), [results, housePrice, appreciation]);
+
+  // Everything the export needs, with the chart data at yearly rather than two-year steps
+  const exportSheets = () => buildExportSheets({
+    results,
+    inputs: { housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay, scheduleMode, appreciation },
+    balanceData: balancePoints(results, 1),
+    equityData: equityPoints(results, housePrice, appreciation, 1)
+  });
+
+  const saleData = useMemo(() => results.map(result => ({
+    result,
+    sale: analyzeSale(result, { appreciation, sellingCostPercent, years: saleYear, escrow, pmi })
+  })), [results, appreciation, sellingCostPercent, saleYear, escrow, pmi]);
+
   const bestWorstAnalysis = useMemo(() => {
     if (results.length === 0) return null;
     
     const lowestPayment = results.reduce((min, r) => r.monthlyPayment < min.monthlyPayment ? r : min);
-    const lowestCost = results.reduce((min, r) => r.totalInterest < min.totalInterest ? r : min);
-    const highestCost = results.reduce((max, r) => r.totalInterest > max.totalInterest ? r : max);
-    const costDifference = highestCost.totalInterest - lowestCost.totalInterest;
+    const lowestCost = results.reduce((min, r) => interestOf(r) < interestOf(min) ? r : min);
+    const highestCost = results.reduce((max, r) => interestOf(r) > interestOf(max) ? r : max);
+    const costDifference = interestOf(highestCost) - interestOf(lowestCost);
+
+    // Highest net worth once every scenario invests what it doesn't spend on its loan
+    const finalNetWorth = investmentData[investmentData.length - 1];
+    const bestInvested = results.reduce((best, r) => finalNetWorth[r.name] > finalNetWorth[best.name] ? r : best);
     
     return {
       lowestPayment,
       lowestCost,
       highestCost,
-      costDifference
+      costDifference,
+      bestInvested,
+      bestInvestedNetWorth: finalNetWorth[bestInvested.name],
+      investedYears: finalNetWorth.year
     };
-  }, [results]);
+  }, [results, realDollars, investmentData]);
+
+  const summary = bestWorstAnalysis && (
+    <StrategicAnalysis analysis={bestWorstAnalysis} interestOf={interestOf} realDollars={realDollars} investmentReturn={investmentReturn} />
+  );
+
+  // Every scenario against the pinned baseline, while the baseline is one of those being compared
+  const baseline = results.find(r => r.id === baselineId) || null;
+  const baselineComparisons = useMemo(() => baseline
+    ? results.map(result => ({ result, ...compareToBaseline(result, baseline, { pmi, appreciation }) }))
+    : [], [results, baseline, pmi, appreciation]);
+  const versusBaseline = (result) => baselineComparisons.find(comparison => comparison.result.id === result.id);
+  const baselineSale = baseline && saleData.find(({ result }) => result.id === baseline.id).sale;
+
+  // Tooltips add each figure's difference from the baseline: bar charts have a row per scenario,
+  // line charts a row per year with a value per scenario
+  const baselineRow = baseline && comparisonData.find(row => row.name === baseline.name);
+  const scenarioTooltip = (value, name, item) =>
+    withBaselineDelta(value, baseline && item.payload.name !== baseline.name ? baselineRow[name] : null);
+  const yearTooltip = (value, name, item) =>
+    withBaselineDelta(value, baseline && name !== baseline.name && results.some(r => r.name === name) ? item.payload[baseline.name] : null);
+
+  if (showReport) {
+    return (
+      <Report
+        results={results}
+        inputs={{ housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay, scheduleMode, appreciation, discountRate, inflationRate, investmentReturn }}
+        comparisonData={comparisonData}
+        paymentOverTimeData={paymentOverTimeData}
+        balanceOverTimeData={balanceOverTimeData}
+        equityBuildupData={equityBuildupData}
+        interestKey={interestKey}
+        summary={summary}
+        baseline={baseline}
+        baselineComparisons={baselineComparisons}
+        onClose={() => setShowReport(false)}
+      />
+    );
+  }
 
   return (
     <div className="w-full min-h-screen bg-gradient-to-br from-slate-50 to-slate-100 p-4 md:p-6">
       <div className="max-w-7xl mx-auto space-y-6">
         {/* Header */}
         <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
-          <h1 className="text-3xl md:text-4xl font-bold text-slate-900 mb-2">Mortgage Strategy Analyzer</h1>
-          <p className="text-slate-600">Comprehensive comparison of seven mortgage scenarios with real-time calculations. All figures show Principal and Interest only.</p>
+          <div className="flex flex-wrap items-start justify-between gap-2">
+            <h1 className="text-3xl md:text-4xl font-bold text-slate-900 mb-2">Mortgage Strategy Analyzer</h1>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setShowReport(true)}
+                disabled={results.length === 0}
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50"
+              >
+                Report
+              </button>
+              <button
+                onClick={() => setShowWorkspaces(!showWorkspaces)}
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+              >
+                {showWorkspaces ? 'Close Workspaces' : 'Saved Workspaces'}
+              </button>
+            </div>
+          </div>
+          <p className="text-slate-600">Comprehensive comparison of mortgage scenarios with real-time calculations. Monthly payments are shown both as Principal and Interest and as the full PITI + HOA payment, including PMI.</p>
         </div>
 
+        {rejectedFromLink.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-800">
+            {rejectedFromLink.includes('link')
+              ? 'This link could not be read, so the analyzer opened with its default settings.'
+              : `Some settings in this link were not valid and were reset to their defaults (${rejectedFromLink.join(', ')}).`}
+          </div>
+        )}
+
+        {showWorkspaces && (
+          <WorkspaceManager currentState={currentState} onLoad={applyState} defaults={defaultState()} views={views} />
+        )}
+
         {/* Loan Parameters */}
         <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
           <h2 className="text-xl font-semibold text-slate-900 mb-4">Base Parameters</h2>
@@ -256,13 +537,213 @@ export default function MortgageAnalyzer() {
               />
             </div>
           </div>
+
+          <h3 className="text-lg font-semibold text-slate-900 mt-6 mb-4">Taxes, Insurance, HOA & PMI</h3>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <div className="flex justify-between items-center mb-2">
+                <label className="text-sm font-medium text-slate-700">Property Tax</label>
+                <div className="flex gap-1">
+                  {['rate', 'amount'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setPropertyTaxMode(mode)}
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        propertyTaxMode === mode ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
+                      }`}
+                    >
+                      {mode === 'rate' ? '% of Price' : '$ per Year'}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {propertyTaxMode === 'rate' ? (
+                <>
+                  <div className="flex justify-end mb-2">
+                    <span className="text-sm font-bold text-slate-900">{propertyTaxRate}% (${Math.round(escrow.annualTax).toLocaleString()}/yr)</span>
+                  </div>
+                  <input
+                    type="range"
+                    min="0"
+                    max="4"
+                    step="0.05"
+                    value={propertyTaxRate}
+                    onChange={(e) => setPropertyTaxRate(parseFloat(e.target.value))}
+                    className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+                  />
+                </>
+              ) : (
+                <input
+                  type="number"
+                  min="0"
+                  step="100"
+                  value={propertyTaxAmount}
+                  onChange={(e) => setPropertyTaxAmount(Math.max(0, parseFloat(e.target.value) || 0))}
+                  className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+                />
+              )}
+            </div>
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">Homeowners Insurance</label>
+                <span className="text-sm font-bold text-slate-900">${homeInsurance.toLocaleString()}/yr</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="10000"
+                step="100"
+                value={homeInsurance}
+                onChange={(e) => setHomeInsurance(parseInt(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">HOA Dues</label>
+                <span className="text-sm font-bold text-slate-900">${hoaDues.toLocaleString()}/mo</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="1000"
+                step="10"
+                value={hoaDues}
+                onChange={(e) => setHoaDues(parseInt(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">Tax & Insurance Escalation</label>
+                <span className="text-sm font-bold text-slate-900">{escalationRate}%/yr</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="10"
+                step="0.25"
+                value={escalationRate}
+                onChange={(e) => setEscalationRate(parseFloat(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">PMI Rate (below 20% down)</label>
+                <span className="text-sm font-bold text-slate-900">{pmiRate}% of loan/yr</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="2"
+                step="0.05"
+                value={pmiRate}
+                onChange={(e) => setPmiRate(parseFloat(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+              <label className="flex items-center gap-2 mt-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={pmiCancelAtRequest}
+                  onChange={(e) => setPmiCancelAtRequest(e.target.checked)}
+                />
+                Borrower requests cancellation at 80% LTV (otherwise drops automatically at 78%)
+              </label>
+            </div>
+          </div>
+
+          <h3 className="text-lg font-semibold text-slate-900 mt-6 mb-4">Time Value of Money</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">Discount Rate</label>
+                <span className="text-sm font-bold text-slate-900">{discountRate}%/yr</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="10"
+                step="0.25"
+                value={discountRate}
+                onChange={(e) => setDiscountRate(parseFloat(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">Inflation</label>
+                <span className="text-sm font-bold text-slate-900">{inflationRate}%/yr</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="10"
+                step="0.25"
+                value={inflationRate}
+                onChange={(e) => setInflationRate(parseFloat(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between mb-2">
+                <label className="text-sm font-medium text-slate-700">Investment Return</label>
+                <span className="text-sm font-bold text-slate-900">{investmentReturn}%/yr</span>
+              </div>
+              <input
+                type="range"
+                min="0"
+                max="12"
+                step="0.25"
+                value={investmentReturn}
+                onChange={(e) => setInvestmentReturn(parseFloat(e.target.value))}
+                className="w-full h-3 bg-slate-200 rounded-lg appearance-none cursor-pointer accent-blue-600"
+              />
+            </div>
+          </div>
+          <label className="flex items-center gap-2 mt-4 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={realDollars}
+              onChange={(e) => setRealDollars(e.target.checked)}
+            />
+            Compare interest and net worth in today's dollars (adjusted for inflation)
+          </label>
         </div>
 
         {/* Scenario Selection */}
         <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
-          <h2 className="text-xl font-semibold text-slate-900 mb-4">Select Scenarios to Compare</h2>
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 className="text-xl font-semibold text-slate-900">Select Scenarios to Compare</h2>
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={copyLink}
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+              >
+                {linkCopied ? 'Link Copied' : 'Copy Link'}
+              </button>
+              <ExportButtons getSheets={exportSheets} disabled={results.length === 0} />
+              <select
+                value={baseline ? baseline.id : ''}
+                onChange={(e) => setBaselineId(e.target.value === '' ? null : Number(e.target.value))}
+                title="Measure every scenario against this one"
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+              >
+                <option value="">No Baseline</option>
+                {results.map(result => (
+                  <option key={result.id} value={result.id}>Baseline: {result.name}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setShowEditor(!showEditor)}
+                className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+              >
+                {showEditor ? 'Close Editor' : 'Edit Scenarios'}
+              </button>
+            </div>
+          </div>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-3">
-            {presetScenarios.map(scenario => (
+            {scenarios.map(scenario => (
               <button
                 key={scenario.id}
                 onClick={() => toggleScenario(scenario.id)}
@@ -283,21 +764,39 @@ export default function MortgageAnalyzer() {
                     style={{ backgroundColor: scenario.color }}
                   />
                   <span className="text-sm font-medium text-slate-900 text-left">{scenario.name}</span>
+                  {baseline && baseline.id === scenario.id && (
+                    <span className="ml-auto px-2 py-0.5 rounded-full text-xs font-medium bg-slate-900 text-white">Baseline</span>
+                  )}
                 </div>
                 <div className="mt-2 text-xs text-slate-600 text-left">
                   {scenario.term}yr @ {scenario.rate}%
                   {scenario.accelerated && ` → ${scenario.targetYears}yr`}
-                  {scenario.specialDown && ` (${scenario.specialDown}% down)`}
+                  {scenario.specialDown != null && ` (${scenario.specialDown}% down)`}
+                  {isArm(scenario) && ` ARM, fixed ${scenario.arm.fixedYears}yr`}
+                  {isInterestOnly(scenario) && `, interest-only ${scenario.interestOnlyYears}yr then amortizing`}
+                  {isBalloon(scenario) && `, balloon due yr ${scenario.balloonYears}`}
+                  {hasProgram(scenario) && ` ${programLabel(scenario)}`}
+                  {scenario.compounding && `, ${compoundingLabel(scenario)} interest`}
+                  {hasExtraPayments(scenario.extraPayments) && ' + extra payments'}
+                  {scenario.points > 0 && ` + ${scenario.points} pts`}
                 </div>
               </button>
             ))}
           </div>
+          {showEditor && (
+            <ScenarioEditor
+              scenarios={scenarios}
+              onSave={saveScenario}
+              onDelete={deleteScenario}
+              onReset={resetScenarios}
+            />
+          )}
         </div>
 
         {/* View Selector */}
         <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-4">
           <div className="flex flex-wrap gap-2">
-            {['overview', 'payments', 'costs', 'equity', 'amortization'].map(view => (
+            {views.map(view => (
               <button
                 key={view}
                 onClick={() => setSelectedView(view)}
@@ -307,7 +806,7 @@ export default function MortgageAnalyzer() {
                     : 'bg-slate-100 text-slate-700 hover:bg-slate-200'
                 }`}
               >
-                {view.charAt(0).toUpperCase() + view.slice(1)}
+                {viewLabels[view] || view.charAt(0).toUpperCase() + view.slice(1)}
               </button>
             ))}
           </div>
@@ -326,42 +825,106 @@ export default function MortgageAnalyzer() {
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Rate</th>
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Principal</th>
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Monthly P&I</th>
+                    <th className="text-right py-3 px-4 font-semibold text-slate-700">Monthly PITI + HOA</th>
+                    <th className="text-right py-3 px-4 font-semibold text-slate-700">Total PMI</th>
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Paid</th>
                     <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Interest</th>
+                    <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Housing Cost</th>
+                    {baseline && <th className="text-right py-3 px-4 font-semibold text-slate-700">Cost Crosses Baseline</th>}
                   </tr>
                 </thead>
                 <tbody>
-                  {results.map((result, idx) => (
-                    <tr 
-                      key={idx} 
-                      className={`border-b border-slate-200 transition-colors ${
-                        highlightedScenario === result.id ? 'bg-blue-50' : 'hover:bg-slate-50'
-                      }`}
-                    >
-                      <td className="py-3 px-4 font-medium" style={{ color: result.color }}>
-                        {result.name}
-                      </td>
-                      <td className="text-right py-3 px-4">
-                        {result.term}yr
-                        {result.accelerated && (
-                          <span className="text-xs text-slate-500 ml-1">→ {result.actualTerm}yr</span>
+                  {results.map((result, idx) => {
+                    // Differences from the pinned baseline, shown under each figure on every other row
+                    const versus = baseline && result.id !== baseline.id ? versusBaseline(result) : null;
+                    return (
+                      <tr 
+                        key={idx} 
+                        className={`border-b border-slate-200 transition-colors ${
+                          highlightedScenario === result.id ? 'bg-blue-50' : 'hover:bg-slate-50'
+                        }`}
+                      >
+                        <td className="py-3 px-4 font-medium" style={{ color: result.color }}>
+                          {result.name}
+                          {baseline && baseline.id === result.id && <div className="text-xs font-normal text-slate-500">baseline</div>}
+                        </td>
+                        <td className="text-right py-3 px-4">
+                          {result.term}yr
+                          {(result.accelerated || hasExtraPayments(result.extraPayments) || isBalloon(result)) && (
+                            <span className="text-xs text-slate-500 ml-1">→ {Number(result.actualTerm.toFixed(2))}yr</span>
+                          )}
+                          {result.interestSaved > 0 && (
+                            <div className="text-xs text-green-600">saves ${Math.round(result.interestSaved).toLocaleString()} interest</div>
+                          )}
+                          {versus && <PayoffDelta yearsSaved={versus.yearsSaved} />}
+                        </td>
+                        <td className="text-right py-3 px-4">
+                          {result.rate}%
+                          {isArm(result) && (
+                            <div className="text-xs text-slate-500">ARM, up to {Number(result.peakRate.toFixed(3))}%</div>
+                          )}
+                          {result.compounding && (
+                            <div className="text-xs text-slate-500">{compoundingLabel(result)}</div>
+                          )}
+                          {result.apr !== result.rate && (
+                            <div className="text-xs text-slate-500">APR {result.apr.toFixed(3)}%</div>
+                          )}
+                        </td>
+                        <td className="text-right py-3 px-4 text-slate-600">
+                          ${result.principal.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                          {result.programFees.upfrontFee > 0 && (
+                            <div className="text-xs text-slate-500">
+                              incl. ${Math.round(result.programFees.upfrontFee).toLocaleString()} {programLabel(result)} fee
+                            </div>
+                          )}
+                        </td>
+                        <td className="text-right py-3 px-4 font-semibold">
+                          ${result.monthlyPayment.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                          {isInterestOnly(result) && (
+                            <div className="text-xs font-normal text-red-600">
+                              interest-only, then ${Math.round(result.peakPayment).toLocaleString()} from yr {Math.ceil(result.peakPaymentMonth / 12)}
+                            </div>
+                          )}
+                          {result.balloonPayment > 0 && (
+                            <div className="text-xs font-normal text-red-600">
+                              + ${Math.round(result.balloonPayment).toLocaleString()} balloon due {formatPaymentMonth(paymentMonth(firstPaymentMonth, result.balloonMonth))}
+                            </div>
+                          )}
+                          {versus && <BaselineDelta value={versus.monthlyPayment} />}
+                        </td>
+                        <td className="text-right py-3 px-4 font-semibold">
+                          ${result.monthlyPITI.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                          <div className="text-xs font-normal text-slate-500">
+                            Tax ${Math.round(result.monthlyTax).toLocaleString()} · Ins ${Math.round(result.monthlyInsurance).toLocaleString()} · HOA ${Math.round(result.monthlyHoa).toLocaleString()}
+                            {result.monthlyPMI > 0 && ` · ${insuranceLabel(result)} $${Math.round(result.monthlyPMI).toLocaleString()}`}
+                          </div>
+                          {versus && <BaselineDelta value={versus.monthlyPITI} />}
+                        </td>
+                        <td className="text-right py-3 px-4">
+                          ${result.totalPMI.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                          {result.pmiMonths > 0 && (
+                            <div className="text-xs text-slate-500">ends after payment {result.pmiMonths} (yr {Math.ceil(result.pmiMonths / 12)})</div>
+                          )}
+                        </td>
+                        <td className="text-right py-3 px-4">
+                          ${result.totalPaid.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                        </td>
+                        <td className="text-right py-3 px-4 font-semibold text-red-600">
+                          ${result.totalInterest.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                          {versus && <BaselineDelta value={versus.totalInterest} />}
+                        </td>
+                        <td className="text-right py-3 px-4">
+                          ${result.totalHousingCost.toLocaleString(undefined, {maximumFractionDigits: 0})}
+                          {versus && <BaselineDelta value={result.totalHousingCost - baseline.totalHousingCost} />}
+                        </td>
+                        {baseline && (
+                          <td className="text-right py-3 px-4">
+                            {versus && <Crossover month={versus.crossoverMonth} firstPaymentMonth={firstPaymentMonth} />}
+                          </td>
                         )}
-                      </td>
-                      <td className="text-right py-3 px-4">{result.rate}%</td>
-                      <td className="text-right py-3 px-4 text-slate-600">
-                        ${result.principal.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                      </td>
-                      <td className="text-right py-3 px-4 font-semibold">
-                        ${result.monthlyPayment.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                      </td>
-                      <td className="text-right py-3 px-4">
-                        ${result.totalPaid.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                      </td>
-                      <td className="text-right py-3 px-4 font-semibold text-red-600">
-                        ${result.totalInterest.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                      </td>
-                    </tr>
-                  ))}
+                      </tr>
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -370,24 +933,131 @@ export default function MortgageAnalyzer() {
 
         {/* Monthly Payments View */}
         {selectedView === 'payments' && (
-          <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
-            <h2 className="text-xl font-semibold text-slate-900 mb-4">Monthly Payment Comparison</h2>
-            <ResponsiveContainer width="100%" height={400}>
-              <BarChart data={comparisonData}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
-                <XAxis dataKey="name" tick={{ fill: '#64748b', fontSize: 11 }} angle={-15} textAnchor="end" height={80} />
-                <YAxis tick={{ fill: '#64748b', fontSize: 12 }} label={{ value: 'Monthly Payment ($)', angle: -90, position: 'insideLeft' }} />
-                <Tooltip 
-                  contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
-                  formatter={(value) => `$${value.toLocaleString()}`}
-                />
-                <Bar dataKey="Monthly P&I" radius={[8, 8, 0, 0]}>
-                  {comparisonData.map((entry, index) => (
-                    <Cell key={`cell-${index}`} fill={entry.color} />
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Monthly Payment Comparison</h2>
+              <ResponsiveContainer width="100%" height={400}>
+                <BarChart data={comparisonData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                  <XAxis dataKey="name" tick={{ fill: '#64748b', fontSize: 11 }} angle={-15} textAnchor="end" height={80} />
+                  <YAxis tick={{ fill: '#64748b', fontSize: 12 }} label={{ value: 'Monthly Payment ($)', angle: -90, position: 'insideLeft' }} />
+                  <Tooltip 
+                    contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+                    formatter={scenarioTooltip}
+                  />
+                  <Legend verticalAlign="top" />
+                  <Bar dataKey="Monthly P&I" fill="#475569" radius={[8, 8, 0, 0]}>
+                    {comparisonData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.color} />
+                    ))}
+                  </Bar>
+                  <Bar dataKey="Monthly PITI + HOA" fill="#94a3b8" radius={[8, 8, 0, 0]}>
+                    {comparisonData.map((entry, index) => (
+                      <Cell key={`cell-${index}`} fill={entry.color} fillOpacity={0.45} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Monthly P&I Over Time</h2>
+              <ResponsiveContainer width="100%" height={350}>
+                <LineChart data={paymentOverTimeData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                  <XAxis
+                    dataKey="year"
+                    label={{ value: 'Loan Year', position: 'insideBottom', offset: -5, fill: '#64748b' }}
+                    tick={{ fill: '#64748b', fontSize: 12 }}
+                  />
+                  <YAxis
+                    label={{ value: 'Monthly P&I ($)', angle: -90, position: 'insideLeft', fill: '#64748b' }}
+                    tick={{ fill: '#64748b', fontSize: 12 }}
+                  />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+                    formatter={yearTooltip}
+                  />
+                  <Legend />
+                  {results.map((result, idx) => (
+                    <Line
+                      key={idx}
+                      type="stepAfter"
+                      dataKey={result.name}
+                      stroke={result.color}
+                      strokeWidth={highlightedScenario === result.id ? 4 : 2}
+                      dot={false}
+                      opacity={highlightedScenario && highlightedScenario !== result.id ? 0.3 : 1}
+                    />
                   ))}
-                </Bar>
-              </BarChart>
-            </ResponsiveContainer>
+                </LineChart>
+              </ResponsiveContainer>
+              {results.some(r => isArm(r) || isInterestOnly(r)) && (
+                <div className="overflow-x-auto mt-6">
+                  <h3 className="text-lg font-semibold text-slate-900 mb-2">Payment Shock</h3>
+                  <p className="text-sm text-slate-600 mb-2">How far the payment can rise after an ARM's fixed period or when an interest-only period ends.</p>
+                  <table className="w-full text-sm">
+                    <thead className="bg-slate-100">
+                      <tr>
+                        <th className="text-left py-2 px-3 font-semibold text-slate-700">Scenario</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Initial Payment</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Peak Payment</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Payment Shock</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Rate Range</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.filter(r => isArm(r) || isInterestOnly(r)).map(result => (
+                        <tr key={result.id} className="border-b border-slate-200">
+                          <td className="py-2 px-3 font-medium" style={{ color: result.color }}>{result.name}</td>
+                          <td className="text-right py-2 px-3">${Math.round(result.monthlyPayment).toLocaleString()}</td>
+                          <td className="text-right py-2 px-3">
+                            ${Math.round(result.peakPayment).toLocaleString()}
+                            <span className="text-xs text-slate-500 ml-1">from yr {Math.ceil(result.peakPaymentMonth / 12)}</span>
+                          </td>
+                          <td className={`text-right py-2 px-3 font-semibold ${result.paymentShock > 0 ? 'text-red-600' : 'text-slate-600'}`}>
+                            +${Math.round(result.paymentShock).toLocaleString()}
+                            {/* A 0% interest-only loan starts from no payment at all, so there is no percentage rise */}
+                            {result.monthlyPayment > 0 && ` (${((result.paymentShock / result.monthlyPayment) * 100).toFixed(1)}%)`}
+                          </td>
+                          <td className="text-right py-2 px-3">
+                            {isArm(result) ? `${result.rate}% → ${Number(result.peakRate.toFixed(3))}%` : `${result.rate}% fixed`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              {results.some(r => r.balloonPayment > 0) && (
+                <div className="overflow-x-auto mt-6">
+                  <h3 className="text-lg font-semibold text-slate-900 mb-2">Balloon Payments</h3>
+                  <p className="text-sm text-slate-600 mb-2">The balance still owed when a balloon loan comes due, to be paid in cash, by selling or by refinancing.</p>
+                  <table className="w-full text-sm">
+                    <thead className="bg-slate-100">
+                      <tr>
+                        <th className="text-left py-2 px-3 font-semibold text-slate-700">Scenario</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Monthly Payment</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Balloon Due</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Balloon Amount</th>
+                        <th className="text-right py-2 px-3 font-semibold text-slate-700">Share of Loan</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.filter(r => r.balloonPayment > 0).map(result => (
+                        <tr key={result.id} className="border-b border-slate-200">
+                          <td className="py-2 px-3 font-medium" style={{ color: result.color }}>{result.name}</td>
+                          <td className="text-right py-2 px-3">${Math.round(result.monthlyPayment).toLocaleString()}</td>
+                          <td className="text-right py-2 px-3">{formatPaymentMonth(paymentMonth(firstPaymentMonth, result.balloonMonth))}</td>
+                          <td className="text-right py-2 px-3 font-semibold text-red-600">${Math.round(result.balloonPayment).toLocaleString()}</td>
+                          <td className="text-right py-2 px-3">{((result.balloonPayment / result.principal) * 100).toFixed(1)}%</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
           </div>
         )}
 
@@ -403,27 +1073,30 @@ export default function MortgageAnalyzer() {
                   <YAxis dataKey="name" type="category" width={150} tick={{ fill: '#64748b', fontSize: 11 }} />
                   <Tooltip 
                     contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
-                    formatter={(value) => `$${value.toLocaleString()}`}
+                    formatter={scenarioTooltip}
                   />
                   <Legend />
                   <Bar dataKey="Principal" stackId="a" fill="#10b981" />
                   <Bar dataKey="Total Interest" stackId="a" fill="#ef4444" />
+                  <Bar dataKey="Taxes, Insurance & HOA" stackId="a" fill="#94a3b8" />
+                  <Bar dataKey="Total PMI" stackId="a" fill="#f59e0b" />
+                  <Bar dataKey="Upfront Costs" stackId="a" fill="#8b5cf6" />
                 </BarChart>
               </ResponsiveContainer>
             </div>
 
             <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
-              <h2 className="text-xl font-semibold text-slate-900 mb-4">Interest Cost Comparison</h2>
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Interest Cost Comparison{realDollars && " (today's dollars)"}</h2>
               <ResponsiveContainer width="100%" height={350}>
                 <BarChart data={comparisonData}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
                   <XAxis dataKey="name" tick={{ fill: '#64748b', fontSize: 11 }} angle={-15} textAnchor="end" height={80} />
-                  <YAxis tick={{ fill: '#64748b', fontSize: 12 }} label={{ value: 'Total Interest ($)', angle: -90, position: 'insideLeft' }} />
+                  <YAxis tick={{ fill: '#64748b', fontSize: 12 }} label={{ value: `${interestKey} ($)`, angle: -90, position: 'insideLeft' }} />
                   <Tooltip 
                     contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
-                    formatter={(value) => `$${value.toLocaleString()}`}
+                    formatter={scenarioTooltip}
                   />
-                  <Bar dataKey="Total Interest" radius={[8, 8, 0, 0]}>
+                  <Bar dataKey={interestKey} radius={[8, 8, 0, 0]}>
                     {comparisonData.map((entry, index) => (
                       <Cell key={`cell-${index}`} fill={entry.color} />
                     ))}
@@ -431,6 +1104,29 @@ export default function MortgageAnalyzer() {
                 </BarChart>
               </ResponsiveContainer>
             </div>
+
+            {baselineComparisons.length > 1 && (
+              <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+                <h2 className="text-xl font-semibold text-slate-900 mb-4">
+                  Cumulative Cost vs <span style={{ color: baseline.color }}>{baseline.name}</span>
+                </h2>
+                <CostDifferenceChart baseline={baseline} comparisons={baselineComparisons} highlightedScenario={highlightedScenario} />
+                <ul className="text-sm text-slate-600 mt-2 space-y-1">
+                  {baselineComparisons.filter(({ result }) => result.id !== baseline.id).map(({ result, crossoverMonth }) => (
+                    <li key={result.id}>
+                      <span className="font-medium" style={{ color: result.color }}>{result.name}</span>
+                      {crossoverMonth === null
+                        ? ' never crosses the baseline'
+                        : ` crosses the baseline in ${formatPaymentMonth(paymentMonth(firstPaymentMonth, crossoverMonth))} (payment ${crossoverMonth})`}
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-xs text-slate-500 mt-2">
+                  Cumulative cost is the down payment and upfront costs plus every loan payment, extra principal and PMI paid so far; tax, insurance and
+                  HOA are the same for every scenario and left out. Below zero, a scenario has cost less than the baseline so far.
+                </p>
+              </div>
+            )}
           </div>
         )}
 
@@ -438,7 +1134,108 @@ export default function MortgageAnalyzer() {
         {selectedView === 'equity' && (
           <div className="space-y-6">
             <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
-              <h2 className="text-xl font-semibold text-slate-900 mb-4">Equity Buildup Over Time</h2>
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Home Value &amp; Sale</h2>
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Appreciation (%/yr)</label>
+                  <input
+                    type="number"
+                    step="0.25"
+                    value={appreciationRate}
+                    disabled={appreciation.path.length > 0}
+                    onChange={(e) => setAppreciationRate(parseFloat(e.target.value) || 0)}
+                    className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm disabled:bg-slate-100"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Or yearly changes (%)</label>
+                  <input
+                    type="text"
+                    placeholder="e.g. 5, 3, -8, -2, 4"
+                    value={appreciationPath}
+                    onChange={(e) => setAppreciationPath(e.target.value)}
+                    className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+                  />
+                  <p className="text-xs text-slate-500 mt-1">Year 1, year 2, ...; the last change repeats</p>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Selling costs (% of price)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    value={sellingCostPercent}
+                    onChange={(e) => setSellingCostPercent(Math.max(0, parseFloat(e.target.value) || 0))}
+                    className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-slate-700 mb-1">Sell at end of year</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="50"
+                    value={saleYear}
+                    onChange={(e) => setSaleYear(Math.min(50, Math.max(1, parseInt(e.target.value) || 1)))}
+                    className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Selling at Year {saleYear}</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-100">
+                    <tr>
+                      <th className="text-left py-3 px-4 font-semibold text-slate-700">Scenario</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Sale Price</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Selling Costs</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Loan Payoff</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Net Proceeds</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Cash Paid In</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">True Cost</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {saleData.map(({ result, sale }) => (
+                      <tr key={result.id} className="border-b border-slate-200 hover:bg-slate-50">
+                        <td className="py-3 px-4">
+                          <div className="flex items-center gap-2">
+                            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: result.color }} />
+                            <span className="font-medium">{result.name}</span>
+                          </div>
+                        </td>
+                        <td className="text-right py-3 px-4">${Math.round(sale.salePrice).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4">${Math.round(sale.sellingCosts).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4">${Math.round(sale.balance).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4 font-semibold">
+                          ${Math.round(sale.netProceeds).toLocaleString()}
+                          {baseline && result.id !== baseline.id && <BaselineDelta value={sale.netProceeds - baselineSale.netProceeds} betterWhenLower={false} />}
+                        </td>
+                        <td className="text-right py-3 px-4">
+                          ${Math.round(sale.cashIn).toLocaleString()}
+                          <div className="text-xs text-slate-500">${Math.round(sale.interestPaid).toLocaleString()} of it interest</div>
+                        </td>
+                        <td className="text-right py-3 px-4 font-semibold text-red-600">
+                          ${Math.round(sale.trueCost).toLocaleString()}
+                          <div className="text-xs font-normal text-slate-500">${Math.round(sale.monthlyCost).toLocaleString()}/month</div>
+                          {baseline && result.id !== baseline.id && <BaselineDelta value={sale.trueCost - baselineSale.trueCost} />}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-slate-500 mt-2">
+                Cash paid in is the down payment, points and closing costs, loan payments, PMI, taxes, insurance and HOA through year {saleYear}.
+                True cost is that cash less the net proceeds from the sale.
+              </p>
+            </div>
+
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Home Equity at Market Value</h2>
               <ResponsiveContainer width="100%" height={450}>
                 <LineChart data={equityBuildupData}>
                   <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
@@ -448,12 +1245,12 @@ export default function MortgageAnalyzer() {
                     tick={{ fill: '#64748b', fontSize: 12 }}
                   />
                   <YAxis 
-                    label={{ value: 'Equity Built ($)', angle: -90, position: 'insideLeft', fill: '#64748b' }}
+                    label={{ value: 'Equity ($)', angle: -90, position: 'insideLeft', fill: '#64748b' }}
                     tick={{ fill: '#64748b', fontSize: 12 }}
                   />
                   <Tooltip 
                     contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
-                    formatter={(value) => `$${value.toLocaleString()}`}
+                    formatter={yearTooltip}
                   />
                   <Legend />
                   {results.map((result, idx) => (
@@ -467,10 +1264,26 @@ export default function MortgageAnalyzer() {
                       opacity={highlightedScenario && highlightedScenario !== result.id ? 0.3 : 1}
                     />
                   ))}
+                  <Line type="monotone" dataKey="Market value" stroke="#94a3b8" strokeDasharray="6 4" strokeWidth={2} dot={false} />
                 </LineChart>
               </ResponsiveContainer>
+              <p className="text-xs text-slate-500 mt-2">
+                Equity is the projected market value less the loan balance, so it includes the down payment and any appreciation.
+              </p>
             </div>
 
+            {baselineComparisons.length > 1 && (
+              <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+                <h2 className="text-xl font-semibold text-slate-900 mb-4">
+                  Equity Gap vs <span style={{ color: baseline.color }}>{baseline.name}</span>
+                </h2>
+                <EquityGapChart baseline={baseline} comparisons={baselineComparisons} highlightedScenario={highlightedScenario} />
+                <p className="text-xs text-slate-500 mt-2">
+                  Each scenario's equity at market value less the baseline's. Above zero, it owns more of the home than the baseline at that point.
+                </p>
+              </div>
+            )}
+
             <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
               <h2 className="text-xl font-semibold text-slate-900 mb-4">Remaining Balance Over Time</h2>
               <ResponsiveContainer width="100%" height={450}>
@@ -485,9 +1298,18 @@ export default function MortgageAnalyzer() {
                     label={{ value: 'Remaining Balance ($)', angle: -90, position: 'insideLeft', fill: '#64748b' }}
                     tick={{ fill: '#64748b', fontSize: 12 }}
                   />
+                  {results.some(isArm) && (
+                    <YAxis
+                      yAxisId="rate"
+                      orientation="right"
+                      domain={[0, 'auto']}
+                      label={{ value: 'ARM Rate (%)', angle: 90, position: 'insideRight', fill: '#64748b' }}
+                      tick={{ fill: '#64748b', fontSize: 12 }}
+                    />
+                  )}
                   <Tooltip 
                     contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
-                    formatter={(value) => `$${value.toLocaleString()}`}
+                    formatter={(value, name, item) => name.endsWith(' rate') ? `${value}%` : yearTooltip(value, name, item)}
                   />
                   <Legend />
                   {results.map((result, idx) => (
@@ -501,6 +1323,31 @@ export default function MortgageAnalyzer() {
                       opacity={highlightedScenario && highlightedScenario !== result.id ? 0.3 : 1}
                     />
                   ))}
+                  {results.filter(result => hasExtraPayments(result.extraPayments)).map(result => (
+                    <Line
+                      key={`${result.id}-no-extra`}
+                      type="monotone"
+                      dataKey={`${result.name} (no extra)`}
+                      stroke={result.color}
+                      strokeDasharray="6 4"
+                      strokeWidth={1.5}
+                      dot={false}
+                      opacity={highlightedScenario && highlightedScenario !== result.id ? 0.3 : 0.7}
+                    />
+                  ))}
+                  {results.filter(isArm).map(result => (
+                    <Line
+                      key={`${result.id}-rate`}
+                      yAxisId="rate"
+                      type="stepAfter"
+                      dataKey={`${result.name} rate`}
+                      stroke={result.color}
+                      strokeDasharray="2 3"
+                      strokeWidth={1.5}
+                      dot={false}
+                      opacity={highlightedScenario && highlightedScenario !== result.id ? 0.3 : 0.8}
+                    />
+                  ))}
                 </LineChart>
               </ResponsiveContainer>
             </div>
@@ -510,9 +1357,36 @@ export default function MortgageAnalyzer() {
         {/* Amortization View */}
         {selectedView === 'amortization' && results.length > 0 && (
           <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-4 flex flex-wrap items-center gap-3">
+              <label className="text-sm font-medium text-slate-700">First Payment</label>
+              <input
+                type="date"
+                value={paymentDate(firstPaymentMonth, paymentDay, 1)}
+                onChange={(e) => {
+                  if (!e.target.value) return;
+                  setFirstPaymentMonth(e.target.value.slice(0, 7));
+                  setPaymentDay(Number(e.target.value.slice(8, 10)));
+                }}
+                className="px-3 py-2 rounded-lg border border-slate-300 text-sm"
+              />
+              <label className="text-sm font-medium text-slate-700 ml-4">Schedule</label>
+              <select
+                value={scheduleMode}
+                onChange={(e) => setScheduleMode(e.target.value)}
+                className="px-3 py-2 rounded-lg border border-slate-300 text-sm"
+              >
+                <option value="exact">Exact</option>
+                <option value="lender">Lender (rounded to cents)</option>
+              </select>
+              <span className="text-xs text-slate-500">
+                {scheduleMode === 'lender'
+                  ? 'Each line is rounded to the cent and the final payment absorbs the difference, so totals tie out exactly.'
+                  : 'Unrounded amounts, as the formulas give them.'}
+              </span>
+            </div>
             {results.map((result, idx) => {
               const schedule = generateAmortizationSchedule(result);
-              const scheduleData = schedule.slice(0, 11).map(s => ({
+              const scheduleData = schedule.map(s => ({
                 year: s.year,
                 'Principal Paid': Math.round(s.principalPaid),
                 'Interest Paid': Math.round(s.interestPaid),
@@ -522,7 +1396,7 @@ export default function MortgageAnalyzer() {
               return (
                 <div key={idx} className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
                   <h2 className="text-xl font-semibold text-slate-900 mb-4" style={{ color: result.color }}>
-                    {result.name} - Year-by-Year Breakdown
+                    {result.name} - Amortization Schedule
                   </h2>
                   <div className="mb-6">
                     <ResponsiveContainer width="100%" height={300}>
@@ -537,110 +1411,171 @@ export default function MortgageAnalyzer() {
                       </BarChart>
                     </ResponsiveContainer>
                   </div>
-                  <div className="overflow-x-auto">
-                    <table className="w-full text-sm">
-                      <thead className="bg-slate-100">
-                        <tr>
-                          <th className="text-left py-2 px-3 font-semibold text-slate-700">Year</th>
-                          <th className="text-right py-2 px-3 font-semibold text-slate-700">Principal Paid</th>
-                          <th className="text-right py-2 px-3 font-semibold text-slate-700">Interest Paid</th>
-                          <th className="text-right py-2 px-3 font-semibold text-slate-700">Total Paid</th>
-                          <th className="text-right py-2 px-3 font-semibold text-slate-700">Balance</th>
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {schedule.slice(0, 11).map((s, i) => (
-                          <tr key={i} className="border-b border-slate-200">
-                            <td className="py-2 px-3">{s.year}</td>
-                            <td className="text-right py-2 px-3 text-green-600">
-                              ${s.principalPaid.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                            </td>
-                            <td className="text-right py-2 px-3 text-red-600">
-                              ${s.interestPaid.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                            </td>
-                            <td className="text-right py-2 px-3">
-                              ${s.totalPaid.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                            </td>
-                            <td className="text-right py-2 px-3 font-semibold">
-                              ${s.balance.toLocaleString(undefined, {maximumFractionDigits: 0})}
-                            </td>
-                          </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
-                  {schedule.length > 11 && (
-                    <p className="text-sm text-slate-500 mt-2">Showing first 10 years. Full term: {result.actualTerm} years.</p>
+                  {result.interestSaved > 0 && (
+                    <p className="text-sm text-slate-700 mb-4">
+                      Paid off {formatPaymentMonth(paymentMonth(firstPaymentMonth, result.numPayments))} after {result.numPayments} payments,{' '}
+                      {result.monthsSaved} months early, saving{' '}
+                      <span className="font-semibold text-green-600">${Math.round(result.interestSaved).toLocaleString()}</span>{' '}
+                      in interest compared with the {result.term}-year schedule.
+                    </p>
                   )}
+                  <AmortizationTable result={result} firstPaymentMonth={firstPaymentMonth} paymentDay={paymentDay} />
                 </div>
               );
             })}
           </div>
         )}
 
-        {/* Analysis Summary */}
-        {bestWorstAnalysis && (
-          <div className="bg-gradient-to-br from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-xl p-6">
-            <h3 className="text-lg font-semibold text-blue-900 mb-4">Strategic Analysis</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
-              <div className="bg-white rounded-lg p-4 shadow-sm">
-                <p className="text-slate-600 mb-1">Lowest Monthly Payment</p>
-                <p className="font-bold text-lg" style={{ color: bestWorstAnalysis.lowestPayment.color }}>
-                  {bestWorstAnalysis.lowestPayment.name}
-                </p>
-                <p className="text-slate-900 font-semibold">
-                  ${Math.round(bestWorstAnalysis.lowestPayment.monthlyPayment).toLocaleString()}/month
-                </p>
-              </div>
-              
-              <div className="bg-white rounded-lg p-4 shadow-sm">
-                <p className="text-slate-600 mb-1">Lowest Total Cost</p>
-                <p className="font-bold text-lg" style={{ color: bestWorstAnalysis.lowestCost.color }}>
-                  {bestWorstAnalysis.lowestCost.name}
-                </p>
-                <p className="text-green-600 font-semibold">
-                  ${Math.round(bestWorstAnalysis.lowestCost.totalInterest).toLocaleString()} in interest
-                </p>
-              </div>
-              
-              <div className="bg-white rounded-lg p-4 shadow-sm">
-                <p className="text-slate-600 mb-1">Highest Total Cost</p>
-                <p className="font-bold text-lg" style={{ color: bestWorstAnalysis.highestCost.color }}>
-                  {bestWorstAnalysis.highestCost.name}
-                </p>
-                <p className="text-red-600 font-semibold">
-                  ${Math.round(bestWorstAnalysis.highestCost.totalInterest).toLocaleString()} in interest
-                </p>
-              </div>
-              
-              <div className="bg-white rounded-lg p-4 shadow-sm">
-                <p className="text-slate-600 mb-1">Cost Difference (Best vs Worst)</p>
-                <p className="text-2xl font-bold text-red-600">
-                  ${Math.round(bestWorstAnalysis.costDifference).toLocaleString()}
-                </p>
-                <p className="text-xs text-slate-500 mt-1">Potential savings by choosing optimal strategy</p>
+        {/* Refinance View */}
+        {selectedView === 'refinance' && (
+          <RefinanceAnalyzer results={results} />
+        )}
+
+        {/* Rent vs Buy View */}
+        {selectedView === 'rent-vs-buy' && results.length > 0 && (
+          <RentVsBuy results={results} housePrice={housePrice} escrow={escrow} pmi={pmi} />
+        )}
+
+        {/* Affordability View */}
+        {selectedView === 'affordability' && (
+          <Affordability
+            scenarios={scenarios.filter(s => activeScenarios.includes(s.id))}
+            housePrice={housePrice}
+            downPaymentPercent={downPaymentPercent}
+            costs={affordabilityCosts}
+            pmi={pmi}
+          />
+        )}
+
+        {/* Goal Seek View */}
+        {selectedView === 'goal-seek' && (
+          <GoalSeek
+            scenarios={scenarios.filter(s => activeScenarios.includes(s.id))}
+            context={goalSeekContext}
+            onApply={applyGoal}
+          />
+        )}
+
+        {/* Sensitivity View */}
+        {selectedView === 'sensitivity' && (
+          <Sensitivity
+            scenarios={scenarios.filter(s => activeScenarios.includes(s.id))}
+            context={goalSeekContext}
+          />
+        )}
+
+        {/* Monte Carlo View */}
+        {selectedView === 'monte-carlo' && (
+          <MonteCarlo
+            results={results}
+            escrow={escrow}
+            pmi={pmi}
+            sellingCostPercent={sellingCostPercent}
+            appreciation={appreciation}
+            investmentReturn={investmentReturn}
+            saleYear={saleYear}
+          />
+        )}
+
+        {/* Points & APR View */}
+        {selectedView === 'points' && results.length > 0 && (
+          <BuyDownAnalyzer results={results} pmi={pmi} />
+        )}
+
+        {/* Opportunity Cost View */}
+        {selectedView === 'opportunity' && (
+          <div className="space-y-6">
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Present Value of Payments</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-slate-100">
+                    <tr>
+                      <th className="text-left py-3 px-4 font-semibold text-slate-700">Scenario</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Paid</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Present Value at {discountRate}%</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Paid (today's $)</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Interest</th>
+                      <th className="text-right py-3 px-4 font-semibold text-slate-700">Total Interest (today's $)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map(result => (
+                      <tr key={result.id} className="border-b border-slate-200 hover:bg-slate-50">
+                        <td className="py-3 px-4">
+                          <div className="flex items-center gap-2">
+                            <div className="w-3 h-3 rounded-full" style={{ backgroundColor: result.color }} />
+                            <span className="font-medium">{result.name}</span>
+                          </div>
+                        </td>
+                        <td className="text-right py-3 px-4">${Math.round(result.totalPaid).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4 font-semibold">${Math.round(result.presentValue).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4">${Math.round(result.realTotalPaid).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4 text-red-600">${Math.round(result.totalInterest).toLocaleString()}</td>
+                        <td className="text-right py-3 px-4 text-red-600">${Math.round(result.realTotalInterest).toLocaleString()}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
+              <p className="text-xs text-slate-500 mt-2">
+                Present value discounts each P&I and extra payment back to today at the discount rate; today's dollars deflate them by inflation.
+                A borrower whose money earns more than the discount rate elsewhere is better off with the lower present value.
+              </p>
             </div>
-            
-            <div className="mt-4 p-4 bg-white rounded-lg shadow-sm">
-              <p className="text-sm text-slate-700 leading-relaxed">
-                The data reveals the mathematical trap of extended-term mortgages. The lowest monthly payment appears attractive but costs 
-                <span className="font-bold text-red-600"> ${Math.round(bestWorstAnalysis.costDifference).toLocaleString()} </span>
-                more in total interest compared to the most efficient option. A shorter-term loan at a lower rate consistently delivers 
-                the best outcome, building equity faster while paying substantially less interest over the life of the loan.
+
+            <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+              <h2 className="text-xl font-semibold text-slate-900 mb-4">Invest the Difference: Net Worth{realDollars && " (today's dollars)"}</h2>
+              <ResponsiveContainer width="100%" height={450}>
+                <LineChart data={investmentData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                  <XAxis
+                    dataKey="year"
+                    label={{ value: 'Years', position: 'insideBottom', offset: -5, fill: '#64748b' }}
+                    tick={{ fill: '#64748b', fontSize: 12 }}
+                  />
+                  <YAxis tick={{ fill: '#64748b', fontSize: 12 }} />
+                  <Tooltip
+                    contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+                    formatter={(value) => `$${value.toLocaleString()}`}
+                  />
+                  <Legend />
+                  {results.map(result => (
+                    <Line
+                      key={result.id}
+                      type="monotone"
+                      dataKey={result.name}
+                      stroke={result.color}
+                      strokeWidth={highlightedScenario === result.id ? 4 : 2}
+                      dot={false}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              <p className="text-xs text-slate-500 mt-2">
+                Each scenario has the same cash: the largest down payment up front, then each month the largest loan payment (with PMI) any scenario is still making.
+                What a scenario doesn't spend on its own loan is invested at {investmentReturn}% a year. Net worth is home equity at the purchase price plus those investments.
               </p>
             </div>
           </div>
         )}
 
+        {/* Analysis Summary */}
+        {summary}
+
         <div className="bg-slate-800 rounded-xl p-6 text-slate-300 text-sm">
           <p className="font-semibold text-white mb-2">Important Notes</p>
           <ul className="space-y-1 list-disc list-inside">
-            <li>All calculations show Principal and Interest only</li>
-            <li>Actual monthly payments include property taxes, insurance, and PMI (required for down payments below 20%)</li>
-            <li>Scenario 7 uses 3.5% down payment instead of the standard {downPaymentPercent}%</li>
+            <li>Monthly P&I covers principal and interest only; PITI + HOA adds property tax, homeowners insurance, PMI and HOA dues</li>
+            <li>Tax and insurance grow by the escalation rate each year; HOA dues are held flat</li>
+            <li>PMI applies to loans above 80% LTV and drops off automatically at 78% of the original value, or at 80% on borrower request</li>
+            <li>Total housing cost includes P&I, taxes, insurance, HOA, PMI and each scenario's points and closing costs net of lender credits</li>
+            {scenarios.filter(s => s.specialDown != null).map(s => (
+              <li key={s.id}>{s.name} uses {s.specialDown}% down payment instead of the standard {downPaymentPercent}%</li>
+            ))}
             <li>Accelerated scenarios show the effect of making higher payments on longer-term loans</li>
-        
+            <li>ARM payments are re-amortized at each rate reset; the index path is an assumption, not a forecast</li>
+            <li>Present value discounts payments at the discount rate; today's dollars adjust for inflation; neither changes the nominal totals shown elsewhere</li>
           </ul>
         </div>
       </div>
@@ -0,0 +1,218 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { analyzeRefinance, isValidRefinance } from './refinance.js';
+import { paymentsChange, hasExtraPayments } from './mortgageMath.js';
+
+const defaultInputs = {
+  originalBalance: 190000,
+  currentRate: 7.5,
+  termYears: 30,
+  monthsPaid: 36,
+  newRate: 6.0,
+  newTermYears: 30,
+  closingCosts: 4000,
+  pointsPercent: 0,
+  cashOut: 0,
+  rollCosts: false
+};
+
+// Whole-number fields drop any fraction typed into them
+const NumberField = ({ label, value, onChange, step = 1, min = 0, max, integer = false }) => (
+  <div>
+    <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => {
+        const value = parseFloat(e.target.value) || 0;
+        onChange(Math.max(min, integer ? Math.floor(value) : value));
+      }}
+      className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+    />
+  </div>
+);
+
+// The refinance math models a plain fixed-rate loan with monthly compounding, so only scenarios
+// that are one can start the current loan; anything else would silently lose its settings
+const isPlainFixed = (result) => !paymentsChange(result) && !result.accelerated && !result.compounding &&
+  !hasExtraPayments(result.extraPayments);
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value)).toLocaleString()}`;
+
+export default function RefinanceAnalyzer({ results }) {
+  const [inputs, setInputs] = useState(defaultInputs);
+
+  const update = (field) => (value) => setInputs({ ...inputs, [field]: value });
+
+  // Start the existing loan from one of the active scenarios
+  const loadScenario = (id) => {
+    const result = results.find(r => r.id === Number(id));
+    if (!result || !isPlainFixed(result)) return;
+    setInputs({
+      ...inputs,
+      originalBalance: Math.round(result.principal),
+      currentRate: result.rate,
+      termYears: result.term
+    });
+  };
+
+  const valid = isValidRefinance(inputs);
+
+  const refi = useMemo(() => valid ? analyzeRefinance(inputs) : null, [inputs, valid]);
+
+  const chartData = useMemo(() => {
+    if (!refi) return [];
+    return refi.timeline
+      .filter(point => point.month % 12 === 0)
+      .map(point => ({
+        year: point.month / 12,
+        'Stay on current loan': Math.round(point.stayPaid),
+        'Refinance': Math.round(point.refiPaid),
+        'Net savings': Math.round(point.netSavings)
+      }));
+  }, [refi]);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-xl font-semibold text-slate-900">Refinance Analyzer</h2>
+          <select
+            value=""
+            onChange={(e) => loadScenario(e.target.value)}
+            className="px-3 py-2 rounded-lg border border-slate-300 text-sm"
+          >
+            <option value="">Start from a scenario…</option>
+            {results.map(result => (
+              <option key={result.id} value={result.id} disabled={!isPlainFixed(result)}>
+                {result.name}{!isPlainFixed(result) && ' (fixed-rate loans only)'}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-900 mb-3">Current Loan</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <NumberField label="Original balance ($)" value={inputs.originalBalance} step={1000} onChange={update('originalBalance')} />
+              <NumberField label="Rate (%)" value={inputs.currentRate} step={0.125} onChange={update('currentRate')} />
+              <NumberField label="Term (years)" value={inputs.termYears} min={1} max={50} onChange={update('termYears')} />
+              <NumberField label="Payments already made" value={inputs.monthsPaid} max={inputs.termYears * 12 - 1} integer onChange={update('monthsPaid')} />
+            </div>
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-slate-900 mb-3">New Loan</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <NumberField label="Rate (%)" value={inputs.newRate} step={0.125} onChange={update('newRate')} />
+              <NumberField label="Term (years)" value={inputs.newTermYears} min={1} max={50} onChange={update('newTermYears')} />
+              <NumberField label="Closing costs ($)" value={inputs.closingCosts} step={250} onChange={update('closingCosts')} />
+              <NumberField label="Points (% of loan)" value={inputs.pointsPercent} step={0.125} onChange={update('pointsPercent')} />
+              <NumberField label="Cash-out ($)" value={inputs.cashOut} step={1000} onChange={update('cashOut')} />
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-700 mt-6">
+                <input
+                  type="checkbox"
+                  checked={inputs.rollCosts}
+                  onChange={(e) => setInputs({ ...inputs, rollCosts: e.target.checked })}
+                />
+                Roll costs into the new balance
+              </label>
+            </div>
+          </div>
+        </div>
+        {!valid && (
+          <p className="text-sm text-red-600 mt-4">Payments already made must be a whole number fewer than the current loan's term, and balances and terms must be positive.</p>
+        )}
+      </div>
+
+      {refi && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+              <p className="text-slate-600 mb-1">Current Balance</p>
+              <p className="text-2xl font-bold text-slate-900">{money(refi.currentBalance)}</p>
+              <p className="text-xs text-slate-500 mt-1">{refi.remainingMonths} payments of {money(refi.currentPayment)} left</p>
+            </div>
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+              <p className="text-slate-600 mb-1">Monthly Savings</p>
+              <p className={`text-2xl font-bold ${refi.monthlySavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>{money(refi.monthlySavings)}</p>
+              <p className="text-xs text-slate-500 mt-1">New payment {money(refi.newPayment)} on {money(refi.newPrincipal)}</p>
+            </div>
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+              <p className="text-slate-600 mb-1">Break-even</p>
+              <p className="text-2xl font-bold text-slate-900">
+                {refi.breakEvenMonth ? `Month ${refi.breakEvenMonth}` : 'Never'}
+              </p>
+              <p className="text-xs text-slate-500 mt-1">
+                {money(refi.upfrontCosts)} in costs{refi.simpleBreakEvenMonth ? `; costs ÷ savings = ${refi.simpleBreakEvenMonth} months` : ''}
+              </p>
+            </div>
+            <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+              <p className="text-slate-600 mb-1">Lifetime Net Savings</p>
+              <p className={`text-2xl font-bold ${refi.lifetimeSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>{money(refi.lifetimeSavings)}</p>
+              <p className="text-xs text-slate-500 mt-1">If both loans run to term</p>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+            <h2 className="text-xl font-semibold text-slate-900 mb-4">Net Savings by Holding Period</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead className="bg-slate-100">
+                  <tr>
+                    <th className="text-left py-2 px-3 font-semibold text-slate-700">Hold for</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">Stay: Paid + Owed</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">Refinance: Paid + Owed − Cash-out</th>
+                    <th className="text-right py-2 px-3 font-semibold text-slate-700">Net Savings</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {refi.horizons.map(h => (
+                    <tr key={h.years} className="border-b border-slate-200">
+                      <td className="py-2 px-3">{h.years} years</td>
+                      <td className="text-right py-2 px-3">{money(h.stayCost)}</td>
+                      <td className="text-right py-2 px-3">{money(h.refiCost)}</td>
+                      <td className={`text-right py-2 px-3 font-semibold ${h.netSavings >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {money(h.netSavings)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-slate-500 mt-2">
+              Net savings count payments made plus the balance still owed at that point, so selling early reflects rolled-in costs and cash-out.
+            </p>
+          </div>
+
+          <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+            <h2 className="text-xl font-semibold text-slate-900 mb-4">Cumulative Cost: Stay vs Refinance</h2>
+            <ResponsiveContainer width="100%" height={400}>
+              <LineChart data={chartData}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+                <XAxis
+                  dataKey="year"
+                  label={{ value: 'Years from today', position: 'insideBottom', offset: -5, fill: '#64748b' }}
+                  tick={{ fill: '#64748b', fontSize: 12 }}
+                />
+                <YAxis tick={{ fill: '#64748b', fontSize: 12 }} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+                  formatter={(value) => money(value)}
+                />
+                <Legend />
+                <ReferenceLine y={0} stroke="#94a3b8" />
+                {refi.breakEvenMonth && <ReferenceLine x={Math.ceil(refi.breakEvenMonth / 12)} stroke="#10b981" strokeDasharray="4 4" label="Break-even" />}
+                <Line type="monotone" dataKey="Stay on current loan" stroke="#ef4444" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="Refinance" stroke="#3b82f6" strokeWidth={2} dot={false} />
+                <Line type="monotone" dataKey="Net savings" stroke="#10b981" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
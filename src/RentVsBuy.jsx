@@ -0,0 +1,189 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { analyzeRentVsBuy } from './rentVsBuy.js';
+
+const defaultAssumptions = {
+  horizonYears: 30,
+  monthlyRent: 1600,
+  rentGrowth: 3,
+  appreciation: 3,
+  maintenancePercent: 1,
+  closingCostPercent: 3,
+  sellingCostPercent: 6,
+  investmentReturn: 6
+};
+
+const NumberField = ({ label, value, onChange, step = 1, min = 0, max }) => (
+  <div>
+    <label className="block text-sm font-medium text-slate-700 mb-1">{label}</label>
+    <input
+      type="number"
+      min={min}
+      max={max}
+      step={step}
+      value={value}
+      onChange={(e) => onChange(Math.max(min, parseFloat(e.target.value) || 0))}
+      className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+    />
+  </div>
+);
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value)).toLocaleString()}`;
+
+export default function RentVsBuy({ results, housePrice, escrow, pmi }) {
+  const [assumptions, setAssumptions] = useState(defaultAssumptions);
+  const [scenarioId, setScenarioId] = useState(null);
+
+  const update = (field) => (value) => setAssumptions({ ...assumptions, [field]: value });
+
+  const result = results.find(r => r.id === scenarioId) || results[0];
+  const horizonYears = Math.min(Math.max(1, Math.floor(assumptions.horizonYears)), 50);
+
+  const analysis = useMemo(() => result
+    ? analyzeRentVsBuy(result, { ...assumptions, horizonYears, housePrice, escrow, pmi })
+    : null, [result, assumptions, horizonYears, housePrice, escrow, pmi]);
+
+  const chartData = useMemo(() => {
+    if (!analysis) return [];
+    return analysis.yearly.map(point => ({
+      year: point.year,
+      'Buy: net worth': Math.round(point.buyNetWorth),
+      'Rent: net worth': Math.round(point.rentNetWorth),
+      'Home equity': Math.round(point.homeValue - point.balance)
+    }));
+  }, [analysis]);
+
+  if (!analysis) return null;
+
+  const final = analysis.yearly[analysis.yearly.length - 1];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-xl font-semibold text-slate-900">Rent vs Buy</h2>
+          <select
+            value={result.id}
+            onChange={(e) => setScenarioId(Number(e.target.value))}
+            className="px-3 py-2 rounded-lg border border-slate-300 text-sm"
+          >
+            {results.map(r => (
+              <option key={r.id} value={r.id}>{r.name}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <h3 className="text-lg font-semibold text-slate-900 mb-3">Renting</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <NumberField label="Monthly rent ($)" value={assumptions.monthlyRent} step={50} onChange={update('monthlyRent')} />
+              <NumberField label="Rent growth (%/yr)" value={assumptions.rentGrowth} step={0.25} onChange={update('rentGrowth')} />
+              <NumberField label="Investment return (%/yr)" value={assumptions.investmentReturn} step={0.25} onChange={update('investmentReturn')} />
+              <NumberField label="Horizon (years)" value={assumptions.horizonYears} min={1} max={50} onChange={update('horizonYears')} />
+            </div>
+          </div>
+          <div>
+            <h3 className="text-lg font-semibold text-slate-900 mb-3">Buying</h3>
+            <div className="grid grid-cols-2 gap-4">
+              <NumberField label="Appreciation (%/yr)" value={assumptions.appreciation} min={-20} step={0.25} onChange={update('appreciation')} />
+              <NumberField label="Maintenance (% of value/yr)" value={assumptions.maintenancePercent} step={0.25} onChange={update('maintenancePercent')} />
+              <NumberField label="Closing costs (% of price)" value={assumptions.closingCostPercent} step={0.25} onChange={update('closingCostPercent')} />
+              <NumberField label="Selling costs (% of value)" value={assumptions.sellingCostPercent} step={0.25} onChange={update('sellingCostPercent')} />
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-sm">
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+          <p className="text-slate-600 mb-1">Cash to Close</p>
+          <p className="text-2xl font-bold text-slate-900">{money(analysis.downPayment + analysis.closingCosts)}</p>
+          <p className="text-xs text-slate-500 mt-1">Down payment plus closing costs; the renter invests this instead</p>
+        </div>
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+          <p className="text-slate-600 mb-1">Crossover</p>
+          <p className="text-2xl font-bold text-slate-900">
+            {analysis.crossoverYear === null ? 'Never' : `Year ${analysis.crossoverYear}`}
+          </p>
+          <p className="text-xs text-slate-500 mt-1">First year buying leaves you with more net worth</p>
+        </div>
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+          <p className="text-slate-600 mb-1">Net Worth in Year {horizonYears}</p>
+          <p className="text-lg font-bold text-slate-900">Buy {money(final.buyNetWorth)}</p>
+          <p className="text-lg font-bold text-slate-900">Rent {money(final.rentNetWorth)}</p>
+        </div>
+        <div className="bg-white rounded-lg p-4 shadow-sm border border-slate-200">
+          <p className="text-slate-600 mb-1">Buying Advantage</p>
+          <p className={`text-2xl font-bold ${analysis.finalAdvantage >= 0 ? 'text-green-600' : 'text-red-600'}`}>{money(analysis.finalAdvantage)}</p>
+          <p className="text-xs text-slate-500 mt-1">After selling costs in year {horizonYears}</p>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">Net Worth Over Time: {result.name}</h2>
+        <ResponsiveContainer width="100%" height={400}>
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis
+              dataKey="year"
+              label={{ value: 'Years', position: 'insideBottom', offset: -5, fill: '#64748b' }}
+              tick={{ fill: '#64748b', fontSize: 12 }}
+            />
+            <YAxis tick={{ fill: '#64748b', fontSize: 12 }} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '8px' }}
+              formatter={(value) => money(value)}
+            />
+            <Legend />
+            {analysis.crossoverYear !== null && (
+              <ReferenceLine x={analysis.crossoverYear} stroke="#10b981" strokeDasharray="4 4" label="Crossover" />
+            )}
+            <Line type="monotone" dataKey="Buy: net worth" stroke={result.color} strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="Rent: net worth" stroke="#64748b" strokeWidth={2} dot={false} />
+            <Line type="monotone" dataKey="Home equity" stroke={result.color} strokeWidth={1} strokeDasharray="6 4" dot={false} />
+          </LineChart>
+        </ResponsiveContainer>
+        <p className="text-xs text-slate-500 mt-2">
+          Buying counts the home's value after selling costs, less the loan balance, plus any savings invested when owning costs less than rent.
+          Owning costs include the mortgage payment, extra payments, PMI, taxes, insurance, HOA and maintenance.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">Year by Year</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Year</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Avg Rent</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Avg Cost to Own</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Home Value</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Loan Balance</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Buy Net Worth</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Rent Net Worth</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.yearly.slice(1).map(point => (
+                <tr key={point.year} className={`border-b border-slate-200 ${point.year === analysis.crossoverYear ? 'bg-green-50' : ''}`}>
+                  <td className="py-2 px-3">{point.year}</td>
+                  <td className="text-right py-2 px-3">{money(point.rent)}</td>
+                  <td className="text-right py-2 px-3">{money(point.ownershipCost)}</td>
+                  <td className="text-right py-2 px-3">{money(point.homeValue)}</td>
+                  <td className="text-right py-2 px-3">{money(point.balance)}</td>
+                  <td className={`text-right py-2 px-3 font-semibold ${point.buyNetWorth >= point.rentNetWorth ? 'text-green-600' : ''}`}>
+                    {money(point.buyNetWorth)}
+                  </td>
+                  <td className={`text-right py-2 px-3 font-semibold ${point.rentNetWorth > point.buyNetWorth ? 'text-green-600' : ''}`}>
+                    {money(point.rentNetWorth)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,352 @@
+import React, { useState } from 'react';
+import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend, Cell } from 'recharts';
+import { generateAmortizationSchedule, paymentMonth, formatPaymentMonth, paymentDate, formatPaymentDate, loanTypeLabel, compoundingLabel, hasExtraPayments, isInterestOnly } from './mortgageMath.js';
+import { hasProgram, programLabel } from './loanPrograms.js';
+import { BaselineDelta, PayoffDelta, Crossover, CostDifferenceChart, EquityGapChart } from './BaselineComparison.jsx';
+
+// Charts are drawn at a fixed size that fits a letter page inside the print margins, because
+// responsive charts measure the screen and come out clipped or stretched on paper
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 300;
+
+const money = (value) => `$${Math.round(value).toLocaleString()}`;
+const cents = (value) => `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const axisTick = { fill: '#64748b', fontSize: 11 };
+
+const Section = ({ title, breakBefore, children }) => (
+  <section className={`mb-8 ${breakBefore ? 'break-before-page' : ''}`}>
+    <h2 className="text-xl font-semibold text-slate-900 border-b-2 border-slate-300 pb-1 mb-4">{title}</h2>
+    {children}
+  </section>
+);
+
+const ChartBlock = ({ title, note, children }) => (
+  <div className="mb-6 break-inside-avoid">
+    <h3 className="text-base font-semibold text-slate-800 mb-2">{title}</h3>
+    {children}
+    {note && <p className="text-xs text-slate-500 mt-1">{note}</p>}
+  </div>
+);
+
+const Row = ({ label, value }) => (
+  <tr className="border-b border-slate-200">
+    <td className="py-1 pr-4 text-slate-600">{label}</td>
+    <td className="py-1 text-right font-medium">{value}</td>
+  </tr>
+);
+
+const describeScenario = (result) => [
+  loanTypeLabel(result),
+  hasProgram(result) && programLabel(result),
+  result.compounding && compoundingLabel(result),
+  result.accelerated && `paid in ${result.targetYears}yr`,
+  hasExtraPayments(result.extraPayments) && 'extra payments'
+].filter(Boolean).join(', ');
+
+// Print-ready layout of the whole analysis: inputs, overview, every chart, the summary and a
+// yearly amortization appendix, with page breaks between sections
+export default function Report({ results, inputs, comparisonData, paymentOverTimeData, balanceOverTimeData, equityBuildupData, interestKey, summary, baseline, baselineComparisons, onClose }) {
+  const [generatedAt] = useState(() => new Date());
+  const { housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay = 1, scheduleMode, appreciation } = inputs;
+  const lines = () => results.map(result => (
+    <Line
+      key={result.id}
+      type="monotone"
+      dataKey={result.name}
+      stroke={result.color}
+      strokeWidth={2}
+      dot={false}
+      isAnimationActive={false}
+    />
+  ));
+
+  return (
+    <div className="w-full min-h-screen bg-slate-100 print:bg-white p-4 md:p-6 print:p-0">
+      <div className="max-w-4xl mx-auto mb-4 flex justify-end gap-2 print:hidden">
+        <button
+          onClick={() => window.print()}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+        >
+          Print / Save as PDF
+        </button>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 rounded-lg text-sm font-medium bg-white text-slate-700 border border-slate-300 hover:bg-slate-50"
+        >
+          Back to Analyzer
+        </button>
+      </div>
+
+      <div className="max-w-4xl mx-auto bg-white shadow-lg print:shadow-none p-8 print:p-0 text-slate-900">
+        <header className="mb-8">
+          <h1 className="text-3xl font-bold">Mortgage Comparison Report</h1>
+          <p className="text-sm text-slate-600 mt-1">
+            Generated {generatedAt.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })} at{' '}
+            {generatedAt.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+            {' · '}{results.length} scenario{results.length === 1 ? '' : 's'} compared
+          </p>
+        </header>
+
+        <Section title="Inputs">
+          <div className="grid grid-cols-2 gap-8 text-sm mb-6">
+            <table className="w-full">
+              <tbody>
+                <Row label="House price" value={money(housePrice)} />
+                <Row label="Standard down payment" value={`${downPaymentPercent}% (${money((downPaymentPercent / 100) * housePrice)})`} />
+                <Row label="First payment" value={formatPaymentDate(paymentDate(firstPaymentMonth, paymentDay, 1))} />
+                <Row label="Schedule" value={scheduleMode === 'lender' ? 'Lender (rounded to cents)' : 'Exact'} />
+                <Row label="Property tax" value={`${money(escrow.annualTax)}/yr`} />
+                <Row label="Home insurance" value={`${money(escrow.annualInsurance)}/yr`} />
+                <Row label="HOA dues" value={`${money(escrow.monthlyHoa)}/mo`} />
+              </tbody>
+            </table>
+            <table className="w-full">
+              <tbody>
+                <Row label="Tax & insurance growth" value={`${escrow.escalationRate}%/yr`} />
+                <Row label="PMI" value={`${pmi.rate}%/yr, ends at ${pmi.cancelAtRequest ? '80' : '78'}% LTV`} />
+                <Row
+                  label="Home value change"
+                  value={appreciation.path.length > 0 ? `${appreciation.path.join(', ')}%` : `${appreciation.rate}%/yr`}
+                />
+                <Row label="Discount rate" value={`${inputs.discountRate}%`} />
+                <Row label="Inflation" value={`${inputs.inflationRate}%`} />
+                <Row label="Investment return" value={`${inputs.investmentReturn}%`} />
+              </tbody>
+            </table>
+          </div>
+
+          <table className="w-full text-xs">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="text-left py-2 px-2 font-semibold">Scenario</th>
+                <th className="text-left py-2 px-2 font-semibold">Type</th>
+                <th className="text-right py-2 px-2 font-semibold">Term</th>
+                <th className="text-right py-2 px-2 font-semibold">Rate</th>
+                <th className="text-right py-2 px-2 font-semibold">APR</th>
+                <th className="text-right py-2 px-2 font-semibold">Down</th>
+                <th className="text-right py-2 px-2 font-semibold">Upfront Costs</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.id} className="border-b border-slate-200 break-inside-avoid">
+                  <td className="py-1 px-2 font-medium" style={{ color: result.color }}>{result.name}</td>
+                  <td className="py-1 px-2">{describeScenario(result)}</td>
+                  <td className="text-right py-1 px-2">{result.term}yr</td>
+                  <td className="text-right py-1 px-2">{result.rate}%</td>
+                  <td className="text-right py-1 px-2">{result.apr.toFixed(3)}%</td>
+                  <td className="text-right py-1 px-2">{money(result.downPayment)}</td>
+                  <td className="text-right py-1 px-2">
+                    {money(result.upfrontCosts)}
+                    {result.points > 0 && <span className="text-slate-500"> ({result.points} pts)</span>}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Section>
+
+        <Section title="Overview">
+          <table className="w-full text-xs">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="text-left py-2 px-2 font-semibold">Scenario</th>
+                <th className="text-right py-2 px-2 font-semibold">Paid Off</th>
+                <th className="text-right py-2 px-2 font-semibold">Principal</th>
+                <th className="text-right py-2 px-2 font-semibold">Monthly P&I</th>
+                <th className="text-right py-2 px-2 font-semibold">PITI + HOA</th>
+                <th className="text-right py-2 px-2 font-semibold">Total PMI</th>
+                <th className="text-right py-2 px-2 font-semibold">Total Interest</th>
+                <th className="text-right py-2 px-2 font-semibold">Total Housing Cost</th>
+                {baseline && <th className="text-right py-2 px-2 font-semibold">Cost Crosses Baseline</th>}
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => {
+                const versus = baseline && result.id !== baseline.id
+                  ? baselineComparisons.find(comparison => comparison.result.id === result.id)
+                  : null;
+                return (
+                  <tr key={result.id} className="border-b border-slate-200 break-inside-avoid">
+                    <td className="py-1 px-2 font-medium" style={{ color: result.color }}>
+                      {result.name}
+                      {baseline && baseline.id === result.id && <div className="font-normal text-slate-500">baseline</div>}
+                    </td>
+                    <td className="text-right py-1 px-2">
+                      {formatPaymentMonth(paymentMonth(firstPaymentMonth, result.numPayments))}
+                      {versus && <PayoffDelta yearsSaved={versus.yearsSaved} />}
+                    </td>
+                    <td className="text-right py-1 px-2">{money(result.principal)}</td>
+                    <td className="text-right py-1 px-2 font-semibold">
+                      {money(result.monthlyPayment)}
+                      {isInterestOnly(result) && (
+                        <div className="font-normal text-red-600">then {money(result.peakPayment)} from yr {Math.ceil(result.peakPaymentMonth / 12)}</div>
+                      )}
+                      {result.balloonPayment > 0 && (
+                        <div className="font-normal text-red-600">+ {money(result.balloonPayment)} balloon</div>
+                      )}
+                      {versus && <BaselineDelta value={versus.monthlyPayment} />}
+                    </td>
+                    <td className="text-right py-1 px-2">
+                      {money(result.monthlyPITI)}
+                      {versus && <BaselineDelta value={versus.monthlyPITI} />}
+                    </td>
+                    <td className="text-right py-1 px-2">{money(result.totalPMI)}</td>
+                    <td className="text-right py-1 px-2 text-red-600">
+                      {money(result.totalInterest)}
+                      {versus && <BaselineDelta value={versus.totalInterest} />}
+                    </td>
+                    <td className="text-right py-1 px-2">
+                      {money(result.totalHousingCost)}
+                      {versus && <BaselineDelta value={result.totalHousingCost - baseline.totalHousingCost} />}
+                    </td>
+                    {baseline && (
+                      <td className="text-right py-1 px-2">
+                        {versus && <Crossover month={versus.crossoverMonth} firstPaymentMonth={firstPaymentMonth} />}
+                      </td>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </Section>
+
+        <Section title="Payments" breakBefore>
+          <ChartBlock title="Monthly Payment" note="Solid bars are principal and interest; light bars add taxes, insurance, HOA and PMI.">
+            <BarChart width={CHART_WIDTH} height={CHART_HEIGHT} data={comparisonData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="name" tick={axisTick} interval={0} angle={-15} textAnchor="end" height={60} />
+              <YAxis tick={axisTick} />
+              <Legend verticalAlign="top" />
+              <Bar dataKey="Monthly P&I" fill="#475569" isAnimationActive={false}>
+                {comparisonData.map((entry, index) => <Cell key={index} fill={entry.color} />)}
+              </Bar>
+              <Bar dataKey="Monthly PITI + HOA" fill="#94a3b8" isAnimationActive={false}>
+                {comparisonData.map((entry, index) => <Cell key={index} fill={entry.color} fillOpacity={0.45} />)}
+              </Bar>
+            </BarChart>
+          </ChartBlock>
+          <ChartBlock title="Principal & Interest Over Time" note="Scheduled P&I at the start of each loan year; adjustable rates show as steps.">
+            <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={paymentOverTimeData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="year" tick={axisTick} />
+              <YAxis tick={axisTick} />
+              <Legend />
+              {lines()}
+            </LineChart>
+          </ChartBlock>
+        </Section>
+
+        <Section title="Costs" breakBefore>
+          <ChartBlock title="Total Cost Breakdown">
+            <BarChart width={CHART_WIDTH} height={CHART_HEIGHT} data={comparisonData} layout="vertical">
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis type="number" tick={axisTick} />
+              <YAxis dataKey="name" type="category" width={150} tick={axisTick} />
+              <Legend />
+              <Bar dataKey="Principal" stackId="a" fill="#10b981" isAnimationActive={false} />
+              <Bar dataKey="Total Interest" stackId="a" fill="#ef4444" isAnimationActive={false} />
+              <Bar dataKey="Taxes, Insurance & HOA" stackId="a" fill="#94a3b8" isAnimationActive={false} />
+              <Bar dataKey="Total PMI" stackId="a" fill="#f59e0b" isAnimationActive={false} />
+              <Bar dataKey="Upfront Costs" stackId="a" fill="#8b5cf6" isAnimationActive={false} />
+            </BarChart>
+          </ChartBlock>
+          <ChartBlock title={interestKey}>
+            <BarChart width={CHART_WIDTH} height={CHART_HEIGHT - 40} data={comparisonData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="name" tick={axisTick} interval={0} angle={-15} textAnchor="end" height={60} />
+              <YAxis tick={axisTick} />
+              <Bar dataKey={interestKey} isAnimationActive={false}>
+                {comparisonData.map((entry, index) => <Cell key={index} fill={entry.color} />)}
+              </Bar>
+            </BarChart>
+          </ChartBlock>
+          {baselineComparisons.length > 1 && (
+            <ChartBlock
+              title={`Cumulative Cost vs ${baseline.name}`}
+              note="Down payment, upfront costs, loan payments, extra principal and PMI paid so far, less the baseline's. Below zero, a scenario has cost less."
+            >
+              <CostDifferenceChart baseline={baseline} comparisons={baselineComparisons} width={CHART_WIDTH} />
+            </ChartBlock>
+          )}
+        </Section>
+
+        <Section title="Equity and Balance" breakBefore>
+          <ChartBlock title="Home Equity at Market Value" note="Projected market value (dashed) less each loan's balance.">
+            <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={equityBuildupData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="year" tick={axisTick} />
+              <YAxis tick={axisTick} />
+              <Legend />
+              {lines()}
+              <Line type="monotone" dataKey="Market value" stroke="#94a3b8" strokeDasharray="6 4" strokeWidth={2} dot={false} isAnimationActive={false} />
+            </LineChart>
+          </ChartBlock>
+          {baselineComparisons.length > 1 && (
+            <ChartBlock title={`Equity Gap vs ${baseline.name}`} note="Equity at market value less the baseline's. Above zero, a scenario owns more of the home.">
+              <EquityGapChart baseline={baseline} comparisons={baselineComparisons} width={CHART_WIDTH} />
+            </ChartBlock>
+          )}
+          <ChartBlock title="Remaining Balance">
+            <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={balanceOverTimeData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+              <XAxis dataKey="year" tick={axisTick} />
+              <YAxis tick={axisTick} />
+              <Legend />
+              {lines()}
+            </LineChart>
+          </ChartBlock>
+        </Section>
+
+        {summary && (
+          <Section title="Summary">
+            {summary}
+          </Section>
+        )}
+
+        {results.map((result, idx) => {
+          const schedule = generateAmortizationSchedule(result, pmi);
+          const dateLabel = (paymentNumber) => formatPaymentMonth(paymentMonth(firstPaymentMonth, paymentNumber));
+          return (
+            <Section key={result.id} title={`${idx === 0 ? 'Appendix: ' : ''}Amortization, ${result.name}`} breakBefore>
+              <table className="w-full text-xs">
+                <thead className="bg-slate-100">
+                  <tr>
+                    <th className="text-left py-1 px-2 font-semibold">Year</th>
+                    <th className="text-left py-1 px-2 font-semibold">Payments</th>
+                    <th className="text-right py-1 px-2 font-semibold">Total Paid</th>
+                    <th className="text-right py-1 px-2 font-semibold">Interest</th>
+                    <th className="text-right py-1 px-2 font-semibold">Principal</th>
+                    <th className="text-right py-1 px-2 font-semibold">PMI</th>
+                    <th className="text-right py-1 px-2 font-semibold">Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {schedule.map(row => (
+                    <tr key={row.year} className="border-b border-slate-100 break-inside-avoid">
+                      <td className="py-0.5 px-2">{row.year}</td>
+                      <td className="py-0.5 px-2 text-slate-600">
+                        {dateLabel((row.year - 1) * 12 + 1)} – {dateLabel(Math.min(row.year * 12, result.numPayments))}
+                      </td>
+                      <td className="text-right py-0.5 px-2">{cents(row.totalPaid)}</td>
+                      <td className="text-right py-0.5 px-2">{cents(row.interestPaid)}</td>
+                      <td className="text-right py-0.5 px-2">{cents(row.principalPaid)}</td>
+                      <td className="text-right py-0.5 px-2">{cents(row.pmiPaid)}</td>
+                      <td className="text-right py-0.5 px-2 font-medium">{cents(row.balance)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </Section>
+          );
+        })}
+
+        <p className="text-xs text-slate-500 mt-8 break-inside-avoid">
+          Figures are estimates from the stated inputs and are not a loan offer. Taxes, insurance and PMI are approximations;
+          ARM rates after the fixed period follow an assumed index path.
+        </p>
+      </div>
+    </div>
+  );
+}
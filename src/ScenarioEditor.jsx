@@ -0,0 +1,645 @@
+import React, { useState } from 'react';
+import { hasExtraPayments, armProducts, compoundingConventions } from './mortgageMath.js';
+import { emptyExtraPayments, defaultArm, validateScenario, toDraft, fromDraft } from './scenarioDraft.js';
+import { loanPrograms, hasProgram, programLabel } from './loanPrograms.js';
+
+const emptyDraft = {
+  name: '',
+  term: 30,
+  rate: 6.5,
+  accelerated: false,
+  targetYears: '',
+  specialDown: '',
+  points: '',
+  closingCosts: '',
+  lenderCredit: '',
+  color: '#0ea5e9',
+  interestOnlyYears: 10,
+  balloonYears: 7,
+  program: 'conventional',
+  compounding: 'monthly',
+  vaSubsequentUse: false,
+  vaExempt: false
+};
+
+const indexPaths = [
+  { value: 'flat', label: 'Flat' },
+  { value: 'rising', label: 'Rising' },
+  { value: 'falling', label: 'Falling' },
+  { value: 'custom', label: 'Custom per year' }
+];
+
+const loanSuffix = { arm: ' ARM', 'interest-only': ' IO', balloon: ' balloon' };
+
+const compoundingSuffix = { 'semi-annual': ' semi-annual', 'actual-365': ' act/365', '30-360': ' 30/360' };
+
+const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 rounded-lg border text-sm ${hasError ? 'border-red-400 bg-red-50' : 'border-slate-300'}`;
+
+export default function ScenarioEditor({ scenarios, onSave, onDelete, onReset }) {
+  const [draft, setDraft] = useState(null);
+  const [errors, setErrors] = useState({});
+
+  const nextId = () => Math.max(0, ...scenarios.map(s => s.id)) + 1;
+
+  const startNew = () => {
+    setDraft({ ...emptyDraft, loanType: 'fixed', arm: defaultArm, extraPayments: emptyExtraPayments, id: nextId() });
+    setErrors({});
+  };
+
+  const startEdit = (scenario) => {
+    setDraft(toDraft(scenario));
+    setErrors({});
+  };
+
+  const startDuplicate = (scenario) => {
+    setDraft({ ...toDraft(scenario), id: nextId(), name: `${scenario.name} (copy)` });
+    setErrors({});
+  };
+
+  const updateDraft = (field, value) => {
+    setDraft({ ...draft, [field]: value });
+  };
+
+  const updateExtra = (field, value) => {
+    setDraft({ ...draft, extraPayments: { ...draft.extraPayments, [field]: value } });
+  };
+
+  const updateArm = (field, value) => {
+    setDraft({ ...draft, arm: { ...draft.arm, [field]: value } });
+  };
+
+  const updateArmIndex = (field, value) => {
+    updateArm('index', { ...draft.arm.index, [field]: value });
+  };
+
+  const selectArmProduct = (product) => {
+    setDraft({ ...draft, arm: { ...draft.arm, product, ...(armProducts[product] || {}) } });
+  };
+
+  const updateLumpSum = (index, field, value) => {
+    updateExtra('lumpSums', draft.extraPayments.lumpSums.map((l, i) => i === index ? { ...l, [field]: value } : l));
+  };
+
+  const saveDraft = () => {
+    const validation = validateScenario(draft, scenarios);
+    setErrors(validation);
+    if (Object.keys(validation).length > 0) return;
+    onSave(fromDraft(draft));
+    setDraft(null);
+  };
+
+  const isExisting = draft && scenarios.some(s => s.id === draft.id);
+
+  return (
+    <div className="mt-6 border-t border-slate-200 pt-6 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-lg font-semibold text-slate-900">Scenario Editor</h3>
+        <div className="flex gap-2">
+          <button
+            onClick={startNew}
+            className="px-3 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+          >
+            New Scenario
+          </button>
+          <button
+            onClick={onReset}
+            className="px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+          >
+            Reset to Presets
+          </button>
+        </div>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-slate-100">
+            <tr>
+              <th className="text-left py-2 px-3 font-semibold text-slate-700">Scenario</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Term</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Rate</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Target</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Down</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Points / Credit</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Extra</th>
+              <th className="text-right py-2 px-3 font-semibold text-slate-700">Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scenarios.map(scenario => (
+              <tr key={scenario.id} className="border-b border-slate-200">
+                <td className="py-2 px-3 font-medium" style={{ color: scenario.color }}>{scenario.name}</td>
+                <td className="text-right py-2 px-3">{scenario.term}yr{loanSuffix[scenario.loanType] || ''}{hasProgram(scenario) && ` ${programLabel(scenario)}`}{compoundingSuffix[scenario.compounding] || ''}</td>
+                <td className="text-right py-2 px-3">{scenario.rate}%</td>
+                <td className="text-right py-2 px-3">{scenario.accelerated ? `${scenario.targetYears}yr` : '—'}</td>
+                <td className="text-right py-2 px-3">{scenario.specialDown != null ? `${scenario.specialDown}%` : 'Standard'}</td>
+                <td className="text-right py-2 px-3">
+                  {[
+                    scenario.points > 0 && `${scenario.points} pts`,
+                    scenario.lenderCredit > 0 && `$${scenario.lenderCredit.toLocaleString()} credit`
+                  ].filter(Boolean).join(', ') || '—'}
+                </td>
+                <td className="text-right py-2 px-3">{hasExtraPayments(scenario.extraPayments) ? 'Yes' : '—'}</td>
+                <td className="text-right py-2 px-3 whitespace-nowrap">
+                  <button onClick={() => startEdit(scenario)} className="text-blue-600 hover:underline mr-3">Edit</button>
+                  <button onClick={() => startDuplicate(scenario)} className="text-blue-600 hover:underline mr-3">Duplicate</button>
+                  <button
+                    onClick={() => onDelete(scenario.id)}
+                    disabled={scenarios.length <= 1}
+                    className="text-red-600 hover:underline disabled:text-slate-300 disabled:no-underline"
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {draft && (
+        <div className="bg-slate-50 rounded-lg border border-slate-200 p-4">
+          <h4 className="font-semibold text-slate-900 mb-3">{isExisting ? 'Edit Scenario' : 'New Scenario'}</h4>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => updateDraft('name', e.target.value)}
+                className={inputClass(errors.name)}
+              />
+              {errors.name && <p className="text-xs text-red-600 mt-1">{errors.name}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Term (years)</label>
+              <input
+                type="number"
+                min="1"
+                max="50"
+                value={draft.term}
+                onChange={(e) => updateDraft('term', e.target.value)}
+                className={inputClass(errors.term)}
+              />
+              {errors.term && <p className="text-xs text-red-600 mt-1">{errors.term}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Rate (%)</label>
+              <input
+                type="number"
+                step="0.125"
+                value={draft.rate}
+                onChange={(e) => updateDraft('rate', e.target.value)}
+                className={inputClass(errors.rate)}
+              />
+              {errors.rate && <p className="text-xs text-red-600 mt-1">{errors.rate}</p>}
+            </div>
+            <div>
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-700 mb-1">
+                <input
+                  type="checkbox"
+                  checked={draft.accelerated}
+                  onChange={(e) => updateDraft('accelerated', e.target.checked)}
+                />
+                Accelerated payoff (years)
+              </label>
+              <input
+                type="number"
+                step="0.01"
+                value={draft.targetYears}
+                disabled={!draft.accelerated}
+                onChange={(e) => updateDraft('targetYears', e.target.value)}
+                className={`${inputClass(errors.targetYears)} disabled:bg-slate-100`}
+              />
+              {errors.targetYears && <p className="text-xs text-red-600 mt-1">{errors.targetYears}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Down payment (%)</label>
+              <input
+                type="number"
+                step="0.5"
+                placeholder="Use standard"
+                value={draft.specialDown}
+                onChange={(e) => updateDraft('specialDown', e.target.value)}
+                className={inputClass(errors.specialDown)}
+              />
+              {errors.specialDown && <p className="text-xs text-red-600 mt-1">{errors.specialDown}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Color</label>
+              <div className="flex gap-2">
+                <input
+                  type="color"
+                  value={/^#[0-9a-f]{6}$/i.test(draft.color) ? draft.color : '#000000'}
+                  onChange={(e) => updateDraft('color', e.target.value)}
+                  className="h-10 w-12 rounded border border-slate-300"
+                />
+                <input
+                  type="text"
+                  value={draft.color}
+                  onChange={(e) => updateDraft('color', e.target.value)}
+                  className={inputClass(errors.color)}
+                />
+              </div>
+              {errors.color && <p className="text-xs text-red-600 mt-1">{errors.color}</p>}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-3 mt-6 mb-3">
+            <h5 className="font-semibold text-slate-900">Loan Type</h5>
+            <select
+              value={draft.loanType}
+              onChange={(e) => updateDraft('loanType', e.target.value)}
+              className="px-2 py-1 rounded-lg border border-slate-300 text-sm"
+            >
+              <option value="fixed">Fixed rate</option>
+              <option value="arm">Adjustable rate (ARM)</option>
+              <option value="interest-only">Interest-only period</option>
+              <option value="balloon">Balloon</option>
+            </select>
+          </div>
+          {draft.loanType === 'interest-only' && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Interest-only years</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.interestOnlyYears}
+                  onChange={(e) => updateDraft('interestOnlyYears', e.target.value)}
+                  className={inputClass(errors.interestOnlyYears)}
+                />
+                <p className="text-xs text-slate-500 mt-1">Then the balance amortizes over the rest of the term, at a higher payment</p>
+                {errors.interestOnlyYears && <p className="text-xs text-red-600 mt-1">{errors.interestOnlyYears}</p>}
+              </div>
+            </div>
+          )}
+          {draft.loanType === 'balloon' && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Balloon due after (years)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={draft.balloonYears}
+                  onChange={(e) => updateDraft('balloonYears', e.target.value)}
+                  className={inputClass(errors.balloonYears)}
+                />
+                <p className="text-xs text-slate-500 mt-1">Payments amortize over the term; the remaining balance is due in one payment</p>
+                {errors.balloonYears && <p className="text-xs text-red-600 mt-1">{errors.balloonYears}</p>}
+              </div>
+            </div>
+          )}
+          {draft.loanType === 'arm' && (
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Product</label>
+                <select
+                  value={draft.arm.product}
+                  onChange={(e) => selectArmProduct(e.target.value)}
+                  className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+                >
+                  {Object.keys(armProducts).map(key => (
+                    <option key={key} value={key}>{key} ARM</option>
+                  ))}
+                  <option value="custom">Custom</option>
+                </select>
+                <p className="text-xs text-slate-500 mt-1">The scenario rate is the initial (teaser) rate</p>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Fixed years / adjust every (months)</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft.arm.fixedYears}
+                    onChange={(e) => setDraft({ ...draft, arm: { ...draft.arm, product: 'custom', fixedYears: e.target.value } })}
+                    className={inputClass(errors.armFixed)}
+                  />
+                  <input
+                    type="number"
+                    min="1"
+                    value={draft.arm.adjustmentMonths}
+                    onChange={(e) => setDraft({ ...draft, arm: { ...draft.arm, product: 'custom', adjustmentMonths: e.target.value } })}
+                    className={inputClass(errors.armFixed)}
+                  />
+                </div>
+                {errors.armFixed && <p className="text-xs text-red-600 mt-1">{errors.armFixed}</p>}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Caps: initial / periodic / lifetime (pts)</label>
+                <div className="flex gap-2">
+                  {['initialCap', 'periodicCap', 'lifetimeCap'].map(field => (
+                    <input
+                      key={field}
+                      type="number"
+                      min="0"
+                      step="0.25"
+                      value={draft.arm[field]}
+                      onChange={(e) => updateArm(field, e.target.value)}
+                      className={inputClass(errors.armCaps)}
+                    />
+                  ))}
+                </div>
+                {errors.armCaps && <p className="text-xs text-red-600 mt-1">{errors.armCaps}</p>}
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-slate-700 mb-1">Margin / floor (%)</label>
+                <div className="flex gap-2">
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.125"
+                    value={draft.arm.margin}
+                    onChange={(e) => updateArm('margin', e.target.value)}
+                    className={inputClass(errors.armMargin)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.125"
+                    placeholder="= margin"
+                    value={draft.arm.floor}
+                    onChange={(e) => updateArm('floor', e.target.value)}
+                    className={inputClass(errors.armMargin)}
+                  />
+                </div>
+                {errors.armMargin && <p className="text-xs text-red-600 mt-1">{errors.armMargin}</p>}
+              </div>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-slate-700 mb-1">Index path</label>
+                <div className="flex gap-2">
+                  <select
+                    value={draft.arm.index.path}
+                    onChange={(e) => updateArmIndex('path', e.target.value)}
+                    className="px-2 py-2 rounded-lg border border-slate-300 text-sm"
+                  >
+                    {indexPaths.map(path => (
+                      <option key={path.value} value={path.value}>{path.label}</option>
+                    ))}
+                  </select>
+                  {draft.arm.index.path === 'custom' ? (
+                    <input
+                      type="text"
+                      placeholder="Year 1, year 2, ... e.g. 4.3, 4.3, 4.5, 5"
+                      value={draft.arm.index.custom}
+                      onChange={(e) => updateArmIndex('custom', e.target.value)}
+                      className={inputClass(errors.armIndex)}
+                    />
+                  ) : (
+                    <>
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.05"
+                        placeholder="Starting index (%)"
+                        value={draft.arm.index.start}
+                        onChange={(e) => updateArmIndex('start', e.target.value)}
+                        className={inputClass(errors.armIndex)}
+                      />
+                      {draft.arm.index.path !== 'flat' && (
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.05"
+                          placeholder="Change per year (pts)"
+                          value={draft.arm.index.step}
+                          onChange={(e) => updateArmIndex('step', e.target.value)}
+                          className={inputClass(errors.armIndex)}
+                        />
+                      )}
+                    </>
+                  )}
+                </div>
+                {errors.armIndex && <p className="text-xs text-red-600 mt-1">{errors.armIndex}</p>}
+              </div>
+            </div>
+          )}
+
+          <div className="flex items-center gap-3 mt-6 mb-3">
+            <h5 className="font-semibold text-slate-900">Loan Program</h5>
+            <select
+              value={draft.program}
+              onChange={(e) => updateDraft('program', e.target.value)}
+              className="px-2 py-1 rounded-lg border border-slate-300 text-sm"
+            >
+              <option value="conventional">Conventional</option>
+              <option value="fha">FHA</option>
+              <option value="va">VA</option>
+              <option value="usda">USDA</option>
+            </select>
+          </div>
+          {errors.program && <p className="text-xs text-red-600 mb-2">{errors.program}</p>}
+          {draft.program === 'fha' && (
+            <p className="text-xs text-slate-500">
+              {loanPrograms.fha.upfrontRate}% upfront MIP is financed into the loan. Annual MIP depends on the term, loan size and LTV, and lasts 11 years at 10% down or more, otherwise for the life of the loan. FHA requires at least {loanPrograms.fha.minDownPercent}% down.
+            </p>
+          )}
+          {draft.program === 'va' && (
+            <div className="flex flex-wrap items-center gap-6">
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={draft.vaSubsequentUse}
+                  onChange={(e) => updateDraft('vaSubsequentUse', e.target.checked)}
+                />
+                Subsequent use of the VA benefit
+              </label>
+              <label className="flex items-center gap-2 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={draft.vaExempt}
+                  onChange={(e) => updateDraft('vaExempt', e.target.checked)}
+                />
+                Exempt from the funding fee (e.g. receiving VA disability compensation)
+              </label>
+              <p className="text-xs text-slate-500 w-full">The funding fee is financed into the loan and falls with a larger down payment. VA loans have no monthly mortgage insurance.</p>
+            </div>
+          )}
+          {draft.program === 'usda' && (
+            <p className="text-xs text-slate-500">
+              {loanPrograms.usda.upfrontRate}% upfront guarantee fee is financed into the loan, plus a {loanPrograms.usda.annualRate}% annual fee for the life of the loan.
+            </p>
+          )}
+          <p className="text-xs text-slate-500 mt-1">Program loans pay their own mortgage insurance in place of the PMI settings.</p>
+
+          <div className="flex items-center gap-3 mt-6 mb-3">
+            <h5 className="font-semibold text-slate-900">Interest Convention</h5>
+            <select
+              value={draft.compounding}
+              onChange={(e) => updateDraft('compounding', e.target.value)}
+              className="px-2 py-1 rounded-lg border border-slate-300 text-sm"
+            >
+              {Object.entries(compoundingConventions).map(([value, convention]) => (
+                <option key={value} value={value}>{convention.label}</option>
+              ))}
+            </select>
+          </div>
+          {errors.compounding && <p className="text-xs text-red-600 mb-2">{errors.compounding}</p>}
+          <p className="text-xs text-slate-500">
+            {draft.compounding === 'semi-annual' && 'The quoted rate compounds twice a year, as Canadian fixed-rate mortgages do, so the payment is a little lower than a US loan at the same rate.'}
+            {draft.compounding === 'actual-365' && 'Interest accrues daily on the balance for the actual days between due dates, so longer months cost more. The payment matches a monthly loan and the final payment settles the difference.'}
+            {draft.compounding === '30-360' && 'Interest accrues daily over 30-day months in a 360-day year, which works out the same as monthly compounding.'}
+            {draft.compounding === 'monthly' && 'The quoted rate divided by 12 is charged each month, the US standard.'}
+          </p>
+
+          <h5 className="font-semibold text-slate-900 mt-6 mb-3">Points &amp; Closing Costs</h5>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Discount points (% of loan)</label>
+              <input
+                type="number"
+                min="0"
+                step="0.125"
+                value={draft.points}
+                onChange={(e) => updateDraft('points', e.target.value)}
+                className={inputClass(errors.costs)}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Closing costs ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="250"
+                value={draft.closingCosts}
+                onChange={(e) => updateDraft('closingCosts', e.target.value)}
+                className={inputClass(errors.costs)}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Lender credit ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="250"
+                value={draft.lenderCredit}
+                onChange={(e) => updateDraft('lenderCredit', e.target.value)}
+                className={inputClass(errors.costs)}
+              />
+            </div>
+          </div>
+          {errors.costs && <p className="text-xs text-red-600 mt-1">{errors.costs}</p>}
+
+          <h5 className="font-semibold text-slate-900 mt-6 mb-3">Extra Payments</h5>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Extra monthly principal ($)</label>
+              <input
+                type="number"
+                min="0"
+                step="25"
+                value={draft.extraPayments.monthlyAmount}
+                onChange={(e) => updateExtra('monthlyAmount', e.target.value)}
+                className={inputClass(errors.extraMonthly)}
+              />
+              <div className="flex gap-2 mt-2">
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="From payment"
+                  value={draft.extraPayments.startMonth}
+                  onChange={(e) => updateExtra('startMonth', e.target.value)}
+                  className={inputClass(errors.extraMonthly)}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="To payoff"
+                  value={draft.extraPayments.endMonth}
+                  onChange={(e) => updateExtra('endMonth', e.target.value)}
+                  className={inputClass(errors.extraMonthly)}
+                />
+              </div>
+              <p className="text-xs text-slate-500 mt-1">From and to payment numbers; leave the end blank to continue until payoff</p>
+              {errors.extraMonthly && <p className="text-xs text-red-600 mt-1">{errors.extraMonthly}</p>}
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">Annual lump sum ($)</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  step="500"
+                  value={draft.extraPayments.annualAmount}
+                  onChange={(e) => updateExtra('annualAmount', e.target.value)}
+                  className={inputClass(errors.extraAnnual)}
+                />
+                <select
+                  value={draft.extraPayments.annualMonth}
+                  onChange={(e) => updateExtra('annualMonth', e.target.value)}
+                  className="px-2 py-2 rounded-lg border border-slate-300 text-sm"
+                >
+                  {monthNames.map((name, i) => (
+                    <option key={name} value={String(i + 1)}>every {name}</option>
+                  ))}
+                </select>
+              </div>
+              {errors.extraAnnual && <p className="text-xs text-red-600 mt-1">{errors.extraAnnual}</p>}
+              <label className="flex items-center gap-2 text-sm font-medium text-slate-700 mt-3">
+                <input
+                  type="checkbox"
+                  checked={draft.extraPayments.biweekly}
+                  onChange={(e) => updateExtra('biweekly', e.target.checked)}
+                />
+                Biweekly plan (26 half-payments a year)
+              </label>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-slate-700 mb-1">One-time lump sums</label>
+              {draft.extraPayments.lumpSums.map((lumpSum, i) => (
+                <div key={i} className="flex gap-2 mb-2">
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="Payment #"
+                    value={lumpSum.month}
+                    onChange={(e) => updateLumpSum(i, 'month', e.target.value)}
+                    className={inputClass(errors.lumpSums)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    placeholder="Amount ($)"
+                    value={lumpSum.amount}
+                    onChange={(e) => updateLumpSum(i, 'amount', e.target.value)}
+                    className={inputClass(errors.lumpSums)}
+                  />
+                  <button
+                    onClick={() => updateExtra('lumpSums', draft.extraPayments.lumpSums.filter((_, j) => j !== i))}
+                    className="text-red-600 hover:underline text-sm"
+                  >
+                    Remove
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => updateExtra('lumpSums', [...draft.extraPayments.lumpSums, { month: '', amount: '' }])}
+                className="text-blue-600 hover:underline text-sm"
+              >
+                Add lump sum
+              </button>
+              {errors.lumpSums && <p className="text-xs text-red-600 mt-1">{errors.lumpSums}</p>}
+            </div>
+          </div>
+          <div className="flex gap-2 mt-4">
+            <button
+              onClick={saveDraft}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700"
+            >
+              Save Scenario
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useState, useMemo, useDeferredValue } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { gridMetrics, gridAxes, ratesAround, sensitivityGrid, tornado } from './sensitivity.js';
+
+const money = (value) => `${value < 0 ? '-' : ''}$${Math.round(Math.abs(value)).toLocaleString()}`;
+
+const rateSteps = [0.125, 0.25, 0.5];
+
+const formatInput = (input, value) => {
+  switch (input) {
+    case 'rate':
+      return `${Number(value.toFixed(3))}%`;
+    case 'term':
+      return `${value}yr`;
+    case 'downPayment':
+      return `${Number(value.toFixed(2))}%`;
+    case 'points':
+      return `${Number(value.toFixed(3))} pts`;
+    default:
+      return money(value);
+  }
+};
+
+// Green for the lowest value in the grid through to red for the highest
+const heatColor = (value, min, max) => {
+  const t = max > min ? (value - min) / (max - min) : 0;
+  return `hsl(${Math.round(120 * (1 - t))}, 70%, 85%)`;
+};
+
+export default function Sensitivity({ scenarios, context }) {
+  const [scenarioId, setScenarioId] = useState(null);
+  const [metric, setMetric] = useState('monthlyPayment');
+  const [axis, setAxis] = useState('term');
+  const [rateStep, setRateStep] = useState(0.25);
+
+  const scenario = scenarios.find(s => s.id === scenarioId) || scenarios[0];
+
+  // The grid is dozens of full analyses; deferring lets the sliders stay responsive while it catches up
+  const deferredContext = useDeferredValue(context);
+
+  const grid = useMemo(
+    () => scenario && sensitivityGrid(scenario, deferredContext, { metric, rates: ratesAround(scenario.rate, rateStep), axis }),
+    [scenario, deferredContext, metric, rateStep, axis]
+  );
+
+  const swings = useMemo(() => scenario && tornado(scenario, deferredContext), [scenario, deferredContext]);
+
+  if (!scenario) return null;
+
+  const values = grid.cells.flat().filter(value => value != null);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const currentColumn = axis === 'term' ? scenario.term : (scenario.specialDown ?? context.downPaymentPercent);
+
+  const tornadoData = swings.rows.map(row => ({
+    name: `${row.label} (${formatInput(row.input, row.low)} – ${formatInput(row.input, row.high)})`,
+    Lower: Math.round(row.lowChange),
+    Higher: Math.round(row.highChange)
+  }));
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-4">Sensitivity</h2>
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 mb-6">
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Scenario</label>
+            <select
+              value={scenario.id}
+              onChange={(e) => setScenarioId(Number(e.target.value))}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            >
+              {scenarios.map(s => (
+                <option key={s.id} value={s.id}>{s.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Show</label>
+            <select
+              value={metric}
+              onChange={(e) => setMetric(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            >
+              {Object.entries(gridMetrics).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Rates against</label>
+            <select
+              value={axis}
+              onChange={(e) => setAxis(e.target.value)}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            >
+              {Object.entries(gridAxes).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-slate-700 mb-1">Rate step</label>
+            <select
+              value={rateStep}
+              onChange={(e) => setRateStep(Number(e.target.value))}
+              className="w-full px-3 py-2 rounded-lg border border-slate-300 text-sm"
+            >
+              {rateSteps.map(step => (
+                <option key={step} value={step}>{step} pts</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Rate \ {gridAxes[axis].label}</th>
+                {grid.columns.map(column => (
+                  <th key={column} className="text-right py-2 px-3 font-semibold text-slate-700">{formatInput(axis, column)}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {grid.rates.map((rate, r) => (
+                <tr key={rate}>
+                  <td className="py-2 px-3 font-medium text-slate-700">{formatInput('rate', rate)}</td>
+                  {grid.cells[r].map((value, c) => {
+                    const current = rate === scenario.rate && grid.columns[c] === currentColumn;
+                    return (
+                      <td
+                        key={grid.columns[c]}
+                        className={`text-right py-2 px-3 ${current ? 'font-bold ring-2 ring-inset ring-slate-900' : ''}`}
+                        style={{ backgroundColor: value != null ? heatColor(value, min, max) : undefined }}
+                      >
+                        {value != null ? money(value) : '–'}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-500 mt-2">
+          Each cell is {scenario.name} with only the rate and {axis === 'term' ? 'term' : 'down payment'} changed, using the current house price, escrow and PMI
+          settings. The outlined cell is the scenario as it stands; a dash marks a combination the scenario editor would not accept.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+        <h2 className="text-xl font-semibold text-slate-900 mb-1">What Moves Total Cost</h2>
+        <p className="text-sm text-slate-600 mb-4">
+          Change in {scenario.name}'s total cost of {money(swings.base)} (payments plus upfront costs) when each input is set to the low or high end of its range, the others unchanged.
+        </p>
+        <ResponsiveContainer width="100%" height={60 + 50 * tornadoData.length}>
+          <BarChart data={tornadoData} layout="vertical" stackOffset="sign" margin={{ left: 40 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis type="number" tickFormatter={money} />
+            <YAxis type="category" dataKey="name" width={260} tick={{ fontSize: 12 }} />
+            <Tooltip formatter={(value) => money(value)} />
+            <Legend />
+            <ReferenceLine x={0} stroke="#94a3b8" />
+            <Bar dataKey="Lower" stackId="swing" fill="#3b82f6" name="Input at low end" />
+            <Bar dataKey="Higher" stackId="swing" fill="#f97316" name="Input at high end" />
+          </BarChart>
+        </ResponsiveContainer>
+        <p className="text-xs text-slate-500 mt-2">
+          Ranges around the scenario's own values: rate ±1 point, term ±5 years, price ±10%, down payment ±5 points, points ±1 and
+          closing costs ±$2,000. A side that would make an invalid loan, such as a term shorter than a balloon period, shows no change.
+        </p>
+      </div>
+    </div>
+  );
+}
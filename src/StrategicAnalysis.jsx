@@ -0,0 +1,66 @@
+import React from 'react';
+
+// Best and worst scenarios by payment and interest, and which comes out ahead once the
+// payment difference is invested. Shown under every view and in the printed report.
+export default function StrategicAnalysis({ analysis, interestOf, realDollars, investmentReturn }) {
+  return (
+    <div className="bg-gradient-to-br from-blue-50 to-indigo-50 border-2 border-blue-200 rounded-xl p-6 break-inside-avoid">
+      <h3 className="text-lg font-semibold text-blue-900 mb-4">Strategic Analysis</h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 print:grid-cols-2 gap-4 text-sm">
+        <div className="bg-white rounded-lg p-4 shadow-sm">
+          <p className="text-slate-600 mb-1">Lowest Monthly Payment</p>
+          <p className="font-bold text-lg" style={{ color: analysis.lowestPayment.color }}>
+            {analysis.lowestPayment.name}
+          </p>
+          <p className="text-slate-900 font-semibold">
+            ${Math.round(analysis.lowestPayment.monthlyPayment).toLocaleString()}/month
+          </p>
+        </div>
+        
+        <div className="bg-white rounded-lg p-4 shadow-sm">
+          <p className="text-slate-600 mb-1">Lowest Total Cost</p>
+          <p className="font-bold text-lg" style={{ color: analysis.lowestCost.color }}>
+            {analysis.lowestCost.name}
+          </p>
+          <p className="text-green-600 font-semibold">
+            ${Math.round(interestOf(analysis.lowestCost)).toLocaleString()} in interest{realDollars && " (today's $)"}
+          </p>
+        </div>
+        
+        <div className="bg-white rounded-lg p-4 shadow-sm">
+          <p className="text-slate-600 mb-1">Highest Total Cost</p>
+          <p className="font-bold text-lg" style={{ color: analysis.highestCost.color }}>
+            {analysis.highestCost.name}
+          </p>
+          <p className="text-red-600 font-semibold">
+            ${Math.round(interestOf(analysis.highestCost)).toLocaleString()} in interest{realDollars && " (today's $)"}
+          </p>
+        </div>
+        
+        <div className="bg-white rounded-lg p-4 shadow-sm">
+          <p className="text-slate-600 mb-1">Cost Difference (Best vs Worst)</p>
+          <p className="text-2xl font-bold text-red-600">
+            ${Math.round(analysis.costDifference).toLocaleString()}
+          </p>
+          <p className="text-xs text-slate-500 mt-1">Potential savings by choosing optimal strategy</p>
+        </div>
+      </div>
+      
+      <div className="mt-4 p-4 bg-white rounded-lg shadow-sm">
+        <p className="text-sm text-slate-700 leading-relaxed">
+          The lowest monthly payment appears attractive but costs 
+          <span className="font-bold text-red-600"> ${Math.round(analysis.costDifference).toLocaleString()} </span>
+          more in total interest{realDollars ? " in today's dollars" : ''} compared to the most efficient option. A shorter-term loan at a lower rate
+          builds equity faster while paying substantially less interest over the life of the loan.
+        </p>
+        <p className="text-sm text-slate-700 leading-relaxed mt-2">
+          That comparison ignores what a lower payment frees up. If every scenario spends the same amount each month and invests
+          whatever its loan doesn't need at {investmentReturn}% a year,
+          <span className="font-bold" style={{ color: analysis.bestInvested.color }}> {analysis.bestInvested.name} </span>
+          ends with the highest net worth after {analysis.investedYears} years:
+          <span className="font-bold"> ${analysis.bestInvestedNetWorth.toLocaleString()}</span>{realDollars && " in today's dollars"}.
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useState, useEffect } from 'react';
+import { download } from './ExportButtons.jsx';
+import { cleanName, createWorkspace, mergeWorkspaces, serializeWorkspaces, parseWorkspaces, loadStoredWorkspaces, storeWorkspaces } from './workspaces.js';
+
+// Reading window.localStorage itself throws in some sandboxed pages
+const browserStorage = () => {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    return null;
+  }
+};
+
+const formatSaved = (savedAt) => savedAt && !Number.isNaN(Date.parse(savedAt))
+  ? new Date(savedAt).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' })
+  : '—';
+
+const fileName = (name) => `${name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'workspace'}.json`;
+
+const buttonClass = 'px-3 py-2 rounded-lg text-sm font-medium bg-slate-100 text-slate-700 hover:bg-slate-200 disabled:opacity-50';
+
+export default function WorkspaceManager({ currentState, onLoad, defaults, views }) {
+  const [workspaces, setWorkspaces] = useState(() => loadStoredWorkspaces(browserStorage(), defaults, views));
+  const [name, setName] = useState('');
+  const [renaming, setRenaming] = useState(null);
+  const [notice, setNotice] = useState('');
+  const [problems, setProblems] = useState([]);
+  const [stored, setStored] = useState(true);
+
+  useEffect(() => {
+    setStored(storeWorkspaces(browserStorage(), workspaces));
+  }, [workspaces]);
+
+  const findByName = (candidate, except = null) =>
+    workspaces.findIndex((w, i) => i !== except && w.name.toLowerCase() === candidate.toLowerCase());
+
+  const newName = cleanName(name);
+  const existing = newName ? findByName(newName) : -1;
+
+  // Saving under an existing name updates that workspace
+  const save = () => {
+    if (!newName) return;
+    const workspace = createWorkspace(existing >= 0 ? workspaces[existing].name : newName, currentState);
+    setWorkspaces(existing >= 0 ? workspaces.map((w, i) => i === existing ? workspace : w) : [...workspaces, workspace]);
+    setName('');
+    setNotice(`Saved "${workspace.name}".`);
+    setProblems([]);
+  };
+
+  const load = (workspace) => {
+    onLoad(workspace.state);
+    setNotice(`Loaded "${workspace.name}".`);
+    setProblems([]);
+  };
+
+  const finishRename = () => {
+    const renamed = cleanName(renaming.name);
+    if (renamed && findByName(renamed, renaming.index) >= 0) {
+      setProblems([`Another workspace is already called "${renamed}".`]);
+      return;
+    }
+    if (renamed) {
+      setWorkspaces(workspaces.map((w, i) => i === renaming.index ? { ...w, name: renamed } : w));
+    }
+    setRenaming(null);
+  };
+
+  const remove = (index) => {
+    if (!window.confirm(`Delete "${workspaces[index].name}"? This cannot be undone.`)) return;
+    setWorkspaces(workspaces.filter((w, i) => i !== index));
+    setRenaming(null);
+  };
+
+  const importFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    file.text().then(text => {
+      const { workspaces: imported, problems } = parseWorkspaces(text, defaults, views);
+      setWorkspaces(current => mergeWorkspaces(current, imported));
+      setNotice(`Imported ${imported.length} workspace${imported.length === 1 ? '' : 's'} from ${file.name}.`);
+      setProblems(problems);
+    });
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg border border-slate-200 p-6">
+      <h2 className="text-xl font-semibold text-slate-900 mb-1">Saved Workspaces</h2>
+      <p className="text-sm text-slate-600 mb-4">
+        Save the whole analysis (parameters, scenarios and selection) under a name in this browser, or move workspaces between browsers as JSON files.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        <input
+          type="text"
+          placeholder="Name, e.g. client or property"
+          value={name}
+          maxLength={80}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          className="flex-1 min-w-[12rem] px-3 py-2 rounded-lg border border-slate-300 text-sm"
+        />
+        <button
+          onClick={save}
+          disabled={!newName}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {existing >= 0 ? 'Update' : 'Save Current'}
+        </button>
+        <label className={`${buttonClass} cursor-pointer`}>
+          Import JSON
+          <input type="file" accept="application/json,.json" onChange={importFile} className="hidden" />
+        </label>
+        <button
+          onClick={() => download('mortgage-workspaces.json', serializeWorkspaces(workspaces), 'application/json')}
+          disabled={workspaces.length === 0}
+          className={buttonClass}
+        >
+          Export All
+        </button>
+      </div>
+
+      {!stored && (
+        <p className="text-sm text-amber-700 mb-2">This browser is not letting the page save, so workspaces will be lost when it closes. Export them to keep them.</p>
+      )}
+      {notice && <p className="text-sm text-slate-700 mb-1">{notice}</p>}
+      {problems.map((problem, i) => (
+        <p key={i} className="text-sm text-amber-700 mb-1">{problem}</p>
+      ))}
+
+      {workspaces.length > 0 ? (
+        <div className="overflow-x-auto mt-2">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-100">
+              <tr>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Name</th>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Summary</th>
+                <th className="text-left py-2 px-3 font-semibold text-slate-700">Saved</th>
+                <th className="text-right py-2 px-3 font-semibold text-slate-700">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {workspaces.map((workspace, index) => (
+                <tr key={index} className="border-b border-slate-200">
+                  <td className="py-2 px-3 font-medium">
+                    {renaming && renaming.index === index ? (
+                      <input
+                        type="text"
+                        autoFocus
+                        value={renaming.name}
+                        maxLength={80}
+                        onChange={(e) => setRenaming({ index, name: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') finishRename();
+                          if (e.key === 'Escape') setRenaming(null);
+                        }}
+                        title="Enter to rename, Escape to cancel"
+                        className="w-full px-2 py-1 rounded-lg border border-slate-300"
+                      />
+                    ) : workspace.name}
+                  </td>
+                  <td className="py-2 px-3 text-slate-600">
+                    ${workspace.state.housePrice.toLocaleString()} · {workspace.state.activeScenarios.length} of {workspace.state.scenarios.length} selected
+                  </td>
+                  <td className="py-2 px-3 text-slate-600">{formatSaved(workspace.savedAt)}</td>
+                  <td className="py-2 px-3">
+                    <div className="flex justify-end gap-3">
+                      <button onClick={() => load(workspace)} className="text-blue-600 hover:underline">Load</button>
+                      <button onClick={() => setRenaming({ index, name: workspace.name })} className="text-slate-600 hover:underline">Rename</button>
+                      <button
+                        onClick={() => download(fileName(workspace.name), serializeWorkspaces([workspace]), 'application/json')}
+                        className="text-slate-600 hover:underline"
+                      >
+                        Export
+                      </button>
+                      <button onClick={() => remove(index)} className="text-red-600 hover:underline">Delete</button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">No saved workspaces yet.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+// Affordability: the most house a borrower qualifies for under front-end and back-end
+// debt-to-income limits, solved per scenario by searching over the house price.
+import { analyzeScenario } from './mortgageMath.js';
+
+// Prices are solved to the nearest dollar
+const PRICE_TOLERANCE = 1;
+const MAX_PRICE = 100000000;
+
+// Cash needed at closing: the scenario's own down payment if it has one, otherwise everything available
+const downPaymentFor = (scenario, housePrice, downPaymentAvailable) => scenario.specialDown != null
+  ? (scenario.specialDown / 100) * housePrice
+  : Math.min(downPaymentAvailable, housePrice);
+
+const escrowFor = (housePrice, { propertyTaxRate = null, annualTax = 0, annualInsurance = 0, monthlyHoa = 0 }) => ({
+  annualTax: propertyTaxRate != null ? (propertyTaxRate / 100) * housePrice : annualTax,
+  annualInsurance,
+  monthlyHoa,
+  escalationRate: 0
+});
+
+// Lenders qualify on the first month's housing payment: P&I, tax, insurance, HOA and PMI
+export const qualifyAt = (scenario, housePrice, assumptions) => {
+  const { monthlyIncome, monthlyDebts = 0, frontEndLimit, backEndLimit, downPaymentAvailable, pmi = null } = assumptions;
+  const downPayment = downPaymentFor(scenario, housePrice, downPaymentAvailable);
+  const result = analyzeScenario(
+    { ...scenario, specialDown: null },
+    { housePrice, downPaymentPercent: housePrice > 0 ? (downPayment / housePrice) * 100 : 0, escrow: escrowFor(housePrice, assumptions), pmi }
+  );
+  const housingPayment = result.monthlyPITI;
+  const frontEndRatio = monthlyIncome > 0 ? (housingPayment / monthlyIncome) * 100 : Infinity;
+  const backEndRatio = monthlyIncome > 0 ? ((housingPayment + monthlyDebts) / monthlyIncome) * 100 : Infinity;
+  const withinCash = downPayment <= downPaymentAvailable + 1e-9;
+
+  return {
+    housePrice,
+    loanAmount: result.principal,
+    downPayment,
+    housingPayment,
+    frontEndRatio,
+    backEndRatio,
+    withinCash,
+    fits: withinCash && frontEndRatio <= frontEndLimit + 1e-9 && backEndRatio <= backEndLimit + 1e-9
+  };
+};
+
+export const maxAffordablePrice = (scenario, assumptions) => {
+  const fitsAt = (price) => qualifyAt(scenario, price, assumptions).fits;
+
+  // Housing cost rises with price, so the affordable prices form a range starting at zero
+  if (!fitsAt(PRICE_TOLERANCE)) {
+    return { ...qualifyAt(scenario, 0, assumptions), fits: false, bindingLimit: 'income' };
+  }
+  let low = PRICE_TOLERANCE;
+  let high = Math.max(2 * assumptions.downPaymentAvailable, 100000);
+  while (high < MAX_PRICE && fitsAt(high)) {
+    low = high;
+    high *= 2;
+  }
+  while (high - low > PRICE_TOLERANCE) {
+    const mid = (low + high) / 2;
+    if (fitsAt(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const best = qualifyAt(scenario, Math.floor(low), assumptions);
+  // Whichever limit the price just above the maximum breaks is the one holding the price down
+  const beyond = qualifyAt(scenario, high, assumptions);
+  let bindingLimit = 'back-end';
+  if (!beyond.withinCash) {
+    bindingLimit = 'cash';
+  } else if (beyond.frontEndRatio > assumptions.frontEndLimit + 1e-9) {
+    bindingLimit = 'front-end';
+  }
+  return { ...best, bindingLimit };
+};
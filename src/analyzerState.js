@@ -0,0 +1,129 @@
+// The analyzer state that links and saved workspaces restore: which settings it holds, what
+// counts as valid for each, and how states saved by older versions are brought up to date.
+import { validateScenario, toDraft, fromDraft } from './scenarioDraft.js';
+
+export const STATE_VERSION = 1;
+
+// Upgrades a decoded state from one version to the next. When the format changes, bump
+// STATE_VERSION and add an entry here (1: (state) => version 2 state) so old links and saved
+// workspaces keep working.
+const migrations = {};
+
+const number = (min, max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const integer = (min, max) => (value) => Number.isInteger(value) && value >= min && value <= max;
+const boolean = (value) => typeof value === 'boolean';
+const oneOf = (...options) => (value) => options.includes(value);
+const text = (maxLength) => (value) => typeof value === 'string' && value.length <= maxLength;
+const yearMonth = (value) => typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+
+// Every shared setting and what counts as a valid value. Bounds are wider than the sliders,
+// since goal seek and typed inputs can go past them. Other tools rely on WORKSPACES.md, so
+// keep it in step with any change here.
+const fields = {
+  housePrice: number(1000, 100000000),
+  downPaymentPercent: number(0, 100),
+  propertyTaxMode: oneOf('rate', 'amount'),
+  propertyTaxRate: number(0, 10),
+  propertyTaxAmount: number(0, 10000000),
+  homeInsurance: number(0, 1000000),
+  hoaDues: number(0, 100000),
+  escalationRate: number(0, 20),
+  pmiRate: number(0, 5),
+  pmiCancelAtRequest: boolean,
+  firstPaymentMonth: yearMonth,
+  paymentDay: integer(1, 31),
+  scheduleMode: oneOf('exact', 'lender'),
+  discountRate: number(0, 30),
+  inflationRate: number(0, 30),
+  investmentReturn: number(0, 30),
+  realDollars: boolean,
+  appreciationRate: number(-50, 50),
+  appreciationPath: text(500),
+  sellingCostPercent: number(0, 50),
+  saleYear: integer(1, 50)
+};
+
+const MAX_SCENARIOS = 50;
+
+// A scenario goes through the editor's own validation, then is rebuilt from its draft so only
+// known fields, with the right types, come out
+const readScenario = (value, accepted) => {
+  if (!value || typeof value !== 'object' || !Number.isInteger(value.id) || value.id < 1
+    || accepted.some(s => s.id === value.id)
+    || typeof value.term !== 'number' || typeof value.rate !== 'number') {
+    return null;
+  }
+  try {
+    const draft = toDraft({ ...value, accelerated: value.accelerated === true });
+    return Object.keys(validateScenario(draft, accepted)).length === 0 ? fromDraft(draft) : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// All or nothing: dropping just the bad scenarios would quietly show a different comparison
+// from the one that was shared
+const readScenarios = (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_SCENARIOS) return null;
+  const scenarios = [];
+  for (const item of value) {
+    const scenario = readScenario(item, scenarios);
+    if (!scenario) return null;
+    scenarios.push(scenario);
+  }
+  return scenarios;
+};
+
+// The part of the analyzer state that is saved and shared
+export const pickState = (state) => {
+  const picked = {};
+  Object.keys(fields).forEach(key => { picked[key] = state[key]; });
+  picked.selectedView = state.selectedView;
+  picked.scenarios = state.scenarios;
+  picked.activeScenarios = state.activeScenarios;
+  picked.baselineId = state.baselineId;
+  return picked;
+};
+
+// Validates a saved state field by field, over the defaults. Returns { state, rejected } where
+// rejected names the settings that were reset, or null when the state cannot be read at all
+// (not an object, or from an unknown version).
+export const readState = (raw, version, defaults, views) => {
+  if (!Number.isInteger(version) || version < 1 || version > STATE_VERSION
+    || !raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return null;
+  }
+  for (let v = version; v < STATE_VERSION; v++) {
+    raw = migrations[v](raw);
+  }
+
+  const state = { ...defaults };
+  const rejected = [];
+  const accept = (key, valid, value = raw[key]) => {
+    if (!(key in raw)) return;
+    if (valid) state[key] = value;
+    else rejected.push(key);
+  };
+
+  Object.entries(fields).forEach(([key, isValid]) => accept(key, isValid(raw[key])));
+  accept('selectedView', views.includes(raw.selectedView));
+  const scenarios = readScenarios(raw.scenarios);
+  accept('scenarios', scenarios !== null, scenarios);
+
+  // Active ids must point at scenarios that made it through; fall back to whichever defaults exist
+  const ids = state.scenarios.map(s => s.id);
+  const active = Array.isArray(raw.activeScenarios)
+    ? [...new Set(raw.activeScenarios)].filter(id => ids.includes(id))
+    : [];
+  accept('activeScenarios', active.length > 0, active);
+  if (!state.activeScenarios.every(id => ids.includes(id)) || state.activeScenarios.length === 0) {
+    const fallback = defaults.activeScenarios.filter(id => ids.includes(id));
+    state.activeScenarios = fallback.length > 0 ? fallback : [ids[0]];
+  }
+
+  // So must the baseline; null means no scenario is pinned
+  accept('baselineId', raw.baselineId === null || ids.includes(raw.baselineId));
+  if (state.baselineId != null && !ids.includes(state.baselineId)) state.baselineId = null;
+
+  return { state, rejected };
+};
@@ -0,0 +1,54 @@
+// Baseline comparison: every scenario measured against one pinned scenario, so each view can show
+// what choosing it instead would save or cost.
+import { generateMonthlySchedule } from './mortgageMath.js';
+import { marketEquityAtYear } from './homeSale.js';
+
+// Cash put into the home by the end of each month, index 0 being closing: the down payment and
+// upfront costs, then P&I (including any balloon), extra principal and PMI. Tax, insurance and
+// HOA are left out, since they are the same whichever loan buys the home.
+const cumulativeCost = (result, monthly, months) => {
+  const cost = [result.downPayment + (result.upfrontCosts || 0)];
+  for (let month = 1; month <= months; month++) {
+    const row = monthly[month - 1];
+    cost.push(cost[month - 1] + (row ? row.payment + row.extra + row.pmi : 0));
+  }
+  return cost;
+};
+
+// First month at which a running difference is on the other side of zero from where it started,
+// or null if it never crosses. Differences under a cent count as a tie and change nothing.
+export const crossoverMonth = (difference) => {
+  let side = 0;
+  for (let month = 0; month < difference.length; month++) {
+    const sign = Math.sign(Math.round(difference[month] * 100));
+    if (sign === 0) continue;
+    if (side === 0) side = sign;
+    else if (sign !== side) return month;
+  }
+  return null;
+};
+
+// A scenario less the baseline, so a negative payment or cost is money saved and a positive
+// equity gap is equity ahead. costDifference runs month by month until both loans are paid off,
+// and equityGap year by year on the same market values.
+export const compareToBaseline = (result, baseline, { pmi = null, appreciation = null } = {}) => {
+  const monthly = generateMonthlySchedule(result, pmi);
+  const baselineMonthly = generateMonthlySchedule(baseline, pmi);
+  const months = Math.max(monthly.length, baselineMonthly.length);
+  const cost = cumulativeCost(result, monthly, months);
+  const baselineCost = cumulativeCost(baseline, baselineMonthly, months);
+  const costDifference = cost.map((value, month) => value - baselineCost[month]);
+
+  return {
+    monthlyPayment: result.monthlyPayment - baseline.monthlyPayment,
+    monthlyPITI: result.monthlyPITI - baseline.monthlyPITI,
+    totalInterest: result.totalInterest - baseline.totalInterest,
+    realTotalInterest: (result.realTotalInterest ?? 0) - (baseline.realTotalInterest ?? 0),
+    totalCash: costDifference[months],
+    yearsSaved: baseline.actualTerm - result.actualTerm,
+    costDifference,
+    crossoverMonth: crossoverMonth(costDifference),
+    equityGap: Array.from({ length: Math.ceil(months / 12) + 1 }, (_, year) =>
+      marketEquityAtYear(result, monthly, appreciation, year) - marketEquityAtYear(baseline, baselineMonthly, appreciation, year))
+  };
+};
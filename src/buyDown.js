@@ -0,0 +1,49 @@
+// Points and lender credits: compares a scenario against a baseline to see when paying more
+// upfront for a lower rate (or taking a credit for a higher one) comes out ahead.
+import { generateMonthlySchedule } from './mortgageMath.js';
+
+// Cash put in by month t: down payment, upfront costs, payments made, plus the balance still
+// owed, so loans of different sizes and lengths compare fairly if the house is sold at month t
+const positionAt = (result, monthly, month) => {
+  const rows = monthly.slice(0, month);
+  const paid = rows.reduce((sum, row) => sum + row.payment + row.extra + row.pmi, 0);
+  const balance = rows.length > 0 ? rows[rows.length - 1].balance : result.principal;
+  return result.downPayment + result.upfrontCosts + paid + balance;
+};
+
+export const analyzeBuyDown = (option, baseline, pmi = null) => {
+  const optionMonthly = generateMonthlySchedule(option, pmi);
+  const baselineMonthly = generateMonthlySchedule(baseline, pmi);
+  const extraUpfront = option.upfrontCosts - baseline.upfrontCosts;
+  const monthlySavings = baseline.monthlyPayment - option.monthlyPayment;
+  const interestSaved = baseline.totalInterest - option.totalInterest;
+
+  const lastMonth = Math.max(optionMonthly.length, baselineMonthly.length);
+  const netSavingsAt = (month) =>
+    positionAt(baseline, baselineMonthly, month) - positionAt(option, optionMonthly, month);
+
+  // The month the option's net savings change sign: when paid points are earned back, or when a
+  // lender credit has been used up by the higher payments
+  const startsAhead = netSavingsAt(0) >= 0;
+  const timeline = [];
+  let crossoverMonth = null;
+  for (let month = 0; month <= lastMonth; month++) {
+    const netSavings = netSavingsAt(month);
+    if (crossoverMonth === null && month > 0 && (netSavings >= 0) !== startsAhead) {
+      crossoverMonth = month;
+    }
+    timeline.push({ month, netSavings });
+  }
+
+  return {
+    extraUpfront,
+    monthlySavings,
+    // Rule of thumb: extra upfront cost divided by the monthly payment saved
+    simpleBreakEvenMonth: extraUpfront > 0 && monthlySavings > 0 ? Math.ceil(extraUpfront / monthlySavings) : null,
+    crossoverMonth,
+    startsAhead,
+    interestSaved,
+    lifetimeSavings: timeline[timeline.length - 1].netSavings,
+    timeline
+  };
+};
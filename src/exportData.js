@@ -0,0 +1,302 @@
+// Spreadsheet export: CSV text and a minimal multi-sheet XLSX workbook, both built in the browser.
+import { generateMonthlySchedule, paymentDate, loanTypeLabel, compoundingLabel, hasExtraPayments } from './mortgageMath.js';
+import { programLabel } from './loanPrograms.js';
+
+const cents = (value) => Math.round(value * 100) / 100;
+
+// Sheets are { name, rows } where rows are arrays of cells (numbers, strings or null for blank)
+
+// Chart data points ({ year, 'Scenario A': ..., ... }) as a table; a scenario missing from a
+// year (already paid off) is left blank
+export const pointsToRows = (points) => {
+  const columns = [];
+  points.forEach(point => Object.keys(point).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+  return [
+    columns.map(column => column === 'year' ? 'Year' : column),
+    ...points.map(point => columns.map(column => point[column] != null ? point[column] : null))
+  ];
+};
+
+export const buildExportSheets = ({ results, inputs, balanceData, equityData }) => {
+  const { housePrice, downPaymentPercent, escrow, pmi, firstPaymentMonth, paymentDay = 1, scheduleMode = 'exact', appreciation } = inputs;
+
+  const assumptions = [
+    ['Assumption', 'Value'],
+    ['House price', housePrice],
+    ['Standard down payment (%)', downPaymentPercent],
+    ['Standard down payment ($)', cents((downPaymentPercent / 100) * housePrice)],
+    ['Property tax ($/yr)', cents(escrow.annualTax)],
+    ['Home insurance ($/yr)', escrow.annualInsurance],
+    ['HOA dues ($/month)', escrow.monthlyHoa],
+    ['Tax & insurance escalation (%/yr)', escrow.escalationRate],
+    ['PMI rate (%/yr)', pmi.rate],
+    ['PMI cancelled on request at 80% LTV', pmi.cancelAtRequest ? 'Yes' : 'No'],
+    ['First payment date', paymentDate(firstPaymentMonth, paymentDay, 1)],
+    ['Schedule', scheduleMode === 'lender' ? 'Lender (rounded to cents)' : 'Exact'],
+    appreciation.path.length > 0
+      ? ['Home value change by year (%)', appreciation.path.join(', ')]
+      : ['Home appreciation (%/yr)', appreciation.rate],
+    [],
+    ['Scenario', 'Term (yr)', 'Rate (%)', 'APR (%)', 'Down payment (%)', 'Points', 'Closing costs', 'Lender credit', 'Loan type', 'Program', 'Financed fee', 'Interest convention', 'Extra payments'],
+    ...results.map(r => [
+      r.name,
+      r.term,
+      r.rate,
+      Math.round(r.apr * 1000) / 1000,
+      cents((r.downPayment / r.homeValue) * 100),
+      r.points || 0,
+      r.closingCosts,
+      r.lenderCredit,
+      loanTypeLabel(r),
+      programLabel(r),
+      cents(r.programFees.upfrontFee),
+      compoundingLabel(r),
+      hasExtraPayments(r.extraPayments) ? 'Yes' : 'No'
+    ])
+  ];
+
+  const comparison = [
+    ['Scenario', 'Term (yr)', 'Paid off in (yr)', 'Rate (%)', 'APR (%)', 'Principal', 'Monthly P&I', 'Monthly PITI + HOA',
+      'Total PMI', 'Total paid', 'Total interest', 'Upfront costs', 'Total cost', 'Total housing cost'],
+    ...results.map(r => [
+      r.name,
+      r.term,
+      cents(r.actualTerm),
+      r.rate,
+      Math.round(r.apr * 1000) / 1000,
+      cents(r.principal),
+      cents(r.monthlyPayment),
+      cents(r.monthlyPITI),
+      cents(r.totalPMI),
+      cents(r.totalPaid),
+      cents(r.totalInterest),
+      cents(r.upfrontCosts),
+      cents(r.totalCost),
+      cents(r.totalHousingCost)
+    ])
+  ];
+
+  const schedules = results.map(r => ({
+    name: r.name,
+    rows: [
+      ['#', 'Due date', 'Rate (%)', 'Payment', 'Interest', 'Principal', 'Extra', 'Balloon', 'PMI', 'Balance', 'Cumulative interest'],
+      ...generateMonthlySchedule(r, pmi).map(row => [
+        row.paymentNumber,
+        paymentDate(firstPaymentMonth, paymentDay, row.paymentNumber),
+        row.rate,
+        cents(row.payment),
+        cents(row.interest),
+        cents(row.principal),
+        cents(row.extra),
+        cents(row.balloon),
+        cents(row.pmi),
+        cents(row.balance),
+        cents(row.cumulativeInterest)
+      ])
+    ]
+  }));
+
+  return [
+    { name: 'Assumptions', rows: assumptions },
+    { name: 'Comparison', rows: comparison },
+    { name: 'Balance Over Time', rows: pointsToRows(balanceData) },
+    { name: 'Equity Over Time', rows: pointsToRows(equityData) },
+    ...schedules
+  ];
+};
+
+// CSV (RFC 4180): cells with commas, quotes or line breaks are quoted, quotes doubled
+const csvCell = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// A CSV file holds one table, so every sheet goes in one after another under its name
+export const sheetsToCsv = (sheets) => sheets.map(sheet => toCsv([[sheet.name], ...sheet.rows])).join('\r\n');
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ], unique ignoring case
+export const sheetNames = (names) => {
+  const used = new Set();
+  return names.map(name => {
+    const base = (String(name).replace(/[:\\/?*[\]]/g, ' ').trim() || 'Sheet').slice(0, 31);
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+      unique = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+};
+
+// XML text, dropping control characters that XML 1.0 cannot contain
+const escapeXml = (value) => String(value)
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Zero-based column index to a spreadsheet column letter: 0 -> A, 26 -> AA
+export const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+// Numbers are stored as numbers and text inline; the first row uses the bold header style
+const worksheetXml = (rows) => {
+  const rowsXml = rows.map((row, r) => {
+    const cells = row.map((value, c) => {
+      if (value == null || value === '') return '';
+      const ref = `${columnName(c)}${r + 1}`;
+      const style = r === 0 ? ' s="1"' : '';
+      return typeof value === 'number' && Number.isFinite(value)
+        ? `<c r="${ref}"${style}><v>${value}</v></c>`
+        : `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }).join('');
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<sheetData>${rowsXml}</sheetData></worksheet>`;
+};
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+  + '</styleSheet>';
+
+// The parts of an .xlsx package: content types, relationships, the workbook, styles and sheets
+export const buildWorkbook = (sheets) => {
+  const names = sheetNames(sheets.map(sheet => sheet.name));
+  const sheetOverrides = sheets.map((sheet, i) =>
+    `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join('');
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheetOverrides
+        + '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + '<sheets>'
+        + names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((sheet, i) =>
+          `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+        ).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>'
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheets.map((sheet, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: worksheetXml(sheet.rows) }))
+  ];
+  return zipFiles(files);
+};
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+// Zip archive with every file stored uncompressed, which every spreadsheet app accepts.
+// Files are { name, data } with data as a string (written as UTF-8) or bytes.
+export const zipFiles = (files) => {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => {
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name: encoder.encode(file.name), data, crc: crc32(data) };
+  });
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  const DOS_DATE = (0 << 9) | (1 << 5) | 1; // 1980-01-01, the earliest zip date
+
+  let offset = 0;
+  const offsets = entries.map(entry => {
+    const start = offset;
+    view.setUint32(offset, 0x04034b50, true); // local file header
+    view.setUint16(offset + 4, 20, true); // version needed (2.0)
+    view.setUint16(offset + 8, 0, true); // stored, no compression
+    view.setUint16(offset + 12, DOS_DATE, true);
+    view.setUint32(offset + 14, entry.crc, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint32(offset + 22, entry.data.length, true);
+    view.setUint16(offset + 26, entry.name.length, true);
+    bytes.set(entry.name, offset + 30);
+    bytes.set(entry.data, offset + 30 + entry.name.length);
+    offset += 30 + entry.name.length + entry.data.length;
+    return start;
+  });
+
+  const centralStart = offset;
+  entries.forEach((entry, i) => {
+    view.setUint32(offset, 0x02014b50, true); // central directory header
+    view.setUint16(offset + 4, 20, true); // version made by
+    view.setUint16(offset + 6, 20, true); // version needed
+    view.setUint16(offset + 14, DOS_DATE, true);
+    view.setUint32(offset + 16, entry.crc, true);
+    view.setUint32(offset + 20, entry.data.length, true);
+    view.setUint32(offset + 24, entry.data.length, true);
+    view.setUint16(offset + 28, entry.name.length, true);
+    view.setUint32(offset + 42, offsets[i], true);
+    bytes.set(entry.name, offset + 46);
+    offset += 46 + entry.name.length;
+  });
+
+  view.setUint32(offset, 0x06054b50, true); // end of central directory
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralStart, true);
+  view.setUint32(offset + 16, centralStart, true);
+  return bytes;
+};
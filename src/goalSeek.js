@@ -0,0 +1,169 @@
+// Goal seek: find the value of one input that makes a scenario hit a target monthly payment,
+// total interest or payoff date. Every candidate runs through analyzeScenario, so escrow, PMI,
+// extra payments and ARM resets are all accounted for. Candidates the scenario editor would refuse,
+// such as an interest-only period as long as the term, are never offered as a solution.
+import { analyzeScenario, paymentMonth, isArm, isInterestOnly, isBalloon } from './mortgageMath.js';
+import { validateScenario, toDraft } from './scenarioDraft.js';
+import { minDownPercent } from './loanPrograms.js';
+
+// Search range for each input; term is searched in whole years
+export const goalVariables = {
+  rate: { label: 'Interest rate', min: 0, max: 30, tolerance: 1e-7 },
+  term: { label: 'Term', min: 1, max: 50, integer: true },
+  downPayment: { label: 'Down payment', min: 0, max: 99.99, tolerance: 1e-7 },
+  housePrice: { label: 'House price', min: 10000, max: 10000000, tolerance: 0.001 },
+  extraMonthly: { label: 'Extra monthly payment', min: 0, max: null, tolerance: 0.0001 },
+  targetYears: { label: 'Accelerated payoff', min: 1 / 12, max: null, tolerance: 1e-7 }
+};
+
+export const goalTargets = {
+  monthlyPayment: 'Monthly payment (P&I + extra)',
+  totalInterest: 'Total interest',
+  payoffDate: 'Paid off by'
+};
+
+// Months from the first payment through the given 'YYYY-MM', counting both ends
+export const paymentsUntil = (firstPaymentMonth, yearMonth) => {
+  const [startYear, startMonth] = firstPaymentMonth.split('-').map(Number);
+  const [year, month] = yearMonth.split('-').map(Number);
+  return (year - startYear) * 12 + (month - startMonth) + 1;
+};
+
+// Scenario and house price with the variable set to value
+export const applyGoalValue = (variable, value, scenario, context) => {
+  switch (variable) {
+    case 'rate':
+      return { scenario: { ...scenario, rate: value }, housePrice: context.housePrice };
+    case 'term':
+      return { scenario: { ...scenario, term: value }, housePrice: context.housePrice };
+    case 'downPayment':
+      return { scenario: { ...scenario, specialDown: value }, housePrice: context.housePrice };
+    case 'housePrice':
+      return { scenario, housePrice: value };
+    case 'extraMonthly':
+      return {
+        scenario: { ...scenario, extraPayments: { ...scenario.extraPayments, monthlyAmount: value, startMonth: 1, endMonth: null } },
+        housePrice: context.housePrice
+      };
+    case 'targetYears':
+      return { scenario: { ...scenario, accelerated: true, targetYears: value }, housePrice: context.housePrice };
+    default:
+      throw new Error(`Unknown goal-seek variable: ${variable}`);
+  }
+};
+
+// Problems the scenario editor would report for a candidate; empty when it is a valid scenario
+export const candidateErrors = (scenario) => Object.values(validateScenario(toDraft(scenario), []));
+
+// A candidate that fails validation has no result
+const analyze = (variable, value, scenario, context) => {
+  const applied = applyGoalValue(variable, value, scenario, context);
+  const errors = candidateErrors(applied.scenario);
+  const result = errors.length === 0 ? analyzeScenario(applied.scenario, { ...context, housePrice: applied.housePrice }) : null;
+  return { ...applied, errors, result };
+};
+
+const metricOf = (metric, result) => {
+  switch (metric) {
+    case 'monthlyPayment': {
+      const extra = result.extraPayments && (result.extraPayments.startMonth || 1) <= 1 ? Number(result.extraPayments.monthlyAmount) || 0 : 0;
+      return result.monthlyPayment + extra;
+    }
+    case 'totalInterest':
+      return result.totalInterest;
+    case 'payoffDate':
+      return result.numPayments;
+    default:
+      throw new Error(`Unknown goal-seek target: ${metric}`);
+  }
+};
+
+// Years at the start of a loan that its term has to outlast: an ARM's fixed period, an
+// interest-only period or the years to a balloon
+const lockedYears = (scenario) => {
+  if (isArm(scenario)) return scenario.arm.fixedYears;
+  if (isInterestOnly(scenario)) return scenario.interestOnlyYears;
+  if (isBalloon(scenario)) return scenario.balloonYears;
+  return 0;
+};
+
+// Bounds that depend on the scenario: a term longer than any fixed, interest-only or balloon
+// period and any accelerated payoff, a down payment no lower than the program allows, extra payments up to the whole loan, acceleration up to a month short of the term
+const rangeFor = (variable, scenario, context) => {
+  const { min, max } = goalVariables[variable];
+  if (variable === 'term') {
+    return [Math.max(min, lockedYears(scenario) + 1, scenario.accelerated ? Math.floor(scenario.targetYears) + 1 : min), max];
+  }
+  if (variable === 'downPayment') {
+    return [Math.max(min, minDownPercent(scenario.program)), max];
+  }
+  if (variable === 'extraMonthly') {
+    return [min, analyzeScenario(scenario, context).principal];
+  }
+  if (variable === 'targetYears') {
+    return [min, scenario.term - 1 / 12];
+  }
+  return [min, max];
+};
+
+// Bisect between a value that meets the target and one that misses it. Each metric moves
+// one way as its input grows, so the boundary is unique; the answer returned is the value on
+// the side that meets the target (pays no more, or finishes no later, than asked).
+export const solveGoal = (variable, target, scenario, context) => {
+  const { integer, tolerance } = goalVariables[variable];
+  const goal = target.metric === 'payoffDate'
+    ? paymentsUntil(context.firstPaymentMonth, target.value)
+    : target.value;
+  let [low, high] = rangeFor(variable, scenario, context);
+  const ends = [analyze(variable, low, scenario, context), analyze(variable, high, scenario, context)];
+  const invalid = ends.find(end => end.result === null);
+  if (low > high || invalid) {
+    return { solved: false, variable, errors: invalid ? invalid.errors : [] };
+  }
+
+  // A candidate the editor would refuse counts as missing the target, so the answer never moves onto one
+  const gap = (value) => {
+    const { result } = analyze(variable, value, scenario, context);
+    return result ? metricOf(target.metric, result) - goal : Infinity;
+  };
+  const lowMetric = metricOf(target.metric, ends[0].result);
+  const highMetric = metricOf(target.metric, ends[1].result);
+  const lowGap = lowMetric - goal;
+  const highGap = highMetric - goal;
+
+  if ((lowGap > 0 && highGap > 0) || (lowGap < 0 && highGap < 0)) {
+    return {
+      solved: false,
+      variable,
+      range: { from: low, to: high },
+      reachable: { min: Math.min(lowMetric, highMetric), max: Math.max(lowMetric, highMetric) }
+    };
+  }
+
+  // Keep `low` on the side that meets the target
+  const largerMeetsTarget = lowGap > 0;
+  if (largerMeetsTarget) {
+    [low, high] = [high, low];
+  }
+  for (let i = 0; i < 200 && Math.abs(high - low) > (integer ? 1 : tolerance); i++) {
+    const mid = integer ? Math.round((low + high) / 2) : (low + high) / 2;
+    if (gap(mid) <= 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  const solution = analyze(variable, low, scenario, context);
+  return {
+    solved: true,
+    variable,
+    value: low,
+    largerMeetsTarget,
+    scenario: solution.scenario,
+    housePrice: solution.housePrice,
+    result: solution.result,
+    achieved: metricOf(target.metric, solution.result),
+    payoffMonth: paymentMonth(context.firstPaymentMonth, solution.result.numPayments)
+  };
+};
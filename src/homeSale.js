@@ -0,0 +1,57 @@
+// Market value equity and selling the home before the loan is paid off.
+import { generateMonthlySchedule, calculateEscrow } from './mortgageMath.js';
+
+// Home value after `year` years. Appreciation is either one yearly rate or a custom list of
+// yearly changes in percent (negative for declines); the last entry repeats after the list ends.
+export const marketValueAtYear = (homeValue, appreciation, year) => {
+  const path = (appreciation && appreciation.path) || [];
+  let value = homeValue;
+  for (let y = 1; y <= year; y++) {
+    const change = path.length > 0 ? path[Math.min(y, path.length) - 1] : (appreciation && appreciation.rate) || 0;
+    value *= 1 + change / 100;
+  }
+  return value;
+};
+
+// Market value less the loan balance, including the down payment and any change in value
+export const marketEquityAtYear = (result, monthly, appreciation, year) => {
+  const balance = year === 0 ? result.principal : (monthly[Math.min(year * 12, monthly.length) - 1] || { balance: 0 }).balance;
+  return marketValueAtYear(result.homeValue, appreciation, year) - balance;
+};
+
+// Sell at the end of year N: what the sale nets after selling costs and paying off the loan,
+// and what owning cost up to then (everything paid in, less what the sale gives back)
+export const analyzeSale = (result, { appreciation, sellingCostPercent = 0, years, escrow = null, pmi = null }) => {
+  const monthly = generateMonthlySchedule(result, pmi);
+  const months = years * 12;
+  const rows = monthly.slice(0, months);
+  const salePrice = marketValueAtYear(result.homeValue, appreciation, years);
+  const sellingCosts = (sellingCostPercent / 100) * salePrice;
+  const balance = rows.length > 0 ? rows[rows.length - 1].balance : result.principal;
+  const netProceeds = salePrice - sellingCosts - balance;
+
+  const downPayment = result.downPayment;
+  const loanPayments = rows.reduce((sum, row) => sum + row.payment + row.extra, 0);
+  const pmiPaid = rows.reduce((sum, row) => sum + row.pmi, 0);
+  const interestPaid = rows.reduce((sum, row) => sum + row.interest, 0);
+  // Tax, insurance and HOA are owed for as long as the home is owned, even after payoff
+  const escrowPaid = calculateEscrow(escrow, months).totalEscrow;
+  const cashIn = downPayment + (result.upfrontCosts || 0) + loanPayments + pmiPaid + escrowPaid;
+  const trueCost = cashIn - netProceeds;
+
+  return {
+    years,
+    salePrice,
+    sellingCosts,
+    balance,
+    netProceeds,
+    downPayment,
+    loanPayments,
+    interestPaid,
+    pmiPaid,
+    escrowPaid,
+    cashIn,
+    trueCost,
+    monthlyCost: months > 0 ? trueCost / months : 0
+  };
+};
@@ -0,0 +1,95 @@
+// Government loan programs and their fees. The tables below are the only place the rates live,
+// so a change in HUD, VA or USDA pricing is a data edit. Rates are percentages.
+
+// FHA: upfront MIP on the base loan, financed into the principal, and an annual MIP charged monthly.
+// Annual MIP rows are checked in order and the first one the loan fits applies; `years` is how long
+// it is charged, or null for the life of the loan. Base loan limit and rates per HUD Mortgagee
+// Letter 2023-05.
+const fha = {
+  label: 'FHA',
+  minDownPercent: 3.5,
+  upfrontRate: 1.75,
+  annualRates: [
+    { maxTerm: 15, maxBaseLoan: 726200, maxLtv: 90, rate: 0.15, years: 11 },
+    { maxTerm: 15, maxBaseLoan: 726200, maxLtv: Infinity, rate: 0.4, years: null },
+    { maxTerm: 15, maxBaseLoan: Infinity, maxLtv: 78, rate: 0.15, years: 11 },
+    { maxTerm: 15, maxBaseLoan: Infinity, maxLtv: 90, rate: 0.4, years: 11 },
+    { maxTerm: 15, maxBaseLoan: Infinity, maxLtv: Infinity, rate: 0.65, years: null },
+    { maxTerm: Infinity, maxBaseLoan: 726200, maxLtv: 90, rate: 0.5, years: 11 },
+    { maxTerm: Infinity, maxBaseLoan: 726200, maxLtv: 95, rate: 0.5, years: null },
+    { maxTerm: Infinity, maxBaseLoan: 726200, maxLtv: Infinity, rate: 0.55, years: null },
+    { maxTerm: Infinity, maxBaseLoan: Infinity, maxLtv: 90, rate: 0.7, years: 11 },
+    { maxTerm: Infinity, maxBaseLoan: Infinity, maxLtv: 95, rate: 0.7, years: null },
+    { maxTerm: Infinity, maxBaseLoan: Infinity, maxLtv: Infinity, rate: 0.75, years: null }
+  ]
+};
+
+// VA: a one-time funding fee, financed, set by the down payment and whether the borrower has used
+// the benefit before. Veterans receiving disability compensation are exempt. No monthly insurance.
+// Purchase-loan rates effective April 2023; rows are checked in order by minimum down payment.
+const va = {
+  label: 'VA',
+  minDownPercent: 0,
+  fundingFees: [
+    { minDownPercent: 10, firstUse: 1.25, subsequentUse: 1.25 },
+    { minDownPercent: 5, firstUse: 1.5, subsequentUse: 1.5 },
+    { minDownPercent: 0, firstUse: 2.15, subsequentUse: 3.3 }
+  ]
+};
+
+// USDA: an upfront guarantee fee, financed, and an annual fee for the life of the loan. Rates for
+// Single Family Housing Guaranteed loans, fiscal year 2024.
+const usda = {
+  label: 'USDA',
+  minDownPercent: 0,
+  upfrontRate: 1,
+  annualRate: 0.35
+};
+
+export const loanPrograms = { fha, va, usda };
+
+// Own keys only, so a name like 'toString' from a pasted link is never taken for a program
+export const isLoanProgram = (program) => typeof program === 'string' && Object.hasOwn(loanPrograms, program);
+
+export const hasProgram = (scenario) => isLoanProgram(scenario.program);
+
+// Smallest down payment a program allows, in percent; conventional loans set none here
+export const minDownPercent = (program) => isLoanProgram(program) ? loanPrograms[program].minDownPercent : 0;
+
+export const programLabel = (scenario) => hasProgram(scenario) ? loanPrograms[scenario.program].label : 'Conventional';
+
+// Name of the monthly mortgage insurance a loan pays, for labels
+export const insuranceLabel = (scenario) => (hasProgram(scenario) && ({ fha: 'MIP', usda: 'USDA fee' })[scenario.program]) || 'PMI';
+
+const noFees = { upfrontRate: 0, upfrontFee: 0, annualRate: 0, annualMonths: 0 };
+
+// The program fees on a base loan (price less down payment): the upfront fee that is financed,
+// and the annual premium with how many months it is charged. Conventional loans have none here;
+// their PMI comes from the analyzer's PMI settings instead.
+export const programFees = (scenario, baseLoan, homeValue) => {
+  if (!hasProgram(scenario) || baseLoan <= 0) return noFees;
+  const ltv = (baseLoan / homeValue) * 100;
+  const lifeOfLoan = Math.ceil(scenario.term * 12);
+
+  if (scenario.program === 'fha') {
+    const row = fha.annualRates.find(r => scenario.term <= r.maxTerm && baseLoan <= r.maxBaseLoan && ltv <= r.maxLtv + 1e-9);
+    return {
+      upfrontRate: fha.upfrontRate,
+      upfrontFee: (fha.upfrontRate / 100) * baseLoan,
+      annualRate: row.rate,
+      annualMonths: row.years == null ? lifeOfLoan : Math.min(row.years * 12, lifeOfLoan)
+    };
+  }
+  if (scenario.program === 'va') {
+    const downPercent = 100 - ltv;
+    const row = va.fundingFees.find(r => downPercent >= r.minDownPercent - 1e-9);
+    const upfrontRate = scenario.vaExempt ? 0 : (scenario.vaSubsequentUse ? row.subsequentUse : row.firstUse);
+    return { ...noFees, upfrontRate, upfrontFee: (upfrontRate / 100) * baseLoan };
+  }
+  return {
+    upfrontRate: usda.upfrontRate,
+    upfrontFee: (usda.upfrontRate / 100) * baseLoan,
+    annualRate: usda.annualRate,
+    annualMonths: lifeOfLoan
+  };
+};
@@ -0,0 +1,171 @@
+// Monte Carlo simulation: thousands of possible futures for each scenario, with the ARM index, home
+// appreciation and investment returns drawn at random each year, and a chance each year that the
+// home is sold or the loan refinanced. Loan payments come from generateMonthlySchedule, the same
+// schedule the rest of the analyzer uses; an ARM's random index path is fed in as a custom index.
+import { generateMonthlySchedule, calculateEscrow, isArm } from './mortgageMath.js';
+
+// Distributions are normal, in percent per year; probabilities are percent chances per year
+export const simulationDefaults = {
+  paths: 2000,
+  seed: 1,
+  indexDrift: 0,
+  indexVolatility: 0.75,
+  appreciationMean: 3,
+  appreciationVolatility: 5,
+  returnMean: 6,
+  returnVolatility: 12,
+  sellProbability: 5,
+  refinanceProbability: 3
+};
+
+export const percentiles = [10, 50, 90];
+
+// Small seeded generator (mulberry32), so a run can be repeated exactly
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+const normal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Value at a percentile of sorted values, interpolating between neighbours
+export const percentileOf = (sorted, percentile) => {
+  const position = (percentile / 100) * (sorted.length - 1);
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+};
+
+// Loan cash paid (P&I, balloon, extra principal, PMI) in each year and the balance at each year
+// end; index 0 is the start of the loan
+const yearlyLoan = (monthly, principal, years) => {
+  const paid = new Array(years + 1).fill(0);
+  const balance = new Array(years + 1).fill(0);
+  balance[0] = principal;
+  monthly.forEach(row => {
+    const year = Math.ceil(row.paymentNumber / 12);
+    if (year <= years) paid[year] += row.payment + row.extra + row.pmi;
+  });
+  for (let year = 1; year <= years; year++) {
+    const row = monthly[Math.min(year * 12, monthly.length) - 1];
+    balance[year] = year * 12 <= monthly.length ? row.balance : 0;
+  }
+  return { paid, balance };
+};
+
+// Simulates one analyzed scenario. Each year of a path, in order: the index moves by the drift plus
+// a random shock (never below zero), the home value and the money not put into the home grow by
+// random rates, and then the home may be sold or the loan refinanced.
+//
+// Net cost at a year is what owning has cost if the home were sold then: the down payment, upfront
+// costs, loan payments and escrow, each grown at the path's investment returns as the opportunity
+// cost, less what the sale nets after selling costs and the loan payoff. Equity is the home value
+// less the balance. A sale or refinance ends the scenario's loan, so its figures hold from then on;
+// a refinance keeps the home, so it is charged no selling costs.
+//
+// A custom appreciation path (yearly changes in percent, the last repeating, as the rest of the
+// analyzer uses) replaces the mean appreciation year by year; the volatility still applies around it.
+const simulateScenario = (result, settings, { pmi = null, escrow = null, sellingCostPercent = 0, appreciationPath = [] }, onPaths) => {
+  const random = createRandom(settings.seed);
+  const years = Math.ceil(result.term);
+  const arm = isArm(result);
+  const fixedLoan = arm ? null : yearlyLoan(generateMonthlySchedule(result, pmi), result.principal, years);
+  const escrowByYear = Array.from({ length: years + 1 }, (_, year) => year === 0
+    ? 0
+    : calculateEscrow(escrow, year * 12).totalEscrow - calculateEscrow(escrow, (year - 1) * 12).totalEscrow);
+  const sellingCost = sellingCostPercent / 100;
+  const appreciationMean = (year) => appreciationPath.length > 0
+    ? appreciationPath[Math.min(year, appreciationPath.length) - 1]
+    : settings.appreciationMean;
+  const netCost = Array.from({ length: years + 1 }, () => new Float64Array(settings.paths));
+  const equity = Array.from({ length: years + 1 }, () => new Float64Array(settings.paths));
+  const held = new Array(years + 1).fill(0);
+
+  for (let path = 0; path < settings.paths; path++) {
+    // Draw every random number a year needs, whether this loan uses it or not, so every scenario
+    // sees the same markets for the same seed
+    const draws = [];
+    for (let year = 1; year <= years; year++) {
+      draws.push({ index: normal(random), appreciation: normal(random), growth: normal(random), exit: random() });
+    }
+
+    let loan = fixedLoan;
+    if (arm) {
+      let index = result.arm.index.start;
+      const custom = draws.map(draw => {
+        index = Math.max(0, index + settings.indexDrift + settings.indexVolatility * draw.index);
+        return index;
+      });
+      const pathResult = { ...result, arm: { ...result.arm, index: { ...result.arm.index, path: 'custom', custom } } };
+      loan = yearlyLoan(generateMonthlySchedule(pathResult, pmi), result.principal, years);
+    }
+
+    let value = result.homeValue;
+    let invested = result.downPayment + (result.upfrontCosts || 0);
+    let exited = false;
+    netCost[0][path] = invested - (value * (1 - sellingCost) - loan.balance[0]);
+    equity[0][path] = value - loan.balance[0];
+    held[0]++;
+
+    for (let year = 1; year <= years; year++) {
+      if (exited) {
+        netCost[year][path] = netCost[year - 1][path];
+        equity[year][path] = equity[year - 1][path];
+        continue;
+      }
+      const draw = draws[year - 1];
+      value *= Math.max(0, 1 + (appreciationMean(year) + settings.appreciationVolatility * draw.appreciation) / 100);
+      invested = invested * Math.max(0, 1 + (settings.returnMean + settings.returnVolatility * draw.growth) / 100)
+        + loan.paid[year] + escrowByYear[year];
+      const balance = loan.balance[year];
+      const sells = draw.exit < settings.sellProbability / 100;
+      const refinances = !sells && draw.exit < (settings.sellProbability + settings.refinanceProbability) / 100;
+
+      netCost[year][path] = invested - (value * (refinances ? 1 : 1 - sellingCost) - balance);
+      equity[year][path] = value - balance;
+      if (sells || refinances) {
+        exited = true;
+      } else {
+        held[year]++;
+      }
+    }
+    if ((path + 1) % 100 === 0) onPaths(100);
+  }
+  onPaths(settings.paths % 100);
+
+  const band = (values) => {
+    const sorted = Float64Array.from(values).sort();
+    return percentiles.map(p => percentileOf(sorted, p));
+  };
+  return {
+    id: result.id,
+    name: result.name,
+    color: result.color,
+    years: netCost.map((values, year) => ({
+      year,
+      netCost: band(values),
+      equity: band(equity[year]),
+      held: held[year] / settings.paths
+    }))
+  };
+};
+
+// Simulates every analyzed scenario with the same settings. onProgress gets the fraction done.
+export const simulateScenarios = (results, settings, options = {}, onProgress = () => {}) => {
+  const total = results.length * settings.paths;
+  let done = 0;
+  return results.map(result => simulateScenario(result, settings, options, (paths) => {
+    done += paths;
+    onProgress(done / total);
+  }));
+};
@@ -0,0 +1,18 @@
+// Runs a Monte Carlo simulation off the main thread so the page stays responsive. Progress is
+// posted as it goes; the page cancels a run by terminating the worker.
+import { simulateScenarios } from './monteCarlo.js';
+
+let lastPosted = 0;
+
+self.onmessage = (event) => {
+  const { results, settings, options } = event.data;
+  lastPosted = 0;
+  const summaries = simulateScenarios(results, settings, options, (progress) => {
+    // A message per percent is plenty for a progress bar
+    if (progress - lastPosted >= 0.01 || progress === 1) {
+      lastPosted = progress;
+      self.postMessage({ type: 'progress', progress });
+    }
+  });
+  self.postMessage({ type: 'done', summaries });
+};
@@ -0,0 +1,570 @@
+// Pure mortgage math shared by the React UI and the Node test suite.
+// Nothing in this module touches React state, so every function can be called directly.
+import { hasProgram, programFees } from './loanPrograms.js';
+
+// Balances below half a cent are treated as paid off to absorb floating-point drift
+const PAID_OFF = 0.005;
+
+// Rounds to the nearest cent; the small nudge keeps values like 1.005 (stored as 1.00499...) rounding up
+const toCents = (value) => Math.round(value * 100 + 1e-6) / 100;
+
+export const monthlyRateFor = (annualRate) => annualRate / 100 / 12;
+
+// How a scenario's interest is compounded or accrued. US loans compound monthly. Canadian fixed-rate
+// mortgages compound semi-annually, so the monthly rate is the one that grows to the same six-month
+// total. Daily simple-interest loans accrue on the balance each day, over actual days in a 365-day
+// year or 30-day months in a 360-day year, and are quoted the same payment as a monthly loan.
+export const compoundingConventions = {
+  monthly: { label: 'Monthly (US)' },
+  'semi-annual': { label: 'Semi-annual (Canadian)' },
+  'actual-365': { label: 'Daily simple, actual/365', dayBasis: 365, actualDays: true },
+  '30-360': { label: 'Daily simple, 30/360', dayBasis: 360 }
+};
+
+// Own keys only, so a name like 'constructor' from a pasted link is never taken for a convention
+export const isCompounding = (compounding) => typeof compounding === 'string' && Object.hasOwn(compoundingConventions, compounding);
+
+const conventionFor = (compounding) => isCompounding(compounding) ? compoundingConventions[compounding] : compoundingConventions.monthly;
+
+const conventionOf = (scenario) => conventionFor(scenario.compounding);
+
+export const compoundingLabel = (scenario) => conventionOf(scenario).label;
+
+// Monthly rate a payment is figured at under a convention
+export const periodRateFor = (annualRate, compounding = 'monthly') => compounding === 'semi-annual'
+  ? Math.pow(1 + annualRate / 200, 1 / 6) - 1
+  : monthlyRateFor(annualRate);
+
+// Rate charged for one accrual period of a schedule: a month, or the two weeks of a biweekly
+// installment. Daily conventions charge the period's days; actual/365 counts the real days between
+// due dates, where 30/360 counts every month as 30.
+const accrualRate = (annualRate, compounding, { biweekly, days }) => {
+  const { dayBasis } = conventionFor(compounding);
+  if (dayBasis) return (annualRate / 100 / dayBasis) * (biweekly ? 14 : days);
+  if (biweekly) return compounding === 'semi-annual' ? Math.pow(1 + annualRate / 200, 1 / 13) - 1 : annualRate / 100 / 26;
+  return periodRateFor(annualRate, compounding);
+};
+
+// Loans whose interest depends on the calendar, so their totals come from the dated schedule
+const accruesActualDays = (scenario) => Boolean(conventionOf(scenario).actualDays);
+
+export const amortizingPayment = (principal, monthlyRate, numPayments) => {
+  // Standard amortization formula: M = P * [r(1+r)^n] / [(1+r)^n - 1]
+  // Where: M = monthly payment, P = principal, r = monthly rate, n = number of payments
+  // At 0% the formula divides by zero, so the principal is simply spread evenly
+  if (monthlyRate === 0) return principal / numPayments;
+  const growth = Math.pow(1 + monthlyRate, numPayments);
+  return principal * (monthlyRate * growth) / (growth - 1);
+};
+
+// Price less the down payment
+export const getBaseLoan = (scenario, housePrice, downPaymentPercent) => {
+  const downPercent = scenario.specialDown ?? downPaymentPercent;
+  const downPayment = (downPercent / 100) * housePrice;
+  return housePrice - downPayment;
+};
+
+// The amount borrowed: the base loan plus any government program fee financed into it
+// (FHA upfront MIP, VA funding fee, USDA guarantee fee)
+export const getPrincipal = (scenario, housePrice, downPaymentPercent) => {
+  const baseLoan = getBaseLoan(scenario, housePrice, downPaymentPercent);
+  return baseLoan + programFees(scenario, baseLoan, housePrice).upfrontFee;
+};
+
+export const calculateEscrow = (escrow, numPayments) => {
+  // Tax and insurance grow once a year by the escalation rate; HOA dues stay flat
+  // Returns the first-year monthly amounts plus the lifetime total over numPayments months
+  if (!escrow) {
+    return { monthlyTax: 0, monthlyInsurance: 0, monthlyHoa: 0, totalEscrow: 0 };
+  }
+  const growth = 1 + (escrow.escalationRate || 0) / 100;
+  const monthlyTax = escrow.annualTax / 12;
+  const monthlyInsurance = escrow.annualInsurance / 12;
+  let totalEscrow = 0;
+
+  for (let month = 0; month < numPayments; month++) {
+    const factor = Math.pow(growth, Math.floor(month / 12));
+    totalEscrow += (monthlyTax + monthlyInsurance) * factor + escrow.monthlyHoa;
+  }
+
+  return { monthlyTax, monthlyInsurance, monthlyHoa: escrow.monthlyHoa, totalEscrow };
+};
+
+export const calculateMortgage = (principal, annualRate, years, acceleratedTargetYears = null, escrow = null, compounding = 'monthly') => {
+  const monthlyRate = periodRateFor(annualRate, compounding);
+  // Accelerated payoff: same loan, but a higher payment sized to finish in the target years
+  const payoffYears = acceleratedTargetYears || years;
+  const scheduledPayments = payoffYears * 12;
+  const monthlyPayment = amortizingPayment(principal, monthlyRate, scheduledPayments);
+
+  // Iterate through each payment to calculate exact interest/principal split.
+  // Fractional terms (e.g. 36.46 years = 437.52 payments) end with a smaller final payment
+  // that clears whatever balance is left.
+  const maxPayments = Math.ceil(scheduledPayments - 1e-9);
+  let balance = principal;
+  let totalPaid = 0;
+  let totalInterest = 0;
+  let numPayments = 0;
+
+  while (numPayments < maxPayments && balance > PAID_OFF) {
+    const interestPayment = balance * monthlyRate;
+    const payment = Math.min(monthlyPayment, balance + interestPayment);
+    balance -= payment - interestPayment;
+    totalPaid += payment;
+    totalInterest += interestPayment;
+    numPayments++;
+  }
+
+  const escrowCosts = calculateEscrow(escrow, numPayments);
+
+  return {
+    monthlyPayment,
+    totalPaid,
+    totalInterest,
+    numPayments,
+    actualTerm: payoffYears,
+    ...escrowCosts,
+    monthlyPITI: monthlyPayment + escrowCosts.monthlyTax + escrowCosts.monthlyInsurance + escrowCosts.monthlyHoa,
+    totalHousingCost: totalPaid + escrowCosts.totalEscrow
+  };
+};
+
+export const hasExtraPayments = (extraPayments) => Boolean(extraPayments && (
+  extraPayments.biweekly ||
+  extraPayments.monthlyAmount > 0 ||
+  extraPayments.annualAmount > 0 ||
+  (extraPayments.lumpSums || []).some(l => l.amount > 0)
+));
+
+// Extra principal scheduled for a payment: recurring monthly amount within its start/end window,
+// an annual lump sum in the chosen calendar month, plus any one-off lump sums for that payment
+export const extraPaymentFor = (extraPayments, paymentNumber, firstPaymentMonth) => {
+  if (!extraPayments) return 0;
+  let extra = 0;
+  const { monthlyAmount, startMonth = 1, endMonth, annualAmount, annualMonth, lumpSums = [] } = extraPayments;
+
+  if (monthlyAmount > 0 && paymentNumber >= startMonth && (!endMonth || paymentNumber <= endMonth)) {
+    extra += monthlyAmount;
+  }
+  if (annualAmount > 0 && annualMonth) {
+    const calendarMonth = Number(paymentMonth(firstPaymentMonth || '2000-01', paymentNumber).slice(5));
+    if (calendarMonth === annualMonth) extra += annualAmount;
+  }
+  lumpSums.forEach(l => {
+    if (l.month === paymentNumber) extra += l.amount;
+  });
+
+  return extra;
+};
+
+// Standard ARM products: fixed years / adjustment frequency, with typical initial/periodic/lifetime caps
+export const armProducts = {
+  '5/1': { fixedYears: 5, adjustmentMonths: 12, initialCap: 2, periodicCap: 2, lifetimeCap: 5 },
+  '7/6': { fixedYears: 7, adjustmentMonths: 6, initialCap: 5, periodicCap: 1, lifetimeCap: 5 },
+  '10/6': { fixedYears: 10, adjustmentMonths: 6, initialCap: 5, periodicCap: 1, lifetimeCap: 5 }
+};
+
+export const isArm = (scenario) => scenario.loanType === 'arm' && Boolean(scenario.arm);
+
+// Interest-only: payments cover just the interest for interestOnlyYears, then the balance
+// amortizes over the rest of the term
+export const isInterestOnly = (scenario) => scenario.loanType === 'interest-only' && scenario.interestOnlyYears > 0;
+
+// Balloon: payments amortize over the full term, but whatever is left is due after balloonYears
+export const isBalloon = (scenario) => scenario.loanType === 'balloon' && scenario.balloonYears > 0;
+
+// Loans whose payment or payoff differs from a plain fixed-rate schedule
+export const paymentsChange = (scenario) => isArm(scenario) || isInterestOnly(scenario) || isBalloon(scenario);
+
+export const loanTypeLabel = (scenario) => {
+  if (isArm(scenario)) return `ARM, fixed ${scenario.arm.fixedYears}yr`;
+  if (isInterestOnly(scenario)) return `Interest-only ${scenario.interestOnlyYears}yr`;
+  if (isBalloon(scenario)) return `Balloon at ${scenario.balloonYears}yr`;
+  return 'Fixed';
+};
+
+// Index value for a loan year (1-based): flat, rising or falling by a fixed step per year,
+// or a custom list of yearly values where the last value carries forward
+export const indexRateForYear = (index, year) => {
+  switch (index.path) {
+    case 'rising':
+      return index.start + index.step * (year - 1);
+    case 'falling':
+      return Math.max(0, index.start - index.step * (year - 1));
+    case 'custom': {
+      const values = index.custom || [];
+      return values.length > 0 ? values[Math.min(year, values.length) - 1] : index.start;
+    }
+    default:
+      return index.start;
+  }
+};
+
+// Annual rate charged on each payment of an ARM. The initial rate holds for the fixed period;
+// each reset moves to index + margin, limited by the initial cap (first reset) or periodic cap,
+// the lifetime cap over the initial rate, and the floor (the margin when none is set).
+export const armRatePath = (initialRate, arm, numPayments) => {
+  const rates = [];
+  const firstReset = arm.fixedYears * 12 + 1;
+  const ceiling = initialRate + arm.lifetimeCap;
+  const floor = arm.floor ?? arm.margin;
+  let rate = initialRate;
+
+  for (let paymentNumber = 1; paymentNumber <= numPayments; paymentNumber++) {
+    if (paymentNumber >= firstReset && (paymentNumber - firstReset) % arm.adjustmentMonths === 0) {
+      const cap = paymentNumber === firstReset ? arm.initialCap : arm.periodicCap;
+      const fullyIndexed = indexRateForYear(arm.index, Math.ceil(paymentNumber / 12)) + arm.margin;
+      let next = Math.min(Math.max(fullyIndexed, rate - cap), rate + cap);
+      next = Math.max(Math.min(next, ceiling), floor);
+      rate = next;
+    }
+    rates.push(rate);
+  }
+
+  return rates;
+};
+
+// Average of the balances at the start of each of the next 12 months, paying as scheduled
+const averageBalanceAhead = (balance, monthlyRate, payment) => {
+  let total = 0;
+  let remaining = balance;
+  for (let month = 0; month < 12; month++) {
+    total += remaining;
+    remaining = Math.max(0, remaining * (1 + monthlyRate) - payment);
+  }
+  return total / 12;
+};
+
+// Number of biweekly installments (26 a year) that fall in a given month of the loan
+const biweeklyPeriodsIn = (paymentNumber) =>
+  Math.ceil(paymentNumber * 26 / 12) - Math.ceil((paymentNumber - 1) * 26 / 12);
+
+export const generateMonthlySchedule = (result, pmi = null) => {
+  // One row per month for the full term
+  // Each payment splits into: Interest (on remaining balance) + Principal (reduces balance)
+  // A biweekly plan pays half the monthly payment 26 times a year, with interest accruing per
+  // two-week period; its installments are grouped into the month they fall in.
+  // ARMs re-amortize the remaining balance over the remaining term whenever the rate resets.
+  // Interest-only loans charge just the interest until the period ends, then amortize over what
+  // is left of the term. Balloon loans stop at the balloon date, where the balance is due at once.
+  // With roundToCents set, every amount is rounded to the cent as a lender's schedule is, and the
+  // last payment is trued up to clear the balance exactly. Interest accrues by the scenario's
+  // compounding convention; actual/365 loans true up the last payment too, since the calendar
+  // rarely charges exactly the interest the payment was sized for.
+  const round = result.roundToCents ? toCents : (value) => value;
+  const compounding = result.compounding || 'monthly';
+  const firstPaymentMonth = result.firstPaymentMonth || '2000-01';
+  const daysBefore = (paymentNumber) => accruesActualDays(result)
+    ? daysBetween(paymentDate(firstPaymentMonth, result.paymentDay || 1, paymentNumber - 1), paymentDate(firstPaymentMonth, result.paymentDay || 1, paymentNumber))
+    : 30;
+  const schedule = [];
+  const extraPayments = result.extraPayments;
+  const biweekly = Boolean(extraPayments && extraPayments.biweekly);
+  const interestOnlyPayments = isInterestOnly(result) ? result.interestOnlyYears * 12 : 0;
+  const balloonPayment = isBalloon(result) ? result.balloonYears * 12 : null;
+  const maxPayments = Math.min(Math.ceil(result.actualTerm * 12 - 1e-9), balloonPayment ?? Infinity);
+  const rates = isArm(result) ? armRatePath(result.rate, result.arm, maxPayments) : null;
+  let rate = result.rate;
+  let scheduledPayment = round(result.monthlyPayment);
+  let balance = round(result.principal);
+  let cumulativeInterest = 0;
+
+  // PMI is only charged when the loan starts above 80% LTV. It is charged on the original loan
+  // amount and stops once the balance reaches 78% of the original value (automatic termination),
+  // or 80% when the borrower requests cancellation.
+  // Government programs replace PMI with their own annual premium, re-figured at the start of each
+  // loan year on the average balance scheduled for that year and charged for the program's months.
+  const fees = hasProgram(result) ? programFees(result, result.baseLoan ?? result.principal, result.homeValue) : null;
+  const monthlyPMI = !fees && pmi && result.homeValue && result.principal > 0.8 * result.homeValue
+    ? round((pmi.rate / 100) * result.principal / 12)
+    : 0;
+  const pmiThreshold = result.homeValue * (pmi && pmi.cancelAtRequest ? 0.8 : 0.78);
+  let programPremium = 0;
+
+  for (let paymentNumber = 1; paymentNumber <= maxPayments && balance > PAID_OFF; paymentNumber++) {
+    let pmiPayment = monthlyPMI > 0 && balance > pmiThreshold ? monthlyPMI : 0;
+    if (rates && rates[paymentNumber - 1] !== rate) {
+      rate = rates[paymentNumber - 1];
+      scheduledPayment = round(amortizingPayment(balance, periodRateFor(rate, compounding), maxPayments - paymentNumber + 1));
+    }
+    if (paymentNumber <= interestOnlyPayments) {
+      scheduledPayment = round(balance * accrualRate(rate, compounding, { days: daysBefore(paymentNumber) }));
+    } else if (paymentNumber === interestOnlyPayments + 1 && interestOnlyPayments > 0) {
+      scheduledPayment = round(amortizingPayment(balance, periodRateFor(rate, compounding), result.term * 12 - interestOnlyPayments));
+    }
+    if (fees && fees.annualRate > 0) {
+      if (paymentNumber % 12 === 1) {
+        programPremium = round((fees.annualRate / 100) * averageBalanceAhead(balance, periodRateFor(rate, compounding), scheduledPayment) / 12);
+      }
+      pmiPayment = paymentNumber <= fees.annualMonths ? programPremium : 0;
+    }
+    const periodRate = accrualRate(rate, compounding, { biweekly, days: daysBefore(paymentNumber) });
+    const periodPayment = biweekly ? round(scheduledPayment / 2) : scheduledPayment;
+    const periods = biweekly ? biweeklyPeriodsIn(paymentNumber) : 1;
+    let interestPayment = 0;
+    let principalPayment = 0;
+
+    for (let period = 0; period < periods && balance > PAID_OFF; period++) {
+      const periodInterest = round(balance * periodRate); // Interest accrues on current balance
+      const periodPrincipal = round(Math.min(periodPayment - periodInterest, balance)); // Rest goes to principal
+      balance = round(balance - periodPrincipal);
+      interestPayment = round(interestPayment + periodInterest);
+      principalPayment = round(principalPayment + periodPrincipal);
+    }
+
+    // Extra principal goes straight to the balance and never overpays it
+    const extraPayment = round(Math.min(extraPaymentFor(extraPayments, paymentNumber, result.firstPaymentMonth), balance));
+    balance = round(balance - extraPayment);
+    cumulativeInterest = round(cumulativeInterest + interestPayment);
+
+    // The balloon is paid as principal with the last scheduled payment. An interest-only period
+    // that runs to the end of the schedule never amortizes, so its balance falls due the same way.
+    const lastPayment = paymentNumber === maxPayments;
+    const dueInFull = paymentNumber === balloonPayment || (lastPayment && paymentNumber <= interestOnlyPayments);
+    let balloon = 0;
+    if (dueInFull && balance > PAID_OFF) {
+      balloon = balance;
+      principalPayment += balloon;
+      balance = 0;
+    } else if (lastPayment && !dueInFull && balance > (result.roundToCents || accruesActualDays(result) ? 0 : PAID_OFF)) {
+      // Rounded payments, and interest charged by the calendar, leave a little over or short by
+      // the end, and a schedule cut short leaves more; the final payment takes it up
+      principalPayment = round(principalPayment + balance);
+      balance = 0;
+    }
+
+    schedule.push({
+      paymentNumber,
+      rate,
+      scheduledPayment,
+      payment: round(principalPayment + interestPayment),
+      interest: interestPayment,
+      principal: principalPayment,
+      extra: extraPayment,
+      balloon,
+      pmi: pmiPayment,
+      balance: balance > PAID_OFF ? balance : 0,
+      cumulativeInterest
+    });
+  }
+
+  return schedule;
+};
+
+export const generateAmortizationSchedule = (result, pmi = null) => {
+  // Year-by-year totals of the monthly schedule; row N covers payments made during year N
+  const schedule = [];
+
+  generateMonthlySchedule(result, pmi).forEach(row => {
+    const year = Math.ceil(row.paymentNumber / 12);
+    let yearRow = schedule[schedule.length - 1];
+    if (!yearRow || yearRow.year !== year) {
+      yearRow = { year, balance: 0, principalPaid: 0, interestPaid: 0, extraPaid: 0, balloonPaid: 0, pmiPaid: 0, pmiMonths: 0, totalPaid: 0, cumulativeInterest: 0 };
+      schedule.push(yearRow);
+    }
+    yearRow.principalPaid += row.principal + row.extra;
+    yearRow.interestPaid += row.interest;
+    yearRow.extraPaid += row.extra;
+    yearRow.balloonPaid += row.balloon;
+    yearRow.totalPaid += row.payment + row.extra;
+    if (row.pmi > 0) {
+      yearRow.pmiPaid += row.pmi;
+      yearRow.pmiMonths++;
+    }
+    yearRow.balance = row.balance;
+    yearRow.cumulativeInterest = row.cumulativeInterest;
+  });
+
+  return schedule;
+};
+
+// Calendar month ('YYYY-MM') of a payment, counting the first payment as number 1
+export const paymentMonth = (firstPaymentMonth, paymentNumber) => {
+  const [year, month] = firstPaymentMonth.split('-').map(Number);
+  const index = year * 12 + (month - 1) + (paymentNumber - 1);
+  return `${Math.floor(index / 12)}-${String((index % 12) + 1).padStart(2, '0')}`;
+};
+
+export const formatPaymentMonth = (yearMonth) => {
+  const [year, month] = yearMonth.split('-').map(Number);
+  return new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+};
+
+// Due date ('YYYY-MM-DD') of a payment made on a given day of each month. A due day past the end
+// of a shorter month falls on that month's last day, as lenders schedule it.
+export const paymentDate = (firstPaymentMonth, paymentDay, paymentNumber) => {
+  const yearMonth = paymentMonth(firstPaymentMonth, paymentNumber);
+  const [year, month] = yearMonth.split('-').map(Number);
+  const day = Math.min(paymentDay, new Date(year, month, 0).getDate());
+  return `${yearMonth}-${String(day).padStart(2, '0')}`;
+};
+
+// Days from one 'YYYY-MM-DD' date to another
+const daysBetween = (from, to) => {
+  const dayNumber = (date) => {
+    const [year, month, day] = date.split('-').map(Number);
+    return Date.UTC(year, month - 1, day) / 86400000;
+  };
+  return dayNumber(to) - dayNumber(from);
+};
+
+export const formatPaymentDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(year, month - 1, day).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+// Remaining balance at the end of a given year (year 0 is the original loan amount)
+export const balanceAtYear = (schedule, principal, year) => {
+  if (year === 0) return principal;
+  const row = schedule.find(s => s.year === year);
+  return row ? row.balance : 0;
+};
+
+// Totals taken from the actual monthly schedule, for loans whose payments change over time
+const scheduleTotals = (result) => {
+  const monthly = generateMonthlySchedule(result);
+  const round = result.roundToCents ? toCents : (value) => value;
+  return {
+    monthly,
+    numPayments: monthly.length,
+    totalPaid: round(monthly.reduce((sum, row) => sum + row.payment + row.extra, 0)),
+    totalInterest: round(monthly.reduce((sum, row) => sum + row.interest, 0))
+  };
+};
+
+// Cash due at closing for the loan itself: discount points (percent of the loan amount) and
+// closing costs, less any lender credit. A credit larger than the costs comes back as cash.
+export const calculateUpfrontCosts = (scenario, principal) => {
+  const pointsCost = ((scenario.points || 0) / 100) * principal;
+  const closingCosts = scenario.closingCosts || 0;
+  const lenderCredit = scenario.lenderCredit || 0;
+  return { pointsCost, closingCosts, lenderCredit, upfrontCosts: pointsCost + closingCosts - lenderCredit };
+};
+
+// APR: the monthly rate that discounts the contractual payments (P&I plus mortgage insurance,
+// no prepayments or acceleration) back to the amount financed, times 12. All upfront costs are
+// treated as finance charges, so the amount financed is the loan less net upfront costs.
+export const calculateApr = (scenario, principal, upfrontCosts, { homeValue = null, pmi = null, baseLoan = principal } = {}) => {
+  if (principal <= 0) return scenario.rate;
+  const contract = { ...scenario, accelerated: false, targetYears: null, extraPayments: null };
+  const payments = generateMonthlySchedule(
+    { ...contract, ...calculateMortgage(principal, scenario.rate, scenario.term, null, null, scenario.compounding), principal, homeValue, baseLoan },
+    pmi
+  ).map(row => row.payment + row.pmi);
+  const amountFinanced = principal - upfrontCosts;
+  // Discounts with a running factor rather than a power per payment; the sensitivity grid runs
+  // this for every cell
+  const presentValue = (monthlyRate) => {
+    let sum = 0;
+    let discount = 1;
+    for (const payment of payments) {
+      discount /= 1 + monthlyRate;
+      sum += payment * discount;
+    }
+    return sum;
+  };
+
+  // Present value falls as the rate rises, so bisect on the monthly rate; 60 halvings of the
+  // range are past double precision
+  let low = -0.05;
+  let high = 0.1;
+  for (let i = 0; i < 60; i++) {
+    const mid = (low + high) / 2;
+    if (presentValue(mid) > amountFinanced) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return ((low + high) / 2) * 12 * 100;
+};
+
+export const analyzeScenario = (scenario, { housePrice, downPaymentPercent, escrow = null, pmi = null, firstPaymentMonth = null, paymentDay = 1, roundToCents = false }) => {
+  const baseLoan = getBaseLoan(scenario, housePrice, downPaymentPercent);
+  const principal = getPrincipal(scenario, housePrice, downPaymentPercent);
+  const calc = calculateMortgage(principal, scenario.rate, scenario.term, scenario.targetYears, escrow, scenario.compounding);
+  let result = {
+    ...scenario,
+    ...calc,
+    principal,
+    baseLoan,
+    downPayment: housePrice - baseLoan,
+    programFees: programFees(scenario, baseLoan, housePrice),
+    homeValue: housePrice,
+    firstPaymentMonth,
+    paymentDay,
+    roundToCents
+  };
+  const extras = hasExtraPayments(scenario.extraPayments);
+
+  // Nothing is borrowed when the down payment covers the price, so there is no schedule to read
+  // and the closed-form figures, all zero, stand
+  if (principal > 0 && (extras || paymentsChange(scenario) || roundToCents || accruesActualDays(scenario))) {
+    // Extra payments shorten the loan, ARM resets and the end of an interest-only period change the
+    // payment, a balloon ends the loan early, and rounding to cents and actual-day interest move
+    // every figure slightly, so totals come from the schedule
+    const { monthly, numPayments, totalPaid, totalInterest } = scheduleTotals(result);
+    const escrowCosts = calculateEscrow(escrow, numPayments);
+    // An interest-only loan is quoted at its first, interest-only payment
+    const monthlyPayment = monthly[0].scheduledPayment;
+    result = {
+      ...result,
+      ...escrowCosts,
+      monthlyPayment,
+      totalPaid,
+      totalInterest,
+      numPayments,
+      actualTerm: numPayments / 12,
+      monthlyPITI: monthlyPayment + escrowCosts.monthlyTax + escrowCosts.monthlyInsurance + escrowCosts.monthlyHoa,
+      totalHousingCost: totalPaid + escrowCosts.totalEscrow
+    };
+
+    if (isArm(scenario) || isInterestOnly(scenario)) {
+      const peak = monthly.reduce((max, row) => row.scheduledPayment > max.scheduledPayment ? row : max, monthly[0]);
+      result.peakPayment = peak.scheduledPayment;
+      result.peakPaymentMonth = peak.paymentNumber;
+      result.peakRate = Math.max(...monthly.map(row => row.rate));
+      result.paymentShock = peak.scheduledPayment - monthlyPayment;
+    }
+    const last = monthly[monthly.length - 1];
+    if (isBalloon(scenario) || last.balloon > 0) {
+      result.balloonPayment = last.balloon;
+      result.balloonMonth = last.paymentNumber;
+    }
+  }
+
+  if (scenario.accelerated || extras) {
+    // Compare against the same loan paid as scheduled over its full term
+    const standardCalc = calculateMortgage(principal, scenario.rate, scenario.term, null, null, scenario.compounding);
+    const standard = paymentsChange(scenario) || roundToCents || accruesActualDays(scenario)
+      ? scheduleTotals({ ...scenario, ...standardCalc, principal, firstPaymentMonth, paymentDay, roundToCents, extraPayments: null })
+      : standardCalc;
+    result.interestSaved = standard.totalInterest - result.totalInterest;
+    result.monthsSaved = standard.numPayments - result.numPayments;
+  }
+  const schedule = generateAmortizationSchedule(result, pmi);
+  const totalPMI = schedule.reduce((sum, s) => sum + s.pmiPaid, 0);
+  const pmiMonths = schedule.reduce((sum, s) => sum + s.pmiMonths, 0);
+  const monthlyPMI = pmiMonths > 0 ? schedule[0].pmiPaid / schedule[0].pmiMonths : 0;
+
+  // Points, closing costs and credits count toward total cost and APR, and so does a financed
+  // program fee; a plain fixed loan with none of them has an APR equal to its rate. APR is a
+  // monthly-compounded rate, so other conventions are always solved for theirs.
+  const upfront = calculateUpfrontCosts(scenario, principal);
+  const financeCharges = upfront.upfrontCosts + result.programFees.upfrontFee;
+  const apr = financeCharges === 0 && monthlyPMI === 0 && !isArm(scenario) && conventionOf(scenario) === compoundingConventions.monthly
+    ? scenario.rate
+    : calculateApr({ ...scenario, firstPaymentMonth, paymentDay }, principal, financeCharges, { homeValue: housePrice, pmi, baseLoan });
+
+  return {
+    ...result,
+    ...upfront,
+    apr,
+    monthlyPMI,
+    totalPMI,
+    pmiMonths,
+    monthlyPITI: result.monthlyPITI + monthlyPMI,
+    totalCost: result.totalPaid + upfront.upfrontCosts,
+    totalHousingCost: result.totalHousingCost + totalPMI + upfront.upfrontCosts
+  };
+};
@@ -0,0 +1,66 @@
+// Time value of money: present value of each scenario's payments, totals in today's dollars,
+// and an "invest the difference" comparison where every scenario spends the same monthly budget.
+import { generateMonthlySchedule } from './mortgageMath.js';
+
+// Value today of a dollar paid `month` months from now, for an annual rate in percent
+export const discountFactor = (annualRate, month) => Math.pow(1 + annualRate / 100, -month / 12);
+
+// What the borrower pays the lender each month: P&I plus extra principal
+const loanOutflow = (row) => row.payment + row.extra;
+
+export const valueScenario = (result, { discountRate = 0, inflationRate = 0 } = {}) => {
+  const monthly = generateMonthlySchedule(result);
+  let presentValue = 0;
+  let realTotalPaid = 0;
+  let realTotalInterest = 0;
+
+  monthly.forEach(row => {
+    const deflator = discountFactor(inflationRate, row.paymentNumber);
+    presentValue += loanOutflow(row) * discountFactor(discountRate, row.paymentNumber);
+    realTotalPaid += loanOutflow(row) * deflator;
+    realTotalInterest += row.interest * deflator;
+  });
+
+  return { presentValue, realTotalPaid, realTotalInterest };
+};
+
+// Every scenario gets the same cash: the largest down payment up front and, each month, the
+// largest loan payment (including PMI) any scenario is still making. Whatever a scenario does
+// not spend on its own loan is invested. Net worth is the home (held at its purchase price,
+// which is the same for every scenario) less the loan balance, plus the portfolio.
+export const investTheDifference = (results, { housePrice, investmentReturn = 0, inflationRate = 0, pmi = null }) => {
+  const schedules = results.map(result => generateMonthlySchedule(result, pmi));
+  const months = Math.ceil(Math.max(0, ...schedules.map(schedule => schedule.length)) / 12) * 12;
+  const monthlyReturn = investmentReturn / 100 / 12;
+  const downPayments = results.map(result => result.downPayment);
+  const largestDown = Math.max(...downPayments);
+  const portfolios = downPayments.map(down => largestDown - down);
+  const balances = results.map(result => result.principal);
+
+  const point = (month) => ({
+    year: month / 12,
+    netWorth: results.map((result, idx) =>
+      (housePrice - balances[idx] + portfolios[idx]) * discountFactor(inflationRate, month)
+    ),
+    portfolios: portfolios.map(value => value * discountFactor(inflationRate, month))
+  });
+
+  const yearly = [point(0)];
+  for (let month = 1; month <= months; month++) {
+    const outflows = schedules.map(schedule => {
+      const row = schedule[month - 1];
+      return row ? loanOutflow(row) + row.pmi : 0;
+    });
+    const budget = Math.max(...outflows);
+    outflows.forEach((outflow, idx) => {
+      portfolios[idx] = portfolios[idx] * (1 + monthlyReturn) + budget - outflow;
+      const row = schedules[idx][month - 1];
+      if (row) balances[idx] = row.balance;
+    });
+    if (month % 12 === 0) {
+      yearly.push(point(month));
+    }
+  }
+
+  return yearly;
+};
@@ -0,0 +1,101 @@
+// Refinance math: compares staying on an existing loan with replacing it by a new one.
+// Both loans are run through the same amortization engine the scenario views use.
+import { calculateMortgage, generateMonthlySchedule } from './mortgageMath.js';
+
+export const defaultHorizons = [2, 5, 7, 10, 15, 30];
+
+const loanSchedule = (principal, rate, years) => {
+  const calc = calculateMortgage(principal, rate, years);
+  return { calc, monthly: generateMonthlySchedule({ rate, principal, ...calc }) };
+};
+
+// Sum of payments through month t and the balance still owed after it
+const positionAt = (monthly, principal, month) => {
+  const rows = monthly.slice(0, month);
+  const paid = rows.reduce((sum, row) => sum + row.payment, 0);
+  const balance = rows.length > 0 ? rows[rows.length - 1].balance : principal;
+  return { paid, balance };
+};
+
+// Whether the inputs describe a loan that can be refinanced: positive balances and terms, and a
+// whole number of payments already made that leaves at least one still to make
+export const isValidRefinance = ({ originalBalance, termYears, monthsPaid, newTermYears }) =>
+  originalBalance > 0 && termYears > 0 && newTermYears > 0 &&
+  Number.isInteger(monthsPaid) && monthsPaid >= 0 && monthsPaid < termYears * 12;
+
+export const analyzeRefinance = (inputs, horizons = defaultHorizons) => {
+  if (!isValidRefinance(inputs)) {
+    throw new Error('Refinance inputs need positive balances and terms, and a whole number of payments made within the term');
+  }
+  const {
+    originalBalance,
+    currentRate,
+    termYears,
+    monthsPaid,
+    newRate,
+    newTermYears,
+    closingCosts = 0,
+    pointsPercent = 0,
+    cashOut = 0,
+    rollCosts = false
+  } = inputs;
+
+  // Existing loan as it stands today, after monthsPaid payments
+  const existing = loanSchedule(originalBalance, currentRate, termYears);
+  const currentBalance = monthsPaid > 0
+    ? existing.monthly[monthsPaid - 1].balance
+    : originalBalance;
+  const remaining = existing.monthly.slice(monthsPaid);
+
+  // Points are charged on the amount borrowed before any rolled-in costs
+  const baseAmount = currentBalance + cashOut;
+  const pointsCost = (pointsPercent / 100) * baseAmount;
+  const upfrontCosts = closingCosts + pointsCost;
+  const newPrincipal = baseAmount + (rollCosts ? upfrontCosts : 0);
+  const outOfPocket = rollCosts ? 0 : upfrontCosts;
+  const replacement = loanSchedule(newPrincipal, newRate, newTermYears);
+
+  const currentPayment = existing.calc.monthlyPayment;
+  const newPayment = replacement.calc.monthlyPayment;
+  const monthlySavings = currentPayment - newPayment;
+
+  // Net position at month t counts what has been paid plus what is still owed, so rolled-in
+  // costs and cash-out show up even if the house is sold before either loan is paid off
+  const netSavingsAt = (month) => {
+    const stay = positionAt(remaining, currentBalance, month);
+    const refi = positionAt(replacement.monthly, newPrincipal, month);
+    const stayCost = stay.paid + stay.balance;
+    const refiCost = outOfPocket + refi.paid + refi.balance - cashOut;
+    return { stayPaid: stay.paid, refiPaid: outOfPocket + refi.paid, stayCost, refiCost, netSavings: stayCost - refiCost };
+  };
+
+  const lastMonth = Math.max(remaining.length, replacement.monthly.length);
+  const timeline = [];
+  let breakEvenMonth = null;
+
+  for (let month = 0; month <= lastMonth; month++) {
+    const point = netSavingsAt(month);
+    if (breakEvenMonth === null && month > 0 && point.netSavings >= 0) {
+      breakEvenMonth = month;
+    }
+    timeline.push({ month, ...point });
+  }
+
+  return {
+    currentBalance,
+    currentPayment,
+    remainingMonths: remaining.length,
+    newPrincipal,
+    newPayment,
+    pointsCost,
+    upfrontCosts,
+    outOfPocket,
+    monthlySavings,
+    // The rule-of-thumb break-even ignores balance differences: costs divided by monthly savings
+    simpleBreakEvenMonth: monthlySavings > 0 && upfrontCosts > 0 ? Math.ceil(upfrontCosts / monthlySavings) : null,
+    breakEvenMonth,
+    lifetimeSavings: timeline[timeline.length - 1].netSavings,
+    horizons: horizons.map(years => ({ years, ...netSavingsAt(Math.min(years * 12, lastMonth)) })),
+    timeline
+  };
+};
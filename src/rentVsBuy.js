@@ -0,0 +1,91 @@
+// Rent vs buy: net worth over time for buying with a scenario's loan versus renting and
+// investing the money the buyer would have put into the house.
+import { generateMonthlySchedule } from './mortgageMath.js';
+
+export const analyzeRentVsBuy = (result, assumptions) => {
+  const {
+    housePrice,
+    escrow = null,
+    pmi = null,
+    horizonYears,
+    monthlyRent,
+    rentGrowth = 0,
+    appreciation = 0,
+    maintenancePercent = 0,
+    closingCostPercent = 0,
+    sellingCostPercent = 0,
+    investmentReturn = 0
+  } = assumptions;
+
+  const monthly = generateMonthlySchedule(result, pmi);
+  const monthlyReturn = investmentReturn / 100 / 12;
+  const escrowGrowth = 1 + ((escrow && escrow.escalationRate) || 0) / 100;
+  const downPayment = result.downPayment;
+  const closingCosts = (closingCostPercent / 100) * housePrice;
+
+  // The renter starts by investing the cash the buyer spends at closing
+  let renterPortfolio = downPayment + closingCosts;
+  let buyerPortfolio = 0;
+
+  const homeValueAt = (month) => housePrice * Math.pow(1 + appreciation / 100, month / 12);
+  const balanceAt = (month) => month === 0
+    ? result.principal
+    : (monthly[Math.min(month, monthly.length) - 1] || { balance: 0 }).balance;
+  const netWorthAt = (month) => {
+    const homeValue = homeValueAt(month);
+    const balance = balanceAt(month);
+    return {
+      homeValue,
+      balance,
+      buyNetWorth: homeValue * (1 - sellingCostPercent / 100) - balance + buyerPortfolio,
+      rentNetWorth: renterPortfolio
+    };
+  };
+
+  const yearly = [{ year: 0, rent: monthlyRent, ownershipCost: 0, ...netWorthAt(0) }];
+  let crossoverYear = yearly[0].buyNetWorth > yearly[0].rentNetWorth ? 0 : null;
+  let yearRent = 0;
+  let yearOwnership = 0;
+
+  for (let month = 1; month <= horizonYears * 12; month++) {
+    const yearIndex = Math.floor((month - 1) / 12);
+    const row = monthly[month - 1];
+    const loanPayment = row ? row.payment + row.extra + row.pmi : 0;
+    const escrowPayment = escrow
+      ? ((escrow.annualTax + escrow.annualInsurance) / 12) * Math.pow(escrowGrowth, yearIndex) + escrow.monthlyHoa
+      : 0;
+    const maintenance = (maintenancePercent / 100) * homeValueAt(month - 1) / 12;
+    const ownershipCost = loanPayment + escrowPayment + maintenance;
+    const rent = monthlyRent * Math.pow(1 + rentGrowth / 100, yearIndex);
+
+    // Whoever spends less that month invests the difference
+    renterPortfolio *= 1 + monthlyReturn;
+    buyerPortfolio *= 1 + monthlyReturn;
+    if (ownershipCost > rent) {
+      renterPortfolio += ownershipCost - rent;
+    } else {
+      buyerPortfolio += rent - ownershipCost;
+    }
+    yearRent += rent;
+    yearOwnership += ownershipCost;
+
+    if (month % 12 === 0) {
+      const point = { year: month / 12, rent: yearRent / 12, ownershipCost: yearOwnership / 12, ...netWorthAt(month) };
+      if (crossoverYear === null && point.buyNetWorth > point.rentNetWorth) {
+        crossoverYear = point.year;
+      }
+      yearly.push(point);
+      yearRent = 0;
+      yearOwnership = 0;
+    }
+  }
+
+  const final = yearly[yearly.length - 1];
+  return {
+    downPayment,
+    closingCosts,
+    yearly,
+    crossoverYear,
+    finalAdvantage: final.buyNetWorth - final.rentNetWorth
+  };
+};
@@ -0,0 +1,220 @@
+// Scenario drafts: the editable, string-valued form of a scenario, and the validation that
+// decides whether a draft can become a scenario again
+import { hasExtraPayments, armProducts, isCompounding } from './mortgageMath.js';
+import { isLoanProgram, loanPrograms, minDownPercent } from './loanPrograms.js';
+
+export const emptyExtraPayments = {
+  monthlyAmount: '',
+  startMonth: '1',
+  endMonth: '',
+  annualAmount: '',
+  annualMonth: '3',
+  lumpSums: [],
+  biweekly: false
+};
+
+export const defaultArm = {
+  product: '5/1',
+  ...armProducts['5/1'],
+  margin: 2.75,
+  floor: '',
+  index: { path: 'flat', start: 4.3, step: 0.25, custom: '' }
+};
+
+const isBlank = (value) => value === '' || value == null;
+const isNonNegative = (value) => Number.isFinite(Number(value)) && Number(value) >= 0;
+const isMonthNumber = (value) => !isBlank(value) && Number.isInteger(Number(value)) && Number(value) >= 1;
+const parseIndexValues = (text) => String(text).split(',').map(v => v.trim()).filter(v => v !== '').map(Number);
+
+// Returns a map of field -> message; an empty object means the draft is valid
+export const validateScenario = (draft, scenarios) => {
+  const errors = {};
+  const term = Number(draft.term);
+  const rate = Number(draft.rate);
+
+  if (!draft.name.trim()) {
+    errors.name = 'Name is required';
+  } else if (scenarios.some(s => s.id !== draft.id && s.name.trim().toLowerCase() === draft.name.trim().toLowerCase())) {
+    errors.name = 'Another scenario already uses this name';
+  }
+  if (!Number.isFinite(term) || term < 1 || term > 50) {
+    errors.term = 'Term must be between 1 and 50 years';
+  }
+  if (draft.rate === '' || !Number.isFinite(rate) || rate < 0 || rate > 30) {
+    errors.rate = 'Rate must be between 0% and 30%';
+  }
+  if (draft.accelerated && (draft.loanType === 'interest-only' || draft.loanType === 'balloon')) {
+    errors.targetYears = 'Accelerated payoff is not available for interest-only or balloon loans';
+  } else if (draft.accelerated) {
+    const target = Number(draft.targetYears);
+    if (draft.targetYears === '' || !Number.isFinite(target) || target <= 0) {
+      errors.targetYears = 'Accelerated scenarios need a target payoff in years';
+    } else if (target >= term) {
+      errors.targetYears = 'Target payoff must be shorter than the term';
+    }
+  }
+  if (draft.specialDown !== '') {
+    const down = Number(draft.specialDown);
+    if (!Number.isFinite(down) || down < 0 || down >= 100) {
+      errors.specialDown = 'Down payment must be between 0% and 100%';
+    }
+  }
+  if (!isBlank(draft.points) && (!isNonNegative(draft.points) || Number(draft.points) > 10)) {
+    errors.costs = 'Points must be between 0 and 10';
+  } else if ([draft.closingCosts, draft.lenderCredit].some(value => !isBlank(value) && !isNonNegative(value))) {
+    errors.costs = 'Closing costs and lender credit must be zero or more';
+  }
+  if (!/^#[0-9a-f]{6}$/i.test(draft.color)) {
+    errors.color = 'Color must be a hex value like #3b82f6';
+  }
+
+  const extra = draft.extraPayments;
+  if (!isBlank(extra.monthlyAmount) && !isNonNegative(extra.monthlyAmount)) {
+    errors.extraMonthly = 'Extra monthly principal must be zero or more';
+  } else if (!isMonthNumber(extra.startMonth) || (!isBlank(extra.endMonth) && (!isMonthNumber(extra.endMonth) || Number(extra.endMonth) < Number(extra.startMonth)))) {
+    errors.extraMonthly = 'Start and end must be payment numbers, with the end on or after the start';
+  }
+  if (!isBlank(extra.annualAmount) && !isNonNegative(extra.annualAmount)) {
+    errors.extraAnnual = 'Annual lump sum must be zero or more';
+  } else if (!isMonthNumber(extra.annualMonth) || Number(extra.annualMonth) > 12) {
+    errors.extraAnnual = 'Annual lump sum month must be January to December';
+  }
+  if (extra.lumpSums.some(l => !isMonthNumber(l.month) || !isNonNegative(l.amount) || isBlank(l.amount))) {
+    errors.lumpSums = 'Each lump sum needs a payment number and an amount of zero or more';
+  }
+
+  if (draft.loanType === 'arm') {
+    const arm = draft.arm;
+    if (!isMonthNumber(arm.fixedYears) || Number(arm.fixedYears) >= term) {
+      errors.armFixed = 'Fixed period must be a whole number of years shorter than the term';
+    }
+    if (!isMonthNumber(arm.adjustmentMonths)) {
+      errors.armFixed = 'Adjustment frequency must be a whole number of months';
+    }
+    if ([arm.initialCap, arm.periodicCap, arm.lifetimeCap].some(cap => isBlank(cap) || !isNonNegative(cap))) {
+      errors.armCaps = 'Caps must be zero or more percentage points';
+    }
+    if (isBlank(arm.margin) || !isNonNegative(arm.margin) || (!isBlank(arm.floor) && !isNonNegative(arm.floor))) {
+      errors.armMargin = 'Margin and floor must be zero or more';
+    }
+    if (arm.index.path === 'custom') {
+      if (parseIndexValues(arm.index.custom).some(v => !Number.isFinite(v) || v < 0) || parseIndexValues(arm.index.custom).length === 0) {
+        errors.armIndex = 'Enter one index value per year, separated by commas';
+      }
+    } else if (isBlank(arm.index.start) || !isNonNegative(arm.index.start) || (arm.index.path !== 'flat' && (isBlank(arm.index.step) || !isNonNegative(arm.index.step)))) {
+      errors.armIndex = 'Index start and yearly change must be zero or more';
+    }
+  }
+
+  if (draft.loanType === 'interest-only' && (!isMonthNumber(draft.interestOnlyYears) || Number(draft.interestOnlyYears) >= term)) {
+    errors.interestOnlyYears = 'Interest-only period must be a whole number of years shorter than the term';
+  }
+  if (draft.loanType === 'balloon' && (!isMonthNumber(draft.balloonYears) || Number(draft.balloonYears) >= term)) {
+    errors.balloonYears = 'Balloon must come due after a whole number of years shorter than the term';
+  }
+  if (draft.program !== 'conventional' && !isLoanProgram(draft.program)) {
+    errors.program = 'Choose a loan program from the list';
+  } else if (draft.program !== 'conventional' && (draft.loanType === 'interest-only' || draft.loanType === 'balloon')) {
+    errors.program = 'Government programs do not offer interest-only or balloon loans';
+  } else if (minDownPercent(draft.program) > 0 && !errors.specialDown
+    && (draft.specialDown === '' || Number(draft.specialDown) < minDownPercent(draft.program))) {
+    // Checked against the scenario's own down payment, since the shared one can change at any time
+    errors.program = `${loanPrograms[draft.program].label} loans need their own down payment of at least ${minDownPercent(draft.program)}%`;
+  }
+  if (!isCompounding(draft.compounding)) {
+    errors.compounding = 'Choose an interest convention from the list';
+  }
+
+  return errors;
+};
+
+export const toDraft = (scenario) => {
+  const extra = scenario.extraPayments || {};
+  return {
+    ...scenario,
+    targetYears: scenario.targetYears ?? '',
+    specialDown: scenario.specialDown ?? '',
+    points: scenario.points ?? '',
+    closingCosts: scenario.closingCosts ?? '',
+    lenderCredit: scenario.lenderCredit ?? '',
+    loanType: scenario.loanType || 'fixed',
+    interestOnlyYears: scenario.interestOnlyYears ?? 10,
+    balloonYears: scenario.balloonYears ?? 7,
+    program: scenario.program || 'conventional',
+    compounding: scenario.compounding || 'monthly',
+    vaSubsequentUse: Boolean(scenario.vaSubsequentUse),
+    vaExempt: Boolean(scenario.vaExempt),
+    arm: scenario.arm
+      ? {
+          ...scenario.arm,
+          product: Object.keys(armProducts).find(key => armProducts[key].fixedYears === scenario.arm.fixedYears && armProducts[key].adjustmentMonths === scenario.arm.adjustmentMonths) || 'custom',
+          floor: scenario.arm.floor ?? '',
+          index: { ...scenario.arm.index, custom: (scenario.arm.index.custom || []).join(', ') }
+        }
+      : defaultArm,
+    extraPayments: {
+      ...emptyExtraPayments,
+      monthlyAmount: extra.monthlyAmount ?? '',
+      startMonth: String(extra.startMonth ?? 1),
+      endMonth: extra.endMonth ?? '',
+      annualAmount: extra.annualAmount ?? '',
+      annualMonth: String(extra.annualMonth ?? 3),
+      lumpSums: (extra.lumpSums || []).map(l => ({ month: String(l.month), amount: String(l.amount) })),
+      biweekly: Boolean(extra.biweekly)
+    }
+  };
+};
+
+const fromExtraDraft = (extra) => {
+  const extraPayments = {
+    monthlyAmount: Number(extra.monthlyAmount) || 0,
+    startMonth: Number(extra.startMonth),
+    endMonth: isBlank(extra.endMonth) ? null : Number(extra.endMonth),
+    annualAmount: Number(extra.annualAmount) || 0,
+    annualMonth: Number(extra.annualMonth),
+    lumpSums: extra.lumpSums.map(l => ({ month: Number(l.month), amount: Number(l.amount) })),
+    biweekly: extra.biweekly
+  };
+  return hasExtraPayments(extraPayments) ? extraPayments : null;
+};
+
+const fromArmDraft = (arm) => ({
+  fixedYears: Number(arm.fixedYears),
+  adjustmentMonths: Number(arm.adjustmentMonths),
+  initialCap: Number(arm.initialCap),
+  periodicCap: Number(arm.periodicCap),
+  lifetimeCap: Number(arm.lifetimeCap),
+  margin: Number(arm.margin),
+  floor: isBlank(arm.floor) ? null : Number(arm.floor),
+  index: {
+    path: arm.index.path,
+    start: Number(arm.index.start),
+    step: Number(arm.index.step) || 0,
+    custom: arm.index.path === 'custom' ? parseIndexValues(arm.index.custom) : []
+  }
+});
+
+export const fromDraft = (draft) => {
+  const extraPayments = fromExtraDraft(draft.extraPayments);
+  return {
+    id: draft.id,
+    name: draft.name.trim(),
+    term: Number(draft.term),
+    rate: Number(draft.rate),
+    accelerated: draft.accelerated,
+    targetYears: draft.accelerated ? Number(draft.targetYears) : null,
+    color: draft.color,
+    ...(draft.specialDown !== '' && { specialDown: Number(draft.specialDown) }),
+    ...(Number(draft.points) > 0 && { points: Number(draft.points) }),
+    ...(Number(draft.closingCosts) > 0 && { closingCosts: Number(draft.closingCosts) }),
+    ...(Number(draft.lenderCredit) > 0 && { lenderCredit: Number(draft.lenderCredit) }),
+    ...(draft.loanType === 'arm' && { loanType: 'arm', arm: fromArmDraft(draft.arm) }),
+    ...(draft.loanType === 'interest-only' && { loanType: 'interest-only', interestOnlyYears: Number(draft.interestOnlyYears) }),
+    ...(draft.loanType === 'balloon' && { loanType: 'balloon', balloonYears: Number(draft.balloonYears) }),
+    ...(draft.program !== 'conventional' && { program: draft.program }),
+    ...(draft.program === 'va' && draft.vaSubsequentUse && { vaSubsequentUse: true }),
+    ...(draft.program === 'va' && draft.vaExempt && { vaExempt: true }),
+    ...(draft.compounding !== 'monthly' && { compounding: draft.compounding }),
+    ...(extraPayments && { extraPayments })
+  };
+};
@@ -0,0 +1,98 @@
+// Sensitivity: how one scenario's payment, interest or cost moves as its inputs change. Every point
+// runs through analyzeScenario with the analyzer's own settings, the same path as the comparison,
+// so escrow, PMI, program fees, extra payments and loan type all count.
+import { analyzeScenario } from './mortgageMath.js';
+import { applyGoalValue, candidateErrors } from './goalSeek.js';
+
+export const gridMetrics = {
+  monthlyPayment: 'Monthly payment (P&I)',
+  totalInterest: 'Total interest'
+};
+
+// What the grid's columns vary against the rows of rates
+export const gridAxes = {
+  term: { label: 'Term (years)', values: [10, 15, 20, 25, 30, 40] },
+  downPayment: { label: 'Down payment (%)', values: [0, 3.5, 5, 10, 15, 20, 25] }
+};
+
+// Each input the tornado chart moves, and how far down and up from the scenario's own value
+export const tornadoInputs = {
+  rate: { label: 'Interest rate', range: (rate) => [Math.max(0, rate - 1), rate + 1] },
+  term: { label: 'Term', range: (term) => [Math.max(1, term - 5), Math.min(50, term + 5)] },
+  housePrice: { label: 'House price', range: (price) => [price * 0.9, price * 1.1] },
+  downPayment: { label: 'Down payment', range: (down) => [Math.max(0, down - 5), Math.min(99, down + 5)] },
+  points: { label: 'Discount points', range: (points) => [Math.max(0, points - 1), points + 1] },
+  closingCosts: { label: 'Closing costs', range: (costs) => [Math.max(0, costs - 2000), costs + 2000] }
+};
+
+// Rates stepping evenly either side of a center, never below zero
+export const ratesAround = (center, step, count = 4) => {
+  const rates = [];
+  for (let i = -count; i <= count; i++) {
+    const rate = Math.round((center + i * step) * 1000) / 1000;
+    if (rate >= 0) rates.push(rate);
+  }
+  return rates;
+};
+
+const inputValue = (input, scenario, context) => {
+  switch (input) {
+    case 'housePrice':
+      return context.housePrice;
+    case 'downPayment':
+      return scenario.specialDown ?? context.downPaymentPercent;
+    default:
+      return scenario[input] || 0;
+  }
+};
+
+const applyInput = (input, value, scenario, context) => input === 'points' || input === 'closingCosts'
+  ? { scenario: { ...scenario, [input]: value }, housePrice: context.housePrice }
+  : applyGoalValue(input, value, scenario, context);
+
+// A changed input can leave a scenario the editor would refuse, such as a term no longer than
+// its balloon or fixed ARM period; those points are left out rather than computed
+const analyzeIfValid = ({ scenario, housePrice }, context) => candidateErrors(scenario).length === 0
+  ? analyzeScenario(scenario, { ...context, housePrice })
+  : null;
+
+// Metric for every rate (rows) against every value of the column axis; cells are null where the
+// combination is not a valid loan
+export const sensitivityGrid = (scenario, context, { metric, rates, axis }) => {
+  const columns = gridAxes[axis].values;
+  return {
+    rates,
+    columns,
+    cells: rates.map(rate => columns.map(value => {
+      const result = analyzeIfValid(applyGoalValue(axis, value, { ...scenario, rate }, context), context);
+      return result ? result[metric] : null;
+    }))
+  };
+};
+
+// How far each input moves the metric when set to the low and high end of its range, widest first.
+// An input whose low or high end is not a valid loan has no change on that side.
+export const tornado = (scenario, context, metric = 'totalCost') => {
+  const base = analyzeScenario(scenario, context)[metric];
+  const rows = Object.entries(tornadoInputs).map(([input, { label, range }]) => {
+    const value = inputValue(input, scenario, context);
+    const [low, high] = range(value);
+    const metricAt = (v) => {
+      const result = analyzeIfValid(applyInput(input, v, scenario, context), context);
+      return result ? result[metric] : base;
+    };
+    const lowMetric = metricAt(low);
+    const highMetric = metricAt(high);
+    return {
+      input,
+      label,
+      value,
+      low,
+      high,
+      lowChange: lowMetric - base,
+      highChange: highMetric - base,
+      swing: Math.abs(highMetric - lowMetric)
+    };
+  });
+  return { base, rows: rows.sort((a, b) => b.swing - a.swing) };
+};
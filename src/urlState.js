@@ -0,0 +1,33 @@
+// Shareable links: the analyzer state lives in the URL hash as versioned, base64url-encoded JSON.
+// Links are validated field by field on load, so a damaged or edited link only resets what it
+// got wrong, and a link that cannot be read at all opens the defaults.
+import { STATE_VERSION, pickState, readState } from './analyzerState.js';
+
+// UTF-8 safe base64url, so scenario names with any characters survive the round trip
+const toBase64Url = (value) => {
+  let binary = '';
+  new TextEncoder().encode(value).forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (value) => {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeState = (state) => `v=${STATE_VERSION}&s=${toBase64Url(JSON.stringify(pickState(state)))}`;
+
+// Returns { state, rejected } where rejected names the settings that were reset to defaults
+// ('link' when nothing could be read). A hash without shared state is not an error.
+export const decodeState = (hash, defaults, views) => {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  if (!params.has('s')) return { state: defaults, rejected: [] };
+
+  let raw;
+  try {
+    raw = JSON.parse(fromBase64Url(params.get('s')));
+  } catch (error) {
+    raw = null;
+  }
+  return readState(raw, Number(params.get('v')), defaults, views) || { state: defaults, rejected: ['link'] };
+};
@@ -0,0 +1,95 @@
+// Saved workspaces: named analyzer states kept in localStorage, and the JSON file format used to
+// export and import them. The file format is documented in WORKSPACES.md.
+import { STATE_VERSION, pickState, readState } from './analyzerState.js';
+
+export const WORKSPACE_FORMAT = 'mortgage-analyzer-workspaces';
+const STORAGE_KEY = 'mortgage-analyzer.workspaces';
+const MAX_NAME_LENGTH = 80;
+
+export const cleanName = (name) => (typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '');
+
+// Names are unique ignoring case; a clash becomes "Name (2)", "Name (3)", ...
+export const uniqueName = (name, workspaces) => {
+  const taken = (candidate) => workspaces.some(w => w.name.toLowerCase() === candidate.toLowerCase());
+  let unique = name;
+  for (let n = 2; taken(unique); n++) {
+    unique = `${name} (${n})`;
+  }
+  return unique;
+};
+
+export const createWorkspace = (name, state, savedAt = new Date().toISOString()) => ({
+  name,
+  savedAt,
+  state: pickState(state)
+});
+
+// Imported workspaces are added after the existing ones and renamed rather than overwriting
+export const mergeWorkspaces = (existing, imported) => imported.reduce(
+  (all, workspace) => [...all, { ...workspace, name: uniqueName(workspace.name, all) }],
+  existing
+);
+
+export const serializeWorkspaces = (workspaces) => JSON.stringify({
+  format: WORKSPACE_FORMAT,
+  version: STATE_VERSION,
+  workspaces: workspaces.map(w => ({ name: w.name, savedAt: w.savedAt, state: pickState(w.state) }))
+}, null, 2);
+
+// Reads a workspace file into valid workspaces. Returns { workspaces, problems } where problems
+// are messages about anything skipped or reset to defaults; settings a file leaves out are
+// filled in from the defaults without complaint.
+export const parseWorkspaces = (text, defaults, views) => {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    return { workspaces: [], problems: ['The file is not valid JSON.'] };
+  }
+  if (!file || file.format !== WORKSPACE_FORMAT || !Array.isArray(file.workspaces)) {
+    return { workspaces: [], problems: ['The file is not a mortgage analyzer workspace file.'] };
+  }
+  if (!Number.isInteger(file.version) || file.version < 1 || file.version > STATE_VERSION) {
+    return { workspaces: [], problems: [`Workspace file version ${file.version} is not supported (this analyzer reads versions 1 to ${STATE_VERSION}).`] };
+  }
+
+  const workspaces = [];
+  const problems = [];
+  file.workspaces.forEach((item, i) => {
+    const name = cleanName(item && item.name);
+    const read = item ? readState(item.state, file.version, defaults, views) : null;
+    if (!name || !read) {
+      problems.push(`Workspace ${i + 1} was skipped: it needs a name and a state object.`);
+      return;
+    }
+    if (read.rejected.length > 0) {
+      problems.push(`${name}: ${read.rejected.join(', ')} reset to defaults.`);
+    }
+    workspaces.push({
+      name: uniqueName(name, workspaces),
+      savedAt: typeof item.savedAt === 'string' ? item.savedAt : null,
+      state: read.state
+    });
+  });
+  return { workspaces, problems };
+};
+
+// localStorage can be missing or refuse writes (private browsing, storage full); workspaces then
+// last only as long as the page is open
+export const loadStoredWorkspaces = (storage, defaults, views) => {
+  try {
+    const text = storage.getItem(STORAGE_KEY);
+    return text ? parseWorkspaces(text, defaults, views).workspaces : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const storeWorkspaces = (storage, workspaces) => {
+  try {
+    storage.setItem(STORAGE_KEY, serializeWorkspaces(workspaces));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
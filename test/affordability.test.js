@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { qualifyAt, maxAffordablePrice } from '../src/affordability.js';
+import { amortizingPayment, monthlyRateFor, armProducts } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const thirtyYear = { id: 1, name: '30yr', term: 30, rate: 6 };
+const borrower = {
+  monthlyIncome: 10000,
+  monthlyDebts: 0,
+  frontEndLimit: 28,
+  backEndLimit: 36,
+  downPaymentAvailable: 100000
+};
+
+test('with no escrow or debts, the front-end limit sets the loan by the payment formula', () => {
+  const max = maxAffordablePrice(thirtyYear, borrower);
+  // $2,800 a month at 6% over 30 years
+  const maxLoan = 2800 / amortizingPayment(1, monthlyRateFor(6), 360);
+  near(max.loanAmount, maxLoan, 2, 'max loan');
+  near(max.housePrice, maxLoan + 100000, 2, 'max price');
+  near(max.housingPayment, 2800, 0.02, 'payment at the limit');
+  assert.equal(max.bindingLimit, 'front-end');
+  assert.ok(max.fits);
+});
+
+test('existing debts make the back-end limit bind', () => {
+  const max = maxAffordablePrice(thirtyYear, { ...borrower, monthlyDebts: 1500 });
+  near(max.housingPayment, 3600 - 1500, 0.02, 'payment left after debts');
+  near(max.backEndRatio, 36, 0.001, 'back-end ratio');
+  assert.equal(max.bindingLimit, 'back-end');
+});
+
+test('taxes, insurance and PMI come out of the same payment budget', () => {
+  const plain = maxAffordablePrice(thirtyYear, { ...borrower, downPaymentAvailable: 20000 });
+  const withCosts = maxAffordablePrice(thirtyYear, {
+    ...borrower,
+    downPaymentAvailable: 20000,
+    propertyTaxRate: 1.2,
+    annualInsurance: 1500,
+    monthlyHoa: 100,
+    pmi: { rate: 0.5 }
+  });
+  assert.ok(withCosts.housePrice < plain.housePrice);
+  near(withCosts.housingPayment, 2800, 0.05, 'PITI + HOA at the limit');
+  const check = qualifyAt(thirtyYear, withCosts.housePrice + 1000, {
+    ...borrower, downPaymentAvailable: 20000, propertyTaxRate: 1.2, annualInsurance: 1500, monthlyHoa: 100, pmi: { rate: 0.5 }
+  });
+  assert.equal(check.fits, false);
+});
+
+test('a scenario with its own down payment is limited by the cash available', () => {
+  const tenPercentDown = { ...thirtyYear, specialDown: 10 };
+  const max = maxAffordablePrice(tenPercentDown, { ...borrower, monthlyIncome: 50000, downPaymentAvailable: 30000 });
+  near(max.housePrice, 300000, 1, 'price where 10% uses all the cash');
+  assert.equal(max.bindingLimit, 'cash');
+});
+
+test('qualifyAt marks a price that exceeds the DTI limits', () => {
+  const fits = qualifyAt(thirtyYear, 400000, borrower);
+  const tooMuch = qualifyAt(thirtyYear, 700000, borrower);
+  assert.equal(fits.fits, true);
+  assert.equal(tooMuch.fits, false);
+  near(tooMuch.frontEndRatio, (amortizingPayment(600000, monthlyRateFor(6), 360) / 10000) * 100, 1e-9, 'front-end ratio');
+});
+
+test('a borrower whose debts already exceed the back-end limit cannot buy', () => {
+  const max = maxAffordablePrice(thirtyYear, { ...borrower, monthlyDebts: 4000, propertyTaxRate: 1 });
+  assert.equal(max.fits, false);
+  assert.equal(max.housePrice, 0);
+  assert.equal(max.bindingLimit, 'income');
+});
+
+test('an ARM qualifies on its initial payment, and loans that borrow nothing at the low end do not break the search', () => {
+  const arm = { ...thirtyYear, loanType: 'arm', arm: { ...armProducts['5/1'], margin: 2.75, index: { path: 'rising', start: 4, step: 0.5 } } };
+  const max = maxAffordablePrice(arm, borrower);
+  const fixed = maxAffordablePrice(thirtyYear, borrower);
+  assert.ok(max.fits);
+  near(max.housePrice, fixed.housePrice, 1, 'same price as the fixed loan at the start rate');
+  assert.equal(max.bindingLimit, 'front-end');
+
+  const balloon = maxAffordablePrice({ ...thirtyYear, loanType: 'balloon', balloonYears: 7 }, borrower);
+  near(balloon.housePrice, fixed.housePrice, 1, 'balloon amortizes over the full term');
+  const extra = maxAffordablePrice({ ...thirtyYear, extraPayments: { monthlyAmount: 200, startMonth: 1, endMonth: null } }, borrower);
+  near(extra.housePrice, fixed.housePrice, 1, 'extra principal is not part of the qualifying payment');
+});
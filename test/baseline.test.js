@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareToBaseline, crossoverMonth } from '../src/baseline.js';
+import { analyzeScenario } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+// $125,000 house, 20% down, no interest: $10,000 of principal a year over 10 years, $5,000 over 20
+const zeroRate = { housePrice: 125000, downPaymentPercent: 20 };
+const tenYear = analyzeScenario({ id: 1, name: '10yr', term: 10, rate: 0 }, zeroRate);
+const twentyYear = analyzeScenario({ id: 2, name: '20yr', term: 20, rate: 0 }, zeroRate);
+
+const context = { housePrice: 200000, downPaymentPercent: 0 };
+const noPoints = analyzeScenario({ id: 3, name: 'No points', term: 30, rate: 6.5 }, context);
+const onePoint = analyzeScenario({ id: 4, name: 'One point', term: 30, rate: 6.25, points: 1 }, context);
+
+test('the crossover is the first month on the other side of zero, ignoring ties', () => {
+  assert.equal(crossoverMonth([5, 3, 1, -1, -3]), 3);
+  assert.equal(crossoverMonth([0, 0, -2, 0, 4]), 4);
+  assert.equal(crossoverMonth([-1, -2, 0, 0.001]), null);
+  assert.equal(crossoverMonth([]), null);
+});
+
+test('the baseline compared with itself is all zeros', () => {
+  const same = compareToBaseline(noPoints, noPoints);
+  assert.equal(same.monthlyPayment, 0);
+  assert.equal(same.totalInterest, 0);
+  assert.equal(same.yearsSaved, 0);
+  assert.equal(same.crossoverMonth, null);
+  assert.ok(same.costDifference.every(value => value === 0));
+  assert.ok(same.equityGap.every(value => value === 0));
+});
+
+test('a longer zero-rate loan halves the payment, pays off later and lags in equity', () => {
+  const longer = compareToBaseline(twentyYear, tenYear, { appreciation: { rate: 0 } });
+  near(longer.monthlyPayment, -5000 / 12, 1e-9, 'payment saved');
+  assert.equal(longer.totalInterest, 0);
+  assert.equal(longer.yearsSaved, -10);
+  assert.equal(longer.costDifference.length, 241);
+  near(longer.costDifference[120], -50000, 0.01, 'half the principal paid when the baseline is done');
+  near(longer.totalCash, 0, 0.01, 'same cash once both are paid off');
+  assert.equal(longer.crossoverMonth, null, 'catching up to a tie is not a crossover');
+  assert.equal(longer.equityGap.length, 21);
+  near(longer.equityGap[10], -50000, 0.01, 'equity gap at the baseline payoff');
+  near(longer.equityGap[20], 0, 0.01, 'both paid off');
+});
+
+test('paying a point crosses over once the lower payment has covered it', () => {
+  const points = compareToBaseline(onePoint, noPoints);
+  const savings = noPoints.monthlyPayment - onePoint.monthlyPayment;
+  near(points.costDifference[0], 2000, 1e-9, 'the point costs 1% of the loan up front');
+  assert.equal(points.crossoverMonth, Math.floor(2000 / savings) + 1);
+  assert.ok(points.costDifference[points.crossoverMonth - 1] > 0 && points.costDifference[points.crossoverMonth] < 0);
+  near(points.totalCash, 2000 - savings * 360, 0.01, 'over the whole loan');
+  near(points.totalInterest, onePoint.totalInterest - noPoints.totalInterest, 1e-9, 'interest difference');
+  // Same amount borrowed, but the lower rate pays it down faster
+  assert.equal(points.equityGap[0], 0);
+  assert.ok(points.equityGap[10] > 0);
+});
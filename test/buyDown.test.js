@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeBuyDown } from '../src/buyDown.js';
+import { analyzeScenario } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const inputs = { housePrice: 200000, downPaymentPercent: 5 };
+const baseline = analyzeScenario({ id: 1, name: 'Par', term: 30, rate: 6.3 }, inputs);
+const points = analyzeScenario({ id: 2, name: '1.5 points', term: 30, rate: 5.925, points: 1.5 }, inputs);
+
+test('1.5 points for 0.375% off pays back after the rule-of-thumb months', () => {
+  const buyDown = analyzeBuyDown(points, baseline);
+  near(buyDown.extraUpfront, 2850, 1e-9, 'points cost');
+  near(buyDown.monthlySavings, baseline.monthlyPayment - points.monthlyPayment, 1e-9, 'monthly savings');
+  assert.equal(buyDown.simpleBreakEvenMonth, Math.ceil(2850 / buyDown.monthlySavings));
+  assert.equal(buyDown.startsAhead, false);
+  // The lower rate also pays the balance down faster, so the true break-even comes no later
+  assert.ok(buyDown.crossoverMonth <= buyDown.simpleBreakEvenMonth);
+  near(buyDown.timeline[0].netSavings, -2850, 1e-9, 'behind by the points at closing');
+  near(buyDown.lifetimeSavings, buyDown.interestSaved - 2850, 0.01, 'lifetime savings');
+});
+
+test('a lender credit starts ahead and is used up by the higher payments', () => {
+  const credit = analyzeScenario({ id: 3, name: 'Credit', term: 30, rate: 6.675, lenderCredit: 2000 }, inputs);
+  const buyDown = analyzeBuyDown(credit, baseline);
+  assert.equal(buyDown.startsAhead, true);
+  assert.equal(buyDown.simpleBreakEvenMonth, null);
+  assert.ok(buyDown.crossoverMonth > 12 && buyDown.crossoverMonth < 120, `crossover ${buyDown.crossoverMonth}`);
+  assert.ok(buyDown.lifetimeSavings < 0);
+});
+
+test('a scenario compared with itself never crosses over', () => {
+  const buyDown = analyzeBuyDown(baseline, baseline);
+  assert.equal(buyDown.crossoverMonth, null);
+  near(buyDown.lifetimeSavings, 0, 1e-9, 'no difference');
+});
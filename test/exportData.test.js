@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toCsv, sheetsToCsv, sheetNames, columnName, crc32, zipFiles, buildWorkbook, buildExportSheets, pointsToRows } from '../src/exportData.js';
+import { analyzeScenario } from '../src/mortgageMath.js';
+
+// Read back a stored zip through its central directory
+const readZip = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  assert.equal(view.getUint32(end, true), 0x06054b50, 'end of central directory');
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = {};
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(offset, true), 0x02014b50, 'central directory header');
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    const start = local + 30 + view.getUint16(local + 26, true);
+    const data = bytes.subarray(start, start + size);
+    assert.equal(crc32(data), view.getUint32(offset + 16, true), `crc of ${name}`);
+    files[name] = new TextDecoder().decode(data);
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+test('CSV quotes only cells that need it and leaves blanks empty', () => {
+  assert.equal(toCsv([['a', 1, null], ['say "hi"', 'x,y', 2.5]]), 'a,1,\r\n"say ""hi""","x,y",2.5\r\n');
+  assert.equal(sheetsToCsv([{ name: 'One', rows: [[1]] }, { name: 'Two', rows: [[2]] }]), 'One\r\n1\r\n\r\nTwo\r\n2\r\n');
+});
+
+test('sheet names are cleaned, shortened and made unique', () => {
+  assert.deepEqual(
+    sheetNames(['50-Yr (Paid in 30)', 'A/B: [test]', 'Comparison', 'comparison', 'x'.repeat(40), 'x'.repeat(40), '']),
+    ['50-Yr (Paid in 30)', 'A B   test', 'Comparison', 'comparison 2', 'x'.repeat(31), `${'x'.repeat(29)} 2`, 'Sheet']
+  );
+});
+
+test('column letters roll over after Z', () => {
+  assert.deepEqual([0, 25, 26, 27, 701, 702].map(columnName), ['A', 'Z', 'AA', 'AB', 'ZZ', 'AAA']);
+});
+
+test('zip entries carry standard CRC-32 checksums and read back intact', () => {
+  assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+  const files = readZip(zipFiles([{ name: 'a.txt', data: 'hello' }, { name: 'dir/b.xml', data: '<b>é</b>' }]));
+  assert.deepEqual(files, { 'a.txt': 'hello', 'dir/b.xml': '<b>é</b>' });
+});
+
+test('a workbook has one worksheet part per sheet with numbers and escaped text', () => {
+  const files = readZip(buildWorkbook([
+    { name: 'Numbers', rows: [['Year', 'A & B'], [1, 1234.5]] },
+    { name: 'Numbers', rows: [['<tag>'], [null, 'x']] }
+  ]));
+  assert.ok(files['[Content_Types].xml'].includes('/xl/worksheets/sheet2.xml'));
+  assert.ok(files['xl/workbook.xml'].includes('<sheet name="Numbers" sheetId="1" r:id="rId1"/>'));
+  assert.ok(files['xl/workbook.xml'].includes('<sheet name="Numbers 2" sheetId="2" r:id="rId2"/>'));
+  assert.ok(files['xl/worksheets/sheet1.xml'].includes('<c r="B1" s="1" t="inlineStr"><is><t xml:space="preserve">A &amp; B</t></is></c>'));
+  assert.ok(files['xl/worksheets/sheet1.xml'].includes('<c r="B2"><v>1234.5</v></c>'));
+  assert.ok(files['xl/worksheets/sheet2.xml'].includes('&lt;tag&gt;'));
+  assert.ok(!files['xl/worksheets/sheet2.xml'].includes('r="A2"'), 'blank cells are skipped');
+});
+
+test('chart points become a table with blanks after a loan is paid off', () => {
+  assert.deepEqual(pointsToRows([{ year: 0, A: 10, B: 20 }, { year: 1, B: 5 }]), [['Year', 'A', 'B'], [0, 10, 20], [1, null, 5]]);
+});
+
+test('the export has assumptions, comparison, yearly data and a full schedule per scenario', () => {
+  const inputs = {
+    housePrice: 200000,
+    downPaymentPercent: 5,
+    escrow: { annualTax: 2400, annualInsurance: 1500, monthlyHoa: 0, escalationRate: 0 },
+    pmi: { rate: 0.5, cancelAtRequest: false },
+    firstPaymentMonth: '2026-11',
+    appreciation: { rate: 3, path: [] }
+  };
+  const results = [
+    analyzeScenario({ id: 1, name: '30-Yr Standard', term: 30, rate: 6.3 }, inputs),
+    analyzeScenario({ id: 2, name: '20-Yr Standard', term: 20, rate: 6, points: 1 }, inputs)
+  ];
+  const sheets = buildExportSheets({ results, inputs, balanceData: [{ year: 0 }], equityData: [{ year: 0 }] });
+  assert.deepEqual(sheets.map(sheet => sheet.name), ['Assumptions', 'Comparison', 'Balance Over Time', 'Equity Over Time', '30-Yr Standard', '20-Yr Standard']);
+
+  const assumptions = sheets[0].rows;
+  assert.deepEqual(assumptions.find(row => row[0] === 'House price'), ['House price', 200000]);
+  assert.deepEqual(assumptions.find(row => row[0] === '20-Yr Standard').slice(0, 3), ['20-Yr Standard', 20, 6]);
+
+  assert.equal(sheets[1].rows.length, 3);
+  assert.equal(sheets[1].rows[1][6], Math.round(results[0].monthlyPayment * 100) / 100);
+
+  const schedule = sheets[4].rows;
+  assert.equal(schedule.length, 1 + 360);
+  assert.deepEqual(schedule[1].slice(0, 2), [1, '2026-11-01']);
+  assert.deepEqual(schedule[360].slice(0, 2), [360, '2056-10-01']);
+  assert.equal(schedule[360][8], 0, 'paid off');
+});
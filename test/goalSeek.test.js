@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { solveGoal, paymentsUntil } from '../src/goalSeek.js';
+import { analyzeScenario, amortizingPayment, monthlyRateFor } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const context = { housePrice: 200000, downPaymentPercent: 0, firstPaymentMonth: '2026-01' };
+const thirtyYear = { id: 1, name: '30yr', term: 30, rate: 6, color: '#3b82f6' };
+
+test('paymentsUntil counts the first and last payment months', () => {
+  assert.equal(paymentsUntil('2026-01', '2026-01'), 1);
+  assert.equal(paymentsUntil('2026-01', '2055-12'), 360);
+});
+
+test('solves the rate that gives a target payment', () => {
+  const goal = solveGoal('rate', { metric: 'monthlyPayment', value: 1199.10 }, thirtyYear, context);
+  assert.equal(goal.solved, true);
+  near(goal.value, 6, 0.001, 'rate');
+  near(goal.achieved, 1199.10, 0.01, 'payment');
+});
+
+test('solves the shortest whole-year term that keeps the payment under a target', () => {
+  const goal = solveGoal('term', { metric: 'monthlyPayment', value: 1500 }, thirtyYear, context);
+  const paymentFor = (years) => amortizingPayment(200000, monthlyRateFor(6), years * 12);
+  assert.equal(goal.solved, true);
+  assert.ok(paymentFor(goal.value) <= 1500);
+  assert.ok(paymentFor(goal.value - 1) > 1500);
+});
+
+test('recovers the 36.46-year target that matches the 30-year payment', () => {
+  const base = { housePrice: 200000, downPaymentPercent: 5, firstPaymentMonth: '2026-01' };
+  const thirtyYearPayment = analyzeScenario({ id: 1, name: '30-Yr', term: 30, rate: 6.3 }, base).monthlyPayment;
+  const goal = solveGoal('targetYears', { metric: 'monthlyPayment', value: thirtyYearPayment },
+    { id: 6, name: '50-Yr Accelerated', term: 50, rate: 6.8, color: '#f59e0b' }, base);
+  assert.equal(goal.solved, true);
+  // The preset's 36.46 was worked out by hand; the exact match is a little under it
+  near(goal.value, 36.46, 0.05, 'target years');
+  near(goal.result.monthlyPayment, thirtyYearPayment, 0.01, 'payment');
+  assert.equal(goal.scenario.accelerated, true);
+});
+
+test('solves the smallest extra monthly payment that pays off by a date', () => {
+  const goal = solveGoal('extraMonthly', { metric: 'payoffDate', value: '2045-12' }, thirtyYear, context);
+  assert.equal(goal.solved, true);
+  assert.equal(goal.payoffMonth <= '2045-12', true);
+  const lessExtra = analyzeScenario({ ...thirtyYear, extraPayments: { monthlyAmount: goal.value - 1 } }, context);
+  assert.ok(lessExtra.numPayments > paymentsUntil('2026-01', '2045-12'));
+});
+
+test('solves down payment and house price for a target total interest', () => {
+  const down = solveGoal('downPayment', { metric: 'totalInterest', value: 150000 }, thirtyYear, context);
+  assert.equal(down.solved, true);
+  near(down.result.totalInterest, 150000, 0.01, 'interest after down payment');
+  const price = solveGoal('housePrice', { metric: 'totalInterest', value: 150000 }, thirtyYear, context);
+  assert.equal(price.solved, true);
+  near(price.result.principal, down.result.principal, 0.01, 'same loan amount either way');
+});
+
+test('reports no solution when the target is out of reach', () => {
+  const goal = solveGoal('rate', { metric: 'monthlyPayment', value: 400 }, thirtyYear, context);
+  assert.equal(goal.solved, false);
+  near(goal.reachable.min, 200000 / 360, 1e-6, 'lowest payment at 0%');
+  const never = solveGoal('rate', { metric: 'payoffDate', value: '2040-01' }, thirtyYear, context);
+  assert.equal(never.solved, false);
+});
+
+test('term is only searched above an interest-only period, so the loan is always repaid', () => {
+  const interestOnly = { id: 2, name: 'IO', term: 30, rate: 6, loanType: 'interest-only', interestOnlyYears: 10, color: '#ec4899' };
+  const goal = solveGoal('term', { metric: 'totalInterest', value: 100000 }, interestOnly, context);
+  assert.equal(goal.solved, false);
+  assert.ok(goal.reachable.min > 100000, 'ten years of interest alone is more than the target');
+
+  const longer = solveGoal('term', { metric: 'totalInterest', value: 250000 }, interestOnly, context);
+  assert.equal(longer.solved, true);
+  assert.ok(longer.value > 10);
+  assert.ok(longer.result.totalPaid > 200000, 'principal repaid');
+});
+
+test('loan types that cannot be accelerated report no solution', () => {
+  const balloon = { id: 3, name: 'Balloon', term: 30, rate: 6, loanType: 'balloon', balloonYears: 7, color: '#14b8a6' };
+  const goal = solveGoal('targetYears', { metric: 'monthlyPayment', value: 1500 }, balloon, context);
+  assert.equal(goal.solved, false);
+  assert.match(goal.errors[0], /Accelerated payoff is not available/);
+});
+
+test('an FHA down payment is never solved below the program minimum', () => {
+  const fha = { ...thirtyYear, specialDown: 10, program: 'fha' };
+  const unreachable = solveGoal('downPayment', { metric: 'monthlyPayment', value: 5000 }, fha, context);
+  assert.equal(unreachable.solved, false);
+  assert.equal(unreachable.range.from, 3.5);
+
+  const goal = solveGoal('downPayment', { metric: 'monthlyPayment', value: 1000 }, fha, context);
+  assert.equal(goal.solved, true);
+  assert.ok(goal.value >= 3.5 && goal.achieved <= 1000);
+});
@@ -0,0 +1,7 @@
+// Shared assertions for the test files
+import assert from 'node:assert/strict';
+
+// Passes when actual is within tolerance of expected
+export const near = (actual, expected, tolerance, message) => {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: expected ${expected} ± ${tolerance}, got ${actual}`);
+};
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { marketValueAtYear, marketEquityAtYear, analyzeSale } from '../src/homeSale.js';
+import { analyzeScenario, generateMonthlySchedule } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+// $125,000 house, 20% down, 0% for 10 years: $10,000 of principal a year
+const zeroRateLoan = analyzeScenario({ id: 1, name: 'Zero', term: 10, rate: 0 }, { housePrice: 125000, downPaymentPercent: 20 });
+
+test('market value compounds a yearly appreciation rate', () => {
+  assert.equal(marketValueAtYear(200000, { rate: 3 }, 0), 200000);
+  near(marketValueAtYear(200000, { rate: 3 }, 10), 200000 * Math.pow(1.03, 10), 1e-6, 'ten years');
+  near(marketValueAtYear(200000, { rate: -2 }, 2), 200000 * 0.98 * 0.98, 1e-6, 'declining');
+});
+
+test('a custom path applies each year in turn and repeats its last change', () => {
+  const path = { path: [5, -10, 2] };
+  near(marketValueAtYear(200000, path, 3), 200000 * 1.05 * 0.9 * 1.02, 1e-6, 'year 3');
+  near(marketValueAtYear(200000, path, 5), 200000 * 1.05 * 0.9 * Math.pow(1.02, 3), 1e-6, 'year 5');
+});
+
+test('market equity starts at the down payment and includes appreciation', () => {
+  const monthly = generateMonthlySchedule(zeroRateLoan);
+  near(marketEquityAtYear(zeroRateLoan, monthly, { rate: 0 }, 0), 25000, 1e-9, 'down payment');
+  near(marketEquityAtYear(zeroRateLoan, monthly, { rate: 0 }, 4), 65000, 0.01, 'down plus principal paid');
+  near(marketEquityAtYear(zeroRateLoan, monthly, { rate: 10 }, 1), 125000 * 1.1 - 90000, 0.01, 'appreciation counts');
+  near(marketEquityAtYear(zeroRateLoan, monthly, { rate: 0 }, 15), 125000, 0.01, 'after payoff');
+});
+
+test('with no interest or appreciation, selling costs are the whole cost of owning', () => {
+  const sale = analyzeSale(zeroRateLoan, { appreciation: { rate: 0 }, sellingCostPercent: 6, years: 5 });
+  near(sale.balance, 50000, 0.01, 'balance');
+  near(sale.sellingCosts, 7500, 1e-9, 'selling costs');
+  near(sale.netProceeds, 125000 - 7500 - 50000, 0.01, 'net proceeds');
+  near(sale.cashIn, 25000 + 50000, 0.01, 'down payment plus payments');
+  near(sale.trueCost, 7500, 0.01, 'true cost');
+  near(sale.monthlyCost, 125, 0.001, 'monthly cost');
+});
+
+test('interest, escrow, upfront costs and appreciation all flow into the true cost', () => {
+  const loan = analyzeScenario({ id: 2, name: '30yr', term: 30, rate: 6, closingCosts: 3000 }, { housePrice: 300000, downPaymentPercent: 20 });
+  const escrow = { annualTax: 3600, annualInsurance: 1200, monthlyHoa: 50, escalationRate: 0 };
+  const flat = analyzeSale(loan, { appreciation: { rate: 0 }, sellingCostPercent: 6, years: 7, escrow });
+  near(flat.trueCost, flat.interestPaid + 3000 + 7 * (3600 + 1200 + 600) + 18000, 0.01, 'interest + costs + escrow + selling');
+  const rising = analyzeSale(loan, { appreciation: { rate: 3 }, sellingCostPercent: 6, years: 7, escrow });
+  const gain = 300000 * (Math.pow(1.03, 7) - 1);
+  near(flat.trueCost - rising.trueCost, gain * 0.94, 0.01, 'appreciation less the selling costs on it');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { programFees, hasProgram, programLabel, insuranceLabel } from '../src/loanPrograms.js';
+import { analyzeScenario, generateMonthlySchedule, getPrincipal } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const fha = (term, overrides = {}) => ({ id: 1, name: 'FHA', term, rate: 6, program: 'fha', ...overrides });
+
+test('FHA annual MIP follows the term, base loan and LTV table', () => {
+  const lifeOfLoan = 360;
+  const lowDown = programFees(fha(30), 289500, 300000);
+  near(lowDown.upfrontFee, 5066.25, 1e-9, 'upfront MIP');
+  assert.equal(lowDown.annualRate, 0.55);
+  assert.equal(lowDown.annualMonths, lifeOfLoan);
+  assert.equal(programFees(fha(30), 285000, 300000).annualRate, 0.5);
+  assert.equal(programFees(fha(30), 285000, 300000).annualMonths, lifeOfLoan, 'over 90% LTV is charged for life');
+  assert.equal(programFees(fha(30), 270000, 300000).annualMonths, 132, '90% LTV or less stops after 11 years');
+  assert.equal(programFees(fha(30), 800000, 829000).annualRate, 0.75, 'high-balance loan');
+  assert.equal(programFees(fha(15), 270000, 300000).annualRate, 0.15);
+  assert.equal(programFees(fha(15), 289500, 300000).annualRate, 0.4);
+  assert.equal(programFees(fha(15), 760000, 1000000).annualRate, 0.15, 'high balance at 76% LTV');
+});
+
+test('the VA funding fee depends on the down payment and prior use, and can be waived', () => {
+  const va = (overrides = {}) => ({ id: 2, name: 'VA', term: 30, rate: 6, program: 'va', ...overrides });
+  assert.equal(programFees(va(), 300000, 300000).upfrontRate, 2.15);
+  assert.equal(programFees(va({ vaSubsequentUse: true }), 300000, 300000).upfrontRate, 3.3);
+  assert.equal(programFees(va({ vaSubsequentUse: true }), 285000, 300000).upfrontRate, 1.5);
+  assert.equal(programFees(va(), 270000, 300000).upfrontRate, 1.25);
+  assert.equal(programFees(va({ vaExempt: true }), 300000, 300000).upfrontFee, 0);
+  assert.equal(programFees(va(), 300000, 300000).annualRate, 0, 'no monthly insurance');
+});
+
+test('financed program fees are added to the principal', () => {
+  near(getPrincipal(fha(30, { specialDown: 3.5 }), 300000, 10), 289500 + 5066.25, 1e-9, 'FHA principal');
+  assert.equal(getPrincipal({ program: 'usda', term: 30, specialDown: 0 }, 200000, 5), 202000);
+  assert.equal(getPrincipal({ specialDown: 3.5 }, 300000, 10), 289500);
+
+  const result = analyzeScenario({ id: 3, name: 'VA', term: 30, rate: 6, program: 'va', specialDown: 0 }, { housePrice: 300000, downPaymentPercent: 10 });
+  near(result.principal, 306450, 1e-9, 'principal with funding fee');
+  assert.equal(result.baseLoan, 300000);
+  assert.equal(result.downPayment, 0);
+  assert.equal(result.totalPMI, 0);
+  // The funding fee is a finance charge, so the APR is above the note rate
+  assert.ok(result.apr > 6.15 && result.apr < 6.3, `APR ${result.apr}`);
+});
+
+test('FHA MIP is charged on the average balance of each year, for life above 90% LTV', () => {
+  const inputs = { housePrice: 300000, downPaymentPercent: 3.5, pmi: { rate: 1, cancelAtRequest: true } };
+  const result = analyzeScenario(fha(30), inputs);
+  const monthly = generateMonthlySchedule(result, inputs.pmi);
+  const firstYearAverage = monthly.slice(0, 12).reduce((sum, row, i) => sum + (i === 0 ? result.principal : monthly[i - 1].balance), 0) / 12;
+
+  near(monthly[0].pmi, 0.0055 * firstYearAverage / 12, 1e-6, 'first year MIP');
+  assert.equal(monthly[11].pmi, monthly[0].pmi, 'fixed for the loan year');
+  assert.ok(monthly[12].pmi < monthly[0].pmi, 'recalculated each year');
+  assert.ok(monthly[359].pmi > 0, 'still charged at the end of the loan');
+  assert.equal(result.pmiMonths, 360, 'PMI settings do not apply');
+});
+
+test('FHA MIP stops after 11 years at 10% down, and USDA fees run for the life of the loan', () => {
+  const fhaResult = analyzeScenario(fha(30), { housePrice: 300000, downPaymentPercent: 10 });
+  const monthly = generateMonthlySchedule(fhaResult);
+  assert.ok(monthly[131].pmi > 0);
+  assert.equal(monthly[132].pmi, 0);
+  assert.equal(fhaResult.pmiMonths, 132);
+
+  const usda = analyzeScenario({ id: 4, name: 'USDA', term: 30, rate: 6, program: 'usda' }, { housePrice: 200000, downPaymentPercent: 0 });
+  assert.equal(usda.principal, 202000);
+  assert.equal(usda.pmiMonths, 360);
+  near(usda.monthlyPMI, 0.0035 * 202000 / 12, 5, 'USDA annual fee on about the full balance in year 1');
+});
+
+test('only the programs in the table count, not names inherited by every object', () => {
+  const inherited = { id: 9, name: 'Odd', term: 30, rate: 6, program: 'toString' };
+  assert.equal(hasProgram(inherited), false);
+  assert.equal(programLabel(inherited), 'Conventional');
+  assert.equal(insuranceLabel(inherited), 'PMI');
+  assert.equal(programFees(inherited, 190000, 200000).upfrontFee, 0);
+  assert.equal(hasProgram({ program: 'fha' }), true);
+});
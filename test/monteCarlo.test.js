@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { simulateScenarios, simulationDefaults, createRandom, percentileOf } from '../src/monteCarlo.js';
+import { analyzeScenario, armProducts } from '../src/mortgageMath.js';
+import { analyzeSale } from '../src/homeSale.js';
+import { near } from './helpers.js';
+
+const escrow = { annualTax: 2400, annualInsurance: 1500, monthlyHoa: 0, escalationRate: 2 };
+const pmi = { rate: 0.5, cancelAtRequest: false };
+const context = { housePrice: 200000, downPaymentPercent: 5, escrow, pmi };
+const options = { pmi, escrow, sellingCostPercent: 6 };
+const fixed = analyzeScenario({ id: 1, name: 'Fixed', term: 30, rate: 6, color: '#3b82f6', points: 1 }, context);
+const arm = analyzeScenario({
+  id: 2, name: 'ARM', term: 30, rate: 5.5, color: '#8b5cf6', loanType: 'arm',
+  arm: { ...armProducts['5/1'], margin: 2.75, floor: null, index: { path: 'flat', start: 4.3, step: 0, custom: [] } }
+}, context);
+
+// No randomness and no exits: every path is the deterministic analysis
+const certain = {
+  ...simulationDefaults,
+  paths: 20,
+  indexVolatility: 0,
+  appreciationVolatility: 0,
+  returnMean: 0,
+  returnVolatility: 0,
+  sellProbability: 0,
+  refinanceProbability: 0
+};
+
+test('the seeded generator repeats and percentiles interpolate', () => {
+  const a = createRandom(7);
+  const b = createRandom(7);
+  const draws = Array.from({ length: 5 }, () => a());
+  assert.deepEqual(draws, Array.from({ length: 5 }, () => b()));
+  assert.ok(draws.every(value => value >= 0 && value < 1));
+  assert.equal(percentileOf([1, 2, 3, 4, 5], 50), 3);
+  assert.equal(percentileOf([0, 10], 10), 1);
+});
+
+test('with no uncertainty, net cost matches selling in that year and the bands collapse', () => {
+  const [fixedRun, armRun] = simulateScenarios([fixed, arm], { ...certain, appreciationMean: 3 }, options);
+  const sale = (result, years) => analyzeSale(result, { appreciation: { rate: 3, path: [] }, sellingCostPercent: 6, years, escrow, pmi });
+
+  assert.equal(fixedRun.years.length, 31);
+  [7, 15].forEach(year => {
+    const [p10, p50, p90] = fixedRun.years[year].netCost;
+    near(p50, sale(fixed, year).trueCost, 1e-6, `fixed net cost in year ${year}`);
+    assert.equal(p10, p90);
+  });
+  // A flat index with no volatility follows the ARM's own rate path
+  near(armRun.years[10].netCost[1], sale(arm, 10).trueCost, 1e-6, 'ARM net cost');
+  near(armRun.years[10].equity[1], sale(arm, 10).salePrice - sale(arm, 10).balance, 1e-6, 'ARM equity');
+  assert.equal(armRun.years[30].held, 1);
+});
+
+test('uncertain markets spread the bands, and the same seed gives the same run', () => {
+  const settings = { ...simulationDefaults, paths: 300 };
+  const [first] = simulateScenarios([arm], settings, options);
+  const [again] = simulateScenarios([arm], settings, options);
+  assert.deepEqual(first, again);
+
+  const year = first.years[10];
+  assert.ok(year.netCost[0] < year.netCost[1] && year.netCost[1] < year.netCost[2]);
+  assert.ok(year.equity[0] < year.equity[1] && year.equity[1] < year.equity[2]);
+  // Roughly (1 - 8%)^10 of paths have neither sold nor refinanced
+  near(year.held, Math.pow(0.92, 10), 0.08, 'loans still held');
+});
+
+test('a sale or refinance freezes the path, and progress reaches one', () => {
+  const progress = [];
+  const [run] = simulateScenarios([fixed], { ...certain, paths: 250, sellProbability: 100 }, options, (p) => progress.push(p));
+  assert.equal(run.years[1].held, 0);
+  assert.deepEqual(run.years[30].netCost, run.years[1].netCost);
+  assert.equal(progress[progress.length - 1], 1);
+  assert.ok(progress.every((p, i) => i === 0 || p >= progress[i - 1]));
+
+  // A refinance keeps the home, so no selling costs are charged
+  const [refinanced] = simulateScenarios([fixed], { ...certain, refinanceProbability: 100 }, options);
+  const [sold] = simulateScenarios([fixed], { ...certain, sellProbability: 100 }, options);
+  near(sold.years[1].netCost[1] - refinanced.years[1].netCost[1], 0.06 * 200000 * 1.03, 1e-6, 'selling costs');
+});
+
+test('a custom appreciation path sets the mean year by year', () => {
+  const appreciation = { rate: 3, path: [5, -10, 2] };
+  const [run] = simulateScenarios([fixed], { ...certain, appreciationMean: 3 }, { ...options, appreciationPath: appreciation.path });
+  [2, 6].forEach(year => {
+    const sale = analyzeSale(fixed, { appreciation, sellingCostPercent: 6, years: year, escrow, pmi });
+    near(run.years[year].netCost[1], sale.trueCost, 1e-6, `net cost in year ${year}`);
+    near(run.years[year].equity[1], sale.salePrice - sale.balance, 1e-6, `equity in year ${year}`);
+  });
+});
@@ -0,0 +1,527 @@
+// Mortgage calculation verification
+// Checks the engine in src/mortgageMath.js against known industry values (see CALCULATION_VERIFICATION.md)
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  amortizingPayment,
+  calculateMortgage,
+  calculateEscrow,
+  generateAmortizationSchedule,
+  generateMonthlySchedule,
+  paymentMonth,
+  paymentDate,
+  periodRateFor,
+  extraPaymentFor,
+  armProducts,
+  armRatePath,
+  indexRateForYear,
+  balanceAtYear,
+  getPrincipal,
+  analyzeScenario,
+  isCompounding,
+  compoundingLabel
+} from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const resultFor = (principal, rate, term, targetYears = null, homeValue = undefined) => ({
+  rate,
+  term,
+  targetYears,
+  principal,
+  homeValue,
+  ...calculateMortgage(principal, rate, term, targetYears)
+});
+
+// Industry standard example: $200,000 at 6.0% for 30 years
+// Source: any mortgage calculator (Bankrate, NerdWallet, etc.)
+const standard = resultFor(200000, 6.0, 30);
+
+test('standard 30-year payment matches $1,199.10', () => {
+  near(standard.monthlyPayment, 1199.10, 0.01, 'monthly payment');
+  assert.equal(standard.numPayments, 360);
+  near(standard.totalPaid, 431676.38, 0.01, 'total paid');
+  near(standard.totalInterest, 231676.38, 0.01, 'total interest');
+});
+
+test('first payment splits into $1,000 interest and the rest principal', () => {
+  const [year1] = generateAmortizationSchedule({ ...standard });
+  const firstInterest = 200000 * 0.06 / 12;
+  assert.equal(firstInterest, 1000);
+  near(standard.monthlyPayment - firstInterest, 199.10, 0.01, 'first principal');
+  assert.equal(year1.year, 1);
+});
+
+test('year 1 amortization pays ~$11,933 interest and reduces the balance by the principal paid', () => {
+  const [year1] = generateAmortizationSchedule(standard);
+  near(year1.interestPaid, 11933.19, 0.01, 'year 1 interest');
+  near(200000 - year1.balance, year1.principalPaid, 0.01, 'balance reduction');
+  near(year1.principalPaid + year1.interestPaid, standard.monthlyPayment * 12, 0.01, 'year 1 total');
+});
+
+test('full loan pays off to $0 and interest matches the formula', () => {
+  const schedule = generateAmortizationSchedule(standard);
+  assert.equal(schedule.length, 30);
+  assert.equal(schedule[29].year, 30);
+  assert.equal(schedule[29].balance, 0);
+  const interest = schedule.reduce((sum, s) => sum + s.interestPaid, 0);
+  const principal = schedule.reduce((sum, s) => sum + s.principalPaid, 0);
+  near(interest, standard.totalInterest, 0.01, 'schedule interest');
+  near(principal, 200000, 0.01, 'schedule principal');
+});
+
+test('accelerated 50-year loan paid in 30 years clears at year 30', () => {
+  const accelerated = resultFor(190000, 6.8, 50, 30);
+  near(accelerated.monthlyPayment, amortizingPayment(190000, 0.068 / 12, 360), 1e-9, 'accelerated payment');
+  assert.equal(accelerated.numPayments, 360);
+  assert.equal(accelerated.actualTerm, 30);
+  const schedule = generateAmortizationSchedule(accelerated);
+  assert.equal(schedule.length, 30);
+  assert.equal(schedule[29].balance, 0);
+  assert.ok(accelerated.totalInterest < resultFor(190000, 6.8, 50).totalInterest);
+});
+
+test('0% rate spreads the principal evenly instead of dividing by zero', () => {
+  const zero = resultFor(120000, 0, 10);
+  assert.equal(zero.monthlyPayment, 1000);
+  assert.equal(zero.totalInterest, 0);
+  assert.equal(zero.totalPaid, 120000);
+  assert.equal(zero.numPayments, 120);
+  const schedule = generateAmortizationSchedule(zero);
+  assert.equal(schedule.length, 10);
+  assert.equal(schedule[9].balance, 0);
+  assert.equal(balanceAtYear(schedule, 120000, 5), 60000);
+});
+
+test('fractional target years (36.46) end with a partial final payment', () => {
+  const fractional = resultFor(190000, 6.8, 50, 36.46);
+  // 36.46 years is 437.52 payments, so a 438th payment clears the remainder
+  assert.equal(fractional.numPayments, 438);
+  near(fractional.totalPaid, 190000 + fractional.totalInterest, 0.01, 'total paid');
+  assert.ok(fractional.totalPaid < fractional.monthlyPayment * 438);
+  assert.ok(fractional.totalPaid > fractional.monthlyPayment * 437);
+
+  const schedule = generateAmortizationSchedule(fractional);
+  assert.equal(schedule.length, 37);
+  const last = schedule[schedule.length - 1];
+  assert.equal(last.balance, 0);
+  const finalYearPayments = last.totalPaid / fractional.monthlyPayment;
+  assert.ok(finalYearPayments > 5 && finalYearPayments < 6, `final year covers ${finalYearPayments} payments`);
+  near(schedule.reduce((sum, s) => sum + s.principalPaid, 0), 190000, 0.01, 'schedule principal');
+  near(schedule.reduce((sum, s) => sum + s.interestPaid, 0), fractional.totalInterest, 0.01, 'schedule interest');
+});
+
+test('final payment never overpays the remaining balance', () => {
+  const schedule = generateAmortizationSchedule(resultFor(100000, 7.25, 15, 9.3));
+  schedule.forEach(row => assert.ok(row.balance >= 0));
+  near(schedule.reduce((sum, s) => sum + s.principalPaid, 0), 100000, 0.01, 'principal repaid');
+});
+
+test('balanceAtYear returns the original principal at year 0 and 0 after payoff', () => {
+  const schedule = generateAmortizationSchedule(standard);
+  assert.equal(balanceAtYear(schedule, 200000, 0), 200000);
+  assert.equal(balanceAtYear(schedule, 200000, 1), schedule[0].balance);
+  assert.equal(balanceAtYear(schedule, 200000, 45), 0);
+});
+
+test('getPrincipal uses the scenario down payment when one is set, including 0%', () => {
+  assert.equal(getPrincipal({}, 200000, 5), 190000);
+  assert.equal(getPrincipal({ specialDown: 3.5 }, 200000, 5), 193000);
+  assert.equal(getPrincipal({ specialDown: 0 }, 200000, 5), 200000);
+});
+
+test('escrow totals grow tax and insurance by the escalation rate', () => {
+  const flat = calculateEscrow({ annualTax: 2400, annualInsurance: 1200, monthlyHoa: 50, escalationRate: 0 }, 360);
+  assert.equal(flat.monthlyTax, 200);
+  assert.equal(flat.monthlyInsurance, 100);
+  near(flat.totalEscrow, 350 * 360, 1e-6, 'flat escrow');
+
+  const escalating = calculateEscrow({ annualTax: 2400, annualInsurance: 1200, monthlyHoa: 0, escalationRate: 10 }, 24);
+  near(escalating.totalEscrow, 3600 + 3600 * 1.1, 1e-6, 'escalated escrow');
+  assert.equal(calculateEscrow(null, 360).totalEscrow, 0);
+});
+
+test('PMI drops off at 78% of the original value, or 80% on request', () => {
+  const loan = resultFor(190000, 6.0, 30, null, 200000);
+  const automatic = generateAmortizationSchedule(loan, { rate: 0.5, cancelAtRequest: false });
+  const requested = generateAmortizationSchedule(loan, { rate: 0.5, cancelAtRequest: true });
+  const months = (schedule) => schedule.reduce((sum, s) => sum + s.pmiMonths, 0);
+
+  near(automatic[0].pmiPaid, 190000 * 0.005, 1e-6, 'first-year PMI');
+  assert.ok(months(requested) < months(automatic));
+
+  // The last PMI month is the last one that started above the threshold
+  let balance = 190000;
+  let expectedMonths = 0;
+  while (balance > 156000) {
+    balance -= loan.monthlyPayment - balance * 0.005;
+    expectedMonths++;
+  }
+  assert.equal(months(automatic), expectedMonths);
+});
+
+test('PMI is not charged at 20% down or more', () => {
+  const schedule = generateAmortizationSchedule(resultFor(160000, 6.0, 30, null, 200000), { rate: 0.5 });
+  assert.equal(schedule.reduce((sum, s) => sum + s.pmiPaid, 0), 0);
+});
+
+test('analyzeScenario adds PMI into the PITI payment and total housing cost', () => {
+  const scenario = { id: 7, name: '50-Yr (3.5% Down)', term: 50, rate: 6.8, accelerated: false, targetYears: null, specialDown: 3.5 };
+  const escrow = { annualTax: 2400, annualInsurance: 1500, monthlyHoa: 0, escalationRate: 0 };
+  const result = analyzeScenario(scenario, { housePrice: 200000, downPaymentPercent: 5, escrow, pmi: { rate: 0.5 } });
+
+  assert.equal(result.principal, 193000);
+  near(result.monthlyPMI, 193000 * 0.005 / 12, 1e-9, 'monthly PMI');
+  near(result.monthlyPITI, result.monthlyPayment + 200 + 125 + result.monthlyPMI, 1e-9, 'PITI');
+  near(result.totalHousingCost, result.totalPaid + result.totalEscrow + result.totalPMI, 1e-6, 'housing cost');
+  assert.ok(result.pmiMonths > 0 && result.pmiMonths < result.numPayments);
+});
+
+test('monthly schedule covers every payment of a 50-year loan', () => {
+  const loan = resultFor(190000, 6.8, 50);
+  const monthly = generateMonthlySchedule(loan);
+  assert.equal(monthly.length, 600);
+  assert.equal(monthly[0].paymentNumber, 1);
+  near(monthly[0].interest, 190000 * 0.068 / 12, 1e-9, 'first interest');
+  assert.equal(monthly[599].balance, 0);
+  near(monthly[599].cumulativeInterest, loan.totalInterest, 0.01, 'cumulative interest');
+
+  const yearly = generateAmortizationSchedule(loan);
+  assert.equal(yearly.length, 50);
+  assert.equal(yearly[9].balance, monthly[119].balance);
+  assert.equal(yearly[9].cumulativeInterest, monthly[119].cumulativeInterest);
+});
+
+test('paymentMonth counts calendar months from the first payment', () => {
+  assert.equal(paymentMonth('2026-11', 1), '2026-11');
+  assert.equal(paymentMonth('2026-11', 3), '2027-01');
+  assert.equal(paymentMonth('2026-01', 360), '2055-12');
+});
+
+const extraScenario = (extraPayments) => analyzeScenario(
+  { id: 1, name: 'Extra', term: 30, rate: 6.0, accelerated: false, targetYears: null, extraPayments },
+  { housePrice: 200000, downPaymentPercent: 0, firstPaymentMonth: '2026-01' }
+);
+
+test('recurring extra principal pays off when the closed-form payoff says it should', () => {
+  const result = extraScenario({ monthlyAmount: 100, startMonth: 1 });
+  // n = -ln(1 - rP/M) / ln(1 + r) with the payment raised by $100
+  const payments = -Math.log(1 - 0.005 * 200000 / (standard.monthlyPayment + 100)) / Math.log(1.005);
+  assert.equal(result.numPayments, Math.ceil(payments));
+  near(result.interestSaved, standard.totalInterest - result.totalInterest, 1e-6, 'interest saved');
+  assert.equal(result.monthsSaved, 360 - result.numPayments);
+  near(result.totalPaid, 200000 + result.totalInterest, 1e-6, 'total paid');
+});
+
+test('recurring extra principal respects its start and end months', () => {
+  const extras = { monthlyAmount: 250, startMonth: 13, endMonth: 24 };
+  assert.equal(extraPaymentFor(extras, 12, '2026-01'), 0);
+  assert.equal(extraPaymentFor(extras, 13, '2026-01'), 250);
+  assert.equal(extraPaymentFor(extras, 24, '2026-01'), 250);
+  assert.equal(extraPaymentFor(extras, 25, '2026-01'), 0);
+});
+
+test('annual lump sums land in the chosen calendar month', () => {
+  const result = extraScenario({ annualAmount: 5000, annualMonth: 3 });
+  const monthly = generateMonthlySchedule(result);
+  const withExtra = monthly.filter(row => row.extra > 0).map(row => paymentMonth('2026-01', row.paymentNumber).slice(5));
+  assert.ok(withExtra.length > 10);
+  withExtra.forEach(month => assert.equal(month, '03'));
+});
+
+test('one-off lump sums reduce the balance in their month and the final extra never overpays', () => {
+  const result = extraScenario({ lumpSums: [{ month: 12, amount: 20000 }, { month: 200, amount: 1000000 }] });
+  const monthly = generateMonthlySchedule(result);
+  assert.equal(monthly[11].extra, 20000);
+  assert.equal(monthly.length, 200);
+  assert.equal(monthly[199].balance, 0);
+  near(monthly.reduce((sum, row) => sum + row.principal + row.extra, 0), 200000, 0.01, 'principal repaid');
+});
+
+test('biweekly plan makes 26 half-payments a year', () => {
+  const result = extraScenario({ biweekly: true });
+  const periodRate = 0.06 / 26;
+  const periods = -Math.log(1 - periodRate * 200000 / (standard.monthlyPayment / 2)) / Math.log(1 + periodRate);
+  assert.equal(result.numPayments, Math.ceil(periods * 12 / 26));
+  const firstYear = generateMonthlySchedule(result).slice(0, 12);
+  near(firstYear.reduce((sum, row) => sum + row.payment, 0), standard.monthlyPayment * 13, 0.01, 'first-year payments');
+  assert.ok(result.interestSaved > 0);
+});
+
+const fiveOne = (index) => ({ ...armProducts['5/1'], margin: 2.75, floor: null, index });
+
+test('index paths are flat, rising, falling (never below 0) or custom by loan year', () => {
+  assert.equal(indexRateForYear({ path: 'flat', start: 4, step: 0.5 }, 10), 4);
+  assert.equal(indexRateForYear({ path: 'rising', start: 4, step: 0.5 }, 3), 5);
+  assert.equal(indexRateForYear({ path: 'falling', start: 1, step: 0.5 }, 5), 0);
+  const custom = { path: 'custom', start: 4, custom: [3, 3.5, 4.25] };
+  assert.equal(indexRateForYear(custom, 2), 3.5);
+  assert.equal(indexRateForYear(custom, 20), 4.25);
+});
+
+test('5/1 ARM holds the initial rate for 60 payments, then resets yearly to index + margin', () => {
+  const rates = armRatePath(5.5, fiveOne({ path: 'flat', start: 4, step: 0 }), 360);
+  assert.equal(rates[59], 5.5);
+  assert.equal(rates[60], 6.75);
+  assert.equal(rates[71], 6.75);
+  assert.equal(rates[359], 6.75);
+});
+
+test('ARM resets are limited by the initial, periodic and lifetime caps', () => {
+  const rates = armRatePath(5.5, fiveOne({ path: 'rising', start: 6, step: 1 }), 360);
+  assert.equal(rates[60], 7.5); // initial cap of 2 points
+  assert.equal(rates[72], 9.5); // periodic cap of 2 points
+  assert.equal(rates[84], 10.5); // lifetime cap of 5 points over 5.5%
+
+  const sixMonth = armRatePath(6, { ...armProducts['7/6'], margin: 2.75, index: { path: 'rising', start: 5, step: 1 } }, 360);
+  assert.equal(sixMonth[83], 6);
+  assert.equal(sixMonth[84], 11); // 7/6 initial cap is 5 points
+  assert.equal(sixMonth[90], 11);
+});
+
+test('ARM rates never drop below the floor, which defaults to the margin', () => {
+  const falling = { path: 'falling', start: 3, step: 1 };
+  assert.equal(armRatePath(6, fiveOne(falling), 360)[359], 2.75);
+  assert.equal(armRatePath(6, { ...fiveOne(falling), floor: 4 }, 360)[359], 4);
+});
+
+test('ARM payments are re-amortized over the remaining term at each reset', () => {
+  const scenario = {
+    id: 8, name: '5/1 ARM', term: 30, rate: 5.5, accelerated: false, targetYears: null, specialDown: 0,
+    loanType: 'arm', arm: fiveOne({ path: 'rising', start: 4, step: 0.5 })
+  };
+  const result = analyzeScenario(scenario, { housePrice: 200000, downPaymentPercent: 0 });
+  const monthly = generateMonthlySchedule(result);
+
+  assert.equal(monthly.length, 360);
+  assert.equal(monthly[359].balance, 0);
+  near(monthly[0].scheduledPayment, amortizingPayment(200000, 0.055 / 12, 360), 1e-9, 'initial payment');
+  const reset = monthly[60];
+  near(reset.scheduledPayment, amortizingPayment(monthly[59].balance, reset.rate / 100 / 12, 300), 1e-9, 'reset payment');
+  assert.ok(result.paymentShock > 0);
+  assert.equal(result.peakRate, 10.5);
+  near(result.totalInterest, monthly.reduce((sum, row) => sum + row.interest, 0), 1e-6, 'total interest');
+});
+
+test('an ARM whose index + margin equals its initial rate matches the fixed loan', () => {
+  const arm = analyzeScenario(
+    { id: 9, name: 'Flat ARM', term: 30, rate: 6, specialDown: 0, loanType: 'arm', arm: fiveOne({ path: 'flat', start: 3.25 }) },
+    { housePrice: 200000, downPaymentPercent: 0 }
+  );
+  near(arm.totalInterest, standard.totalInterest, 0.01, 'total interest');
+  assert.equal(arm.paymentShock, 0);
+});
+
+test('an interest-only loan pays interest, then amortizes over the rest of the term', () => {
+  const result = analyzeScenario(
+    { id: 12, name: 'IO', term: 30, rate: 6, loanType: 'interest-only', interestOnlyYears: 10 },
+    { housePrice: 200000, downPaymentPercent: 0 }
+  );
+  const monthly = generateMonthlySchedule(result);
+
+  near(result.monthlyPayment, 1000, 1e-9, 'interest-only payment');
+  assert.equal(monthly[119].balance, 200000);
+  // $200k over the remaining 20 years at 6%
+  near(result.peakPayment, 1432.86, 0.01, 'amortizing payment');
+  assert.equal(result.peakPaymentMonth, 121);
+  near(result.paymentShock, 432.86, 0.01, 'payment shock');
+  assert.equal(monthly.length, 360);
+  assert.equal(monthly[359].balance, 0);
+  near(result.totalInterest, 120 * 1000 + 1432.8621 * 240 - 200000, 0.05, 'total interest');
+  assert.equal(result.apr, 6);
+});
+
+test('an interest-only period that lasts the whole term leaves the balance due with the last payment', () => {
+  const result = analyzeScenario(
+    { id: 14, name: 'IO', term: 8, rate: 6, loanType: 'interest-only', interestOnlyYears: 10 },
+    { housePrice: 200000, downPaymentPercent: 0 }
+  );
+  const monthly = generateMonthlySchedule(result);
+
+  assert.equal(monthly.length, 96);
+  assert.equal(monthly[95].balloon, 200000);
+  assert.equal(monthly[95].balance, 0);
+  near(result.totalPaid, 96 * 1000 + 200000, 0.01, 'interest plus the whole principal');
+  assert.equal(result.balloonPayment, 200000);
+  assert.equal(result.balloonMonth, 96);
+});
+
+test('a 7-year balloon on a 30-year amortization is due with payment 84', () => {
+  const result = analyzeScenario(
+    { id: 13, name: 'Balloon', term: 30, rate: 6, loanType: 'balloon', balloonYears: 7 },
+    { housePrice: 200000, downPaymentPercent: 0 }
+  );
+  const monthly = generateMonthlySchedule(result);
+  const r = 0.06 / 12;
+  // Remaining balance after 84 payments: P(1+r)^n - M((1+r)^n - 1)/r
+  const remaining = 200000 * Math.pow(1 + r, 84) - 1199.10 * (Math.pow(1 + r, 84) - 1) / r;
+
+  near(result.monthlyPayment, 1199.10, 0.01, 'payment on the 30-year amortization');
+  assert.equal(result.numPayments, 84);
+  assert.equal(result.balloonMonth, 84);
+  near(result.balloonPayment, remaining, 0.5, 'balloon');
+  assert.equal(monthly[83].balance, 0);
+  near(monthly[83].payment, 1199.10 + result.balloonPayment, 0.01, 'last payment');
+  near(result.totalPaid, 83 * 1199.10 + monthly[83].payment, 0.5, 'total paid');
+  near(result.totalPaid - result.totalInterest, 200000, 1e-6, 'principal repaid');
+
+  const yearly = generateAmortizationSchedule(result);
+  assert.equal(yearly.length, 7);
+  near(yearly[6].balloonPaid, result.balloonPayment, 1e-9, 'balloon in year 7');
+});
+
+test('extra payments on a balloon loan shrink the balloon', () => {
+  const inputs = { housePrice: 200000, downPaymentPercent: 0 };
+  const scenario = { id: 13, name: 'Balloon', term: 30, rate: 6, loanType: 'balloon', balloonYears: 7 };
+  const plain = analyzeScenario(scenario, inputs);
+  const extra = analyzeScenario({ ...scenario, extraPayments: { monthlyAmount: 200, startMonth: 1, endMonth: null } }, inputs);
+  assert.ok(extra.balloonPayment < plain.balloonPayment - 84 * 200);
+  assert.ok(extra.interestSaved > 0);
+  assert.equal(extra.monthsSaved, 0);
+});
+
+test('a loan the down payment covers in full costs nothing, whatever its type', () => {
+  const inputs = { housePrice: 200000, downPaymentPercent: 100 };
+  const loans = [
+    [{ id: 8, name: 'ARM', term: 30, rate: 5.5, loanType: 'arm', arm: fiveOne({ path: 'rising', start: 4, step: 0.5 }) }, inputs],
+    [{ id: 12, name: 'IO', term: 30, rate: 6, loanType: 'interest-only', interestOnlyYears: 10 }, inputs],
+    [{ id: 13, name: 'Balloon', term: 30, rate: 6, loanType: 'balloon', balloonYears: 7 }, inputs],
+    [{ id: 1, name: 'Extra', term: 30, rate: 6, extraPayments: { monthlyAmount: 200, startMonth: 1, endMonth: null } }, inputs],
+    [{ id: 1, name: 'Lender', term: 30, rate: 6 }, { ...inputs, roundToCents: true }],
+    [{ id: 1, name: 'Daily', term: 30, rate: 6, compounding: 'actual-365' }, inputs]
+  ];
+  loans.forEach(([scenario, options]) => {
+    const result = analyzeScenario(scenario, { ...options, pmi: { rate: 0.5 } });
+    assert.equal(result.principal, 0, scenario.name);
+    assert.equal(result.monthlyPayment, 0, scenario.name);
+    assert.equal(result.monthlyPITI, 0, scenario.name);
+    assert.equal(result.totalPaid, 0, scenario.name);
+    assert.equal(result.totalInterest, 0, scenario.name);
+    assert.equal(result.numPayments, 0, scenario.name);
+    assert.equal(result.balloonPayment, undefined, scenario.name);
+    assert.deepEqual(generateMonthlySchedule(result), [], scenario.name);
+  });
+});
+
+test('APR equals the note rate with no points, costs or PMI', () => {
+  const result = analyzeScenario({ id: 1, name: 'Plain', term: 30, rate: 6 }, { housePrice: 200000, downPaymentPercent: 0 });
+  assert.equal(result.apr, 6);
+  assert.equal(result.upfrontCosts, 0);
+  assert.equal(result.totalCost, result.totalPaid);
+});
+
+test('APR with $4,000 of costs on $200k at 6% is 6.189%', () => {
+  const result = analyzeScenario({ id: 1, name: 'Costs', term: 30, rate: 6, closingCosts: 4000 }, { housePrice: 200000, downPaymentPercent: 0 });
+  near(result.apr, 6.189, 0.0005, 'APR');
+  // The scheduled payments discount back to the amount financed at the APR
+  const i = result.apr / 100 / 12;
+  near(result.monthlyPayment * (1 - Math.pow(1 + i, -360)) / i, 196000, 0.01, 'amount financed');
+  near(result.totalCost, result.totalPaid + 4000, 1e-9, 'total cost');
+  near(result.totalHousingCost, result.totalPaid + 4000, 1e-9, 'total housing cost');
+});
+
+test('points are charged on the loan amount and lender credits offset them', () => {
+  const result = analyzeScenario(
+    { id: 1, name: 'Points', term: 30, rate: 6, points: 1.5, closingCosts: 3000, lenderCredit: 1000 },
+    { housePrice: 250000, downPaymentPercent: 20 }
+  );
+  near(result.pointsCost, 3000, 1e-9, 'points');
+  near(result.upfrontCosts, 5000, 1e-9, 'net upfront');
+  assert.ok(result.apr > 6);
+  const credit = analyzeScenario(
+    { id: 2, name: 'Credit', term: 30, rate: 6.5, lenderCredit: 2000 },
+    { housePrice: 250000, downPaymentPercent: 20 }
+  );
+  assert.ok(credit.apr < 6.5);
+});
+
+test('PMI raises the APR above the note rate', () => {
+  const result = analyzeScenario({ id: 1, name: 'Low down', term: 30, rate: 6 }, { housePrice: 200000, downPaymentPercent: 5, pmi: { rate: 0.5 } });
+  assert.ok(result.apr > 6.3 && result.apr < 6.45, `APR ${result.apr}`);
+});
+
+test('due dates fall on the payment day, or the last day of shorter months', () => {
+  assert.equal(paymentDate('2026-11', 1, 1), '2026-11-01');
+  assert.equal(paymentDate('2027-01', 31, 2), '2027-02-28');
+  assert.equal(paymentDate('2028-01', 31, 2), '2028-02-29', 'leap year');
+  assert.equal(paymentDate('2027-01', 31, 4), '2027-04-30');
+  assert.equal(paymentDate('2027-01', 31, 5), '2027-05-31');
+});
+
+test('lender schedules are in whole cents, with a final payment that clears the balance', () => {
+  const inputs = { housePrice: 200000, downPaymentPercent: 5, roundToCents: true };
+  const result = analyzeScenario({ id: 1, name: 'Lender', term: 30, rate: 6.3 }, inputs);
+  const monthly = generateMonthlySchedule(result);
+  const isCents = (value) => Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+
+  assert.equal(monthly.length, 360);
+  assert.ok(monthly.every(row => [row.payment, row.interest, row.principal, row.balance].every(isCents)), 'whole cents');
+  assert.ok(monthly.every(row => Math.abs(row.payment - row.interest - row.principal) < 1e-6), 'each payment splits exactly');
+  assert.equal(monthly[359].balance, 0);
+  assert.notEqual(monthly[359].payment, monthly[0].payment, 'the final payment is trued up');
+  near(monthly[359].payment, monthly[0].payment, 5, 'by a few dollars at most');
+  // Principal paid ties out to the loan amount exactly
+  near(result.totalPaid - result.totalInterest, 190000, 1e-6, 'principal repaid');
+  near(result.totalInterest, generateMonthlySchedule({ ...result, roundToCents: false }).reduce((sum, row) => sum + row.interest, 0), 5, 'close to the exact schedule');
+});
+
+test('a fractional term in lender mode ends with a smaller, trued-up payment', () => {
+  const result = analyzeScenario({ id: 1, name: 'Odd', term: 36.46, rate: 6 }, { housePrice: 200000, downPaymentPercent: 5, roundToCents: true });
+  const monthly = generateMonthlySchedule(result);
+  assert.equal(monthly.length, 438);
+  assert.ok(monthly[437].payment < monthly[0].payment);
+  assert.equal(monthly[437].balance, 0);
+  near(result.totalPaid - result.totalInterest, 190000, 1e-6, 'principal repaid');
+});
+
+test('Canadian semi-annual compounding matches published payments', () => {
+  // $100,000 over 25 years: $639.81 at 6% and $581.60 at 5%, against $644.30 compounded monthly
+  near(calculateMortgage(100000, 6, 25, null, null, 'semi-annual').monthlyPayment, 639.81, 0.005, '6% payment');
+  near(calculateMortgage(100000, 5, 25, null, null, 'semi-annual').monthlyPayment, 581.60, 0.005, '5% payment');
+  near(calculateMortgage(100000, 6, 25).monthlyPayment, 644.30, 0.005, 'monthly compounding');
+  // Six months at the monthly rate grow the balance by exactly half the annual rate
+  near(Math.pow(1 + periodRateFor(6, 'semi-annual'), 6), 1.03, 1e-12, 'six-month growth');
+
+  const result = analyzeScenario({ id: 1, name: 'Canadian', term: 25, rate: 6, compounding: 'semi-annual' }, { housePrice: 100000, downPaymentPercent: 0 });
+  const monthly = generateMonthlySchedule(result);
+  near(monthly[0].interest, 493.86, 0.005, 'first month interest');
+  assert.equal(monthly.length, 300);
+  assert.equal(monthly[299].balance, 0);
+  near(result.apr, 5.926, 0.0005, 'APR is the monthly-compounded equivalent');
+});
+
+test('30/360 daily interest charges the same as monthly compounding', () => {
+  const inputs = { housePrice: 200000, downPaymentPercent: 0, firstPaymentMonth: '2027-03' };
+  const daily = analyzeScenario({ id: 1, name: '30/360', term: 30, rate: 6, compounding: '30-360' }, inputs);
+  const standard = analyzeScenario({ id: 2, name: 'Monthly', term: 30, rate: 6 }, inputs);
+  near(daily.monthlyPayment, 1199.10, 0.005, 'payment');
+  near(generateMonthlySchedule(daily)[0].interest, 1000, 1e-9, '30 days at 6%/360 on $200,000');
+  near(daily.totalInterest, standard.totalInterest, 1e-6, 'total interest');
+  near(daily.apr, 6, 1e-6, 'APR');
+});
+
+test('actual/365 daily interest charges the days between due dates and trues up the last payment', () => {
+  const inputs = { housePrice: 100000, downPaymentPercent: 0, firstPaymentMonth: '2026-01', paymentDay: 1 };
+  const result = analyzeScenario({ id: 1, name: 'Daily', term: 25, rate: 6, compounding: 'actual-365' }, inputs);
+  const monthly = generateMonthlySchedule(result);
+
+  near(result.monthlyPayment, 644.30, 0.005, 'quoted the monthly-loan payment');
+  near(monthly[0].interest, 509.59, 0.005, 'December 1 to January 1: 31 days');
+  near(monthly[2].interest, monthly[1].balance * 0.06 * 28 / 365, 1e-9, 'February: 28 days');
+  near(monthly[3].interest, monthly[2].balance * 0.06 * 31 / 365, 1e-9, 'March: 31 days');
+  // A year averages 365.25 days over the loan's leap years, so a little more interest is charged
+  // than the payment covers and the last payment is larger
+  assert.equal(monthly.length, 300);
+  assert.equal(monthly[299].balance, 0);
+  assert.ok(monthly[299].payment > result.monthlyPayment);
+  near(result.totalPaid - result.totalInterest, 100000, 1e-6, 'principal repaid');
+  assert.ok(result.totalInterest > calculateMortgage(100000, 6, 25).totalInterest);
+});
+
+test('inherited names are not compounding conventions', () => {
+  assert.equal(isCompounding('semi-annual'), true);
+  assert.equal(isCompounding('constructor'), false);
+  assert.equal(compoundingLabel({ compounding: 'constructor' }), 'Monthly (US)');
+  const odd = analyzeScenario({ id: 1, name: 'Odd', term: 30, rate: 6, compounding: 'constructor' }, { housePrice: 200000, downPaymentPercent: 0 });
+  near(odd.monthlyPayment, 1199.10, 0.005, 'computed as monthly');
+  assert.equal(odd.apr, 6);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { discountFactor, valueScenario, investTheDifference } from '../src/opportunityCost.js';
+import { analyzeScenario } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const base = { housePrice: 125000, downPaymentPercent: 20 };
+const tenYearZero = analyzeScenario({ id: 1, name: '10yr', term: 10, rate: 0 }, base);
+const twentyYearZero = analyzeScenario({ id: 2, name: '20yr', term: 20, rate: 0 }, base);
+
+test('discount factor compounds annually and is 1 today', () => {
+  assert.equal(discountFactor(5, 0), 1);
+  near(discountFactor(5, 12), 1 / 1.05, 1e-12, 'one year');
+  near(discountFactor(5, 120), Math.pow(1.05, -10), 1e-12, 'ten years');
+});
+
+test('present value of level payments matches the annuity formula', () => {
+  const { presentValue } = valueScenario(tenYearZero, { discountRate: 4 });
+  const monthlyRate = Math.pow(1.04, 1 / 12) - 1;
+  const expected = (100000 / 120) * (1 - Math.pow(1 + monthlyRate, -120)) / monthlyRate;
+  near(presentValue, expected, 0.01, 'present value');
+  assert.ok(presentValue < 100000);
+});
+
+test('with no discounting or inflation, values equal the nominal totals', () => {
+  const loan = analyzeScenario({ id: 3, name: '30yr', term: 30, rate: 6 }, base);
+  const value = valueScenario(loan);
+  near(value.presentValue, loan.totalPaid, 0.01, 'present value');
+  near(value.realTotalPaid, loan.totalPaid, 0.01, 'real total paid');
+  near(value.realTotalInterest, loan.totalInterest, 0.01, 'real total interest');
+});
+
+test('inflation shrinks later interest more, so a longer term loses more in real terms', () => {
+  const thirty = valueScenario(analyzeScenario({ id: 3, name: '30yr', term: 30, rate: 6 }, base), { inflationRate: 3 });
+  const fifteen = valueScenario(analyzeScenario({ id: 4, name: '15yr', term: 15, rate: 6 }, base), { inflationRate: 3 });
+  const nominalThirty = analyzeScenario({ id: 3, name: '30yr', term: 30, rate: 6 }, base).totalInterest;
+  const nominalFifteen = analyzeScenario({ id: 4, name: '15yr', term: 15, rate: 6 }, base).totalInterest;
+  assert.ok(thirty.realTotalInterest / nominalThirty < fifteen.realTotalInterest / nominalFifteen);
+});
+
+test('with no investment return, investing the difference leaves every scenario equal', () => {
+  const yearly = investTheDifference([tenYearZero, twentyYearZero], { housePrice: 125000 });
+  assert.equal(yearly.length, 21);
+  near(yearly[0].netWorth[0], 25000, 1e-9, 'starting equity');
+  // The 20-year loan invests $416.67 a month for ten years, then the 10-year loan does
+  near(yearly[10].portfolios[1], 50000, 0.01, '20-year portfolio at year 10');
+  near(yearly[10].netWorth[0], yearly[10].netWorth[1], 0.01, 'equal at year 10');
+  near(yearly[20].netWorth[0], 175000, 0.01, '10-year loan at year 20');
+  near(yearly[20].netWorth[1], 175000, 0.01, '20-year loan at year 20');
+});
+
+test('investment return rewards whichever scenario invests earlier', () => {
+  const yearly = investTheDifference([tenYearZero, twentyYearZero], { housePrice: 125000, investmentReturn: 6 });
+  const r = 0.06 / 12;
+  const growth = Math.pow(1 + r, 120);
+  const saved = 100000 / 240;
+  near(yearly[10].portfolios[1], saved * (growth - 1) / r, 0.01, 'annuity of the payment difference');
+  assert.ok(yearly[20].netWorth[1] > yearly[20].netWorth[0]);
+});
+
+test('a smaller down payment starts with the difference invested', () => {
+  const lowDown = analyzeScenario({ id: 5, name: 'Low down', term: 10, rate: 0, specialDown: 10 }, base);
+  const yearly = investTheDifference([tenYearZero, lowDown], { housePrice: 125000 });
+  near(yearly[0].portfolios[1], 12500, 1e-9, 'extra down payment invested');
+  near(yearly[0].netWorth[1], yearly[0].netWorth[0], 1e-9, 'same starting net worth');
+});
+
+test('real net worth is deflated by inflation', () => {
+  const nominal = investTheDifference([tenYearZero], { housePrice: 125000 });
+  const real = investTheDifference([tenYearZero], { housePrice: 125000, inflationRate: 3 });
+  near(real[10].netWorth[0], nominal[10].netWorth[0] / Math.pow(1.03, 10), 1e-6, 'deflated');
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRefinance, isValidRefinance } from '../src/refinance.js';
+import { amortizingPayment } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const existingLoan = { originalBalance: 200000, currentRate: 7, termYears: 30, monthsPaid: 60 };
+
+// Closed-form remaining balance after k payments: B = P(1+r)^k - M((1+r)^k - 1)/r
+const balanceAfter = (principal, annualRate, years, k) => {
+  const r = annualRate / 100 / 12;
+  const payment = amortizingPayment(principal, r, years * 12);
+  const growth = Math.pow(1 + r, k);
+  return principal * growth - payment * (growth - 1) / r;
+};
+
+test('starts the new loan from the existing balance after the months already paid', () => {
+  const refi = analyzeRefinance({ ...existingLoan, newRate: 5.5, newTermYears: 30 });
+  near(refi.currentBalance, balanceAfter(200000, 7, 30, 60), 0.01, 'current balance');
+  assert.equal(refi.remainingMonths, 300);
+  near(refi.newPrincipal, refi.currentBalance, 1e-9, 'new principal');
+  near(refi.monthlySavings, refi.currentPayment - refi.newPayment, 1e-9, 'monthly savings');
+});
+
+test('paid closing costs and points break even when monthly savings cover them', () => {
+  const refi = analyzeRefinance({ ...existingLoan, newRate: 5.5, newTermYears: 25, closingCosts: 3000, pointsPercent: 1 });
+  near(refi.pointsCost, refi.currentBalance * 0.01, 1e-9, 'points cost');
+  assert.equal(refi.outOfPocket, refi.upfrontCosts);
+  assert.equal(refi.simpleBreakEvenMonth, Math.ceil(refi.upfrontCosts / refi.monthlySavings));
+  assert.ok(refi.breakEvenMonth > 0);
+  assert.ok(refi.timeline[refi.breakEvenMonth - 1].netSavings < 0);
+  assert.ok(refi.timeline[refi.breakEvenMonth].netSavings >= 0);
+});
+
+test('rolled-in costs and cash-out increase the new balance instead of the cash paid today', () => {
+  const refi = analyzeRefinance({ ...existingLoan, newRate: 5.5, newTermYears: 30, closingCosts: 4000, cashOut: 20000, rollCosts: true });
+  assert.equal(refi.outOfPocket, 0);
+  near(refi.newPrincipal, refi.currentBalance + 20000 + 4000, 1e-9, 'new principal');
+  // Cash-out is money received, so at month 0 only the rolled-in costs count against refinancing
+  near(refi.timeline[0].netSavings, -4000, 1e-6, 'initial position');
+});
+
+test('lifetime savings equal the difference in everything paid once both loans are gone', () => {
+  const refi = analyzeRefinance({ ...existingLoan, newRate: 6, newTermYears: 15, closingCosts: 2500 });
+  const stayTotal = refi.currentPayment * 300;
+  const refiTotal = 2500 + refi.newPayment * 180;
+  near(refi.lifetimeSavings, stayTotal - refiTotal, 0.05, 'lifetime savings');
+  assert.equal(refi.horizons.length, 6);
+  assert.equal(refi.horizons[5].netSavings, refi.lifetimeSavings);
+});
+
+test('a refinance that never pays back reports no break-even month', () => {
+  const refi = analyzeRefinance({ ...existingLoan, newRate: 7.5, newTermYears: 25, closingCosts: 5000 });
+  assert.ok(refi.monthlySavings < 0);
+  assert.equal(refi.breakEvenMonth, null);
+  assert.equal(refi.simpleBreakEvenMonth, null);
+});
+
+test('payments already made must be a whole number within the term', () => {
+  assert.equal(isValidRefinance({ ...existingLoan, newTermYears: 30 }), true);
+  assert.equal(isValidRefinance({ ...existingLoan, monthsPaid: 36.5, newTermYears: 30 }), false);
+  assert.equal(isValidRefinance({ ...existingLoan, monthsPaid: 360, newTermYears: 30 }), false);
+  assert.equal(isValidRefinance({ ...existingLoan, monthsPaid: -1, newTermYears: 30 }), false);
+  assert.throws(() => analyzeRefinance({ ...existingLoan, monthsPaid: 36.5, newRate: 5.5, newTermYears: 30 }), /whole number of payments/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeRentVsBuy } from '../src/rentVsBuy.js';
+import { analyzeScenario } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+// $125,000 house, 20% down, 0% for 10 years: $833.33 a month
+const zeroRateLoan = analyzeScenario({ id: 1, name: 'Zero', term: 10, rate: 0 }, { housePrice: 125000, downPaymentPercent: 20 });
+const flat = { housePrice: 125000, horizonYears: 10, monthlyRent: 100000 / 120 };
+
+test('with no growth, returns or costs, buying builds exactly the equity paid in', () => {
+  const analysis = analyzeRentVsBuy(zeroRateLoan, flat);
+  assert.equal(analysis.yearly.length, 11);
+  near(analysis.downPayment, 25000, 1e-9, 'down payment');
+  near(analysis.yearly[0].rentNetWorth, 25000, 1e-9, 'renter starts with the down payment');
+  near(analysis.yearly[0].buyNetWorth, 25000, 1e-9, 'buyer starts with the down payment in equity');
+  near(analysis.yearly[10].balance, 0, 0.01, 'loan paid off');
+  near(analysis.yearly[10].buyNetWorth, 125000, 0.01, 'buyer owns the house');
+  near(analysis.yearly[10].rentNetWorth, 25000, 0.01, 'rent equals the payment, so nothing more is invested');
+  assert.equal(analysis.crossoverYear, 1);
+});
+
+test('selling and closing costs delay the crossover', () => {
+  const analysis = analyzeRentVsBuy(zeroRateLoan, { ...flat, closingCostPercent: 3, sellingCostPercent: 6 });
+  near(analysis.closingCosts, 3750, 1e-9, 'closing costs');
+  near(analysis.yearly[0].rentNetWorth, 28750, 1e-9, 'renter invests down payment plus closing costs');
+  near(analysis.yearly[0].buyNetWorth, 125000 * 0.94 - 100000, 1e-9, 'buyer nets the sale price less selling costs');
+  // Equity grows $10,000 a year: 17,500 + 10,000n > 28,750 first at n = 2
+  assert.equal(analysis.crossoverYear, 2);
+});
+
+test('the lower-cost path invests its monthly savings at the investment return', () => {
+  const analysis = analyzeRentVsBuy(zeroRateLoan, { ...flat, monthlyRent: 500, investmentReturn: 6 });
+  const r = 0.06 / 12;
+  const growth = Math.pow(1 + r, 120);
+  const difference = 100000 / 120 - 500;
+  // Down payment compounds; the monthly difference is an annuity due
+  near(analysis.yearly[10].rentNetWorth, 25000 * growth + difference * (growth - 1) / r, 0.01, 'renter portfolio');
+  near(analysis.yearly[10].buyNetWorth, 125000, 0.01, 'buyer has nothing left over to invest');
+});
+
+test('cheap rent with rising rents and appreciation eventually favors buying', () => {
+  const loan = analyzeScenario({ id: 1, name: '30yr', term: 30, rate: 6.5 }, { housePrice: 400000, downPaymentPercent: 20 });
+  const analysis = analyzeRentVsBuy(loan, {
+    housePrice: 400000,
+    horizonYears: 30,
+    monthlyRent: 2000,
+    rentGrowth: 4,
+    appreciation: 4,
+    maintenancePercent: 1,
+    closingCostPercent: 3,
+    sellingCostPercent: 6,
+    investmentReturn: 5
+  });
+  assert.ok(analysis.crossoverYear > 0 && analysis.crossoverYear < 30, `crossover ${analysis.crossoverYear}`);
+  assert.ok(analysis.yearly[analysis.crossoverYear - 1].buyNetWorth <= analysis.yearly[analysis.crossoverYear - 1].rentNetWorth);
+  assert.ok(analysis.finalAdvantage > 0);
+  near(analysis.yearly[30].homeValue, 400000 * Math.pow(1.04, 30), 0.01, 'appreciated value');
+});
+
+test('rent above the cost of owning is invested by the buyer instead', () => {
+  const analysis = analyzeRentVsBuy(zeroRateLoan, { ...flat, monthlyRent: 1000 });
+  near(analysis.yearly[10].buyNetWorth, 125000 + (1000 - 100000 / 120) * 120, 0.01, 'buyer keeps the difference');
+  near(analysis.yearly[10].rentNetWorth, 25000, 0.01, 'renter never saves anything');
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ratesAround, sensitivityGrid, tornado } from '../src/sensitivity.js';
+import { analyzeScenario, amortizingPayment, monthlyRateFor } from '../src/mortgageMath.js';
+import { near } from './helpers.js';
+
+const context = { housePrice: 200000, downPaymentPercent: 0, firstPaymentMonth: '2026-01' };
+const thirtyYear = { id: 1, name: '30yr', term: 30, rate: 6, accelerated: false, targetYears: null, color: '#3b82f6' };
+
+test('rates step evenly around the scenario rate and stop at zero', () => {
+  assert.deepEqual(ratesAround(6, 0.25, 2), [5.5, 5.75, 6, 6.25, 6.5]);
+  assert.deepEqual(ratesAround(0.3, 0.125, 3), [0.05, 0.175, 0.3, 0.425, 0.55, 0.675]);
+});
+
+test('each grid cell is the scenario analyzed at that rate and term', () => {
+  const grid = sensitivityGrid(thirtyYear, context, { metric: 'monthlyPayment', rates: [5, 6, 7], axis: 'term' });
+  assert.deepEqual(grid.columns, [10, 15, 20, 25, 30, 40]);
+  near(grid.cells[1][4], 1199.10, 0.005, '6% over 30 years');
+  near(grid.cells[2][1], amortizingPayment(200000, monthlyRateFor(7), 180), 1e-9, '7% over 15 years');
+  assert.equal(grid.cells[1][4], analyzeScenario(thirtyYear, context).monthlyPayment, 'same path as the comparison');
+  // Payments rise with the rate and fall with the term
+  assert.ok(grid.cells.every((row, r) => r === 0 || row.every((value, c) => value > grid.cells[r - 1][c])));
+  assert.ok(grid.cells.every(row => row.every((value, c) => c === 0 || value < row[c - 1])));
+});
+
+test('down payment columns change the loan amount, and invalid combinations are left blank', () => {
+  const byDown = sensitivityGrid(thirtyYear, context, { metric: 'totalInterest', rates: [6], axis: 'downPayment' });
+  near(byDown.cells[0][3], analyzeScenario({ ...thirtyYear, specialDown: 10 }, context).totalInterest, 1e-6, '10% down');
+  assert.ok(byDown.cells[0][3] < byDown.cells[0][0]);
+
+  const balloon = { ...thirtyYear, loanType: 'balloon', balloonYears: 15 };
+  const byTerm = sensitivityGrid(balloon, context, { metric: 'monthlyPayment', rates: [6], axis: 'term' });
+  assert.deepEqual(byTerm.cells[0].slice(0, 2), [null, null], 'terms no longer than the balloon period');
+  assert.ok(byTerm.cells[0][2] > 0);
+});
+
+test('the tornado ranks inputs by how far they move total cost', () => {
+  const { base, rows } = tornado({ ...thirtyYear, points: 1 }, context);
+  near(base, analyzeScenario({ ...thirtyYear, points: 1 }, context).totalCost, 1e-9, 'base total cost');
+  assert.deepEqual(rows.map(row => row.swing), [...rows.map(row => row.swing)].sort((a, b) => b - a));
+
+  const byInput = Object.fromEntries(rows.map(row => [row.input, row]));
+  assert.deepEqual([byInput.rate.low, byInput.rate.high], [5, 7]);
+  assert.ok(byInput.rate.lowChange < 0 && byInput.rate.highChange > 0);
+  assert.ok(byInput.downPayment.lowChange === 0, 'no lower down payment than 0%');
+  assert.ok(byInput.downPayment.highChange < 0, 'more down means less borrowed');
+  near(byInput.closingCosts.highChange, 2000, 1e-6, 'closing costs add dollar for dollar');
+  near(byInput.points.lowChange, -2000, 1e-6, 'one point on $200,000');
+});
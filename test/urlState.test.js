@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeState, decodeState } from '../src/urlState.js';
+import { STATE_VERSION } from '../src/analyzerState.js';
+import { armProducts } from '../src/mortgageMath.js';
+
+const views = ['overview', 'payments', 'equity'];
+
+const scenarios = [
+  { id: 1, name: '30-Yr Standard', term: 30, rate: 6.3, accelerated: false, targetYears: null, color: '#3b82f6' },
+  { id: 2, name: '50-Yr (Paid in 30)', term: 50, rate: 6.8, accelerated: true, targetYears: 30, color: '#f59e0b', specialDown: 3.5 },
+  { id: 3, name: '5/1 ARM', term: 30, rate: 5.75, accelerated: false, targetYears: null, color: '#6366f1', loanType: 'arm', arm: { ...armProducts['5/1'], margin: 2.75, floor: null, index: { path: 'flat', start: 4.3, step: 0.25, custom: [] } } },
+  { id: 4, name: 'Extra + points ✓', term: 30, rate: 5.925, accelerated: false, targetYears: null, color: '#0891b2', points: 1.5, extraPayments: { monthlyAmount: 200, startMonth: 1, endMonth: null, annualAmount: 0, annualMonth: 3, lumpSums: [{ month: 24, amount: 5000 }], biweekly: false } }
+];
+
+const defaults = {
+  housePrice: 200000,
+  downPaymentPercent: 5,
+  propertyTaxMode: 'rate',
+  propertyTaxRate: 1.2,
+  propertyTaxAmount: 2400,
+  homeInsurance: 1500,
+  hoaDues: 0,
+  escalationRate: 0,
+  pmiRate: 0.5,
+  pmiCancelAtRequest: false,
+  selectedView: 'overview',
+  scenarios,
+  activeScenarios: [1, 2],
+  baselineId: null,
+  firstPaymentMonth: '2026-11',
+  paymentDay: 1,
+  scheduleMode: 'exact',
+  discountRate: 4,
+  inflationRate: 2.5,
+  investmentReturn: 6,
+  realDollars: false,
+  appreciationRate: 3,
+  appreciationPath: '',
+  sellingCostPercent: 6,
+  saleYear: 7
+};
+
+// Build a link from a raw payload, as an older or hand-edited link might carry
+const linkFor = (payload, version = STATE_VERSION) =>
+  `#v=${version}&s=${Buffer.from(JSON.stringify(payload)).toString('base64url')}`;
+
+test('state round-trips through the link, including custom scenarios', () => {
+  const state = {
+    ...defaults,
+    housePrice: 435000,
+    propertyTaxMode: 'amount',
+    realDollars: true,
+    selectedView: 'equity',
+    appreciationPath: '5, -10, 2',
+    activeScenarios: [3, 4]
+  };
+  const hash = `#${encodeState(state)}`;
+  assert.match(hash, /^#v=1&s=[A-Za-z0-9_-]+$/, 'URL safe');
+  assert.deepEqual(decodeState(hash, defaults, views), { state, rejected: [] });
+});
+
+test('a page without shared state opens the defaults quietly', () => {
+  assert.deepEqual(decodeState('', defaults, views), { state: defaults, rejected: [] });
+  assert.deepEqual(decodeState('#section', defaults, views), { state: defaults, rejected: [] });
+});
+
+test('unreadable links and unknown versions fall back to the defaults', () => {
+  for (const hash of ['#v=1&s=%%%', '#v=1&s=bm90IGpzb24', linkFor([1, 2]), linkFor({ housePrice: 1 }, 99), linkFor({ housePrice: 1 }, 0)]) {
+    assert.deepEqual(decodeState(hash, defaults, views), { state: defaults, rejected: ['link'] }, hash);
+  }
+});
+
+test('invalid settings are reset one by one and reported', () => {
+  const { state, rejected } = decodeState(linkFor({
+    housePrice: 'a lot',
+    downPaymentPercent: 12,
+    propertyTaxMode: 'guess',
+    saleYear: 7.5,
+    firstPaymentMonth: '2026-13',
+    paymentDay: 32,
+    scheduleMode: 'bank',
+    selectedView: 'nope',
+    realDollars: 1
+  }), defaults, views);
+  assert.equal(state.downPaymentPercent, 12);
+  assert.equal(state.housePrice, 200000);
+  assert.equal(state.saleYear, 7);
+  assert.equal(state.selectedView, 'overview');
+  assert.deepEqual(rejected.sort(), ['firstPaymentMonth', 'housePrice', 'paymentDay', 'propertyTaxMode', 'realDollars', 'saleYear', 'scheduleMode', 'selectedView']);
+});
+
+test('scenarios are validated like the editor does, and any bad one drops the list', () => {
+  const bad = [
+    [{ ...scenarios[0], rate: 45 }],
+    [{ ...scenarios[0], term: '30' }],
+    [{ ...scenarios[1], targetYears: 60 }],
+    [scenarios[0], { ...scenarios[1], id: 1 }],
+    [scenarios[0], { ...scenarios[1], name: '30-yr standard' }],
+    [{ ...scenarios[2], arm: { ...scenarios[2].arm, index: null } }],
+    [{ ...scenarios[0], color: 'red' }],
+    [{ ...scenarios[0], loanType: 'balloon', balloonYears: 30 }],
+    [{ ...scenarios[0], loanType: 'interest-only', interestOnlyYears: 2.5 }],
+    [{ ...scenarios[0], loanType: 'interest-only', interestOnlyYears: 10, accelerated: true, targetYears: 20 }],
+    [{ ...scenarios[0], program: 'jumbo' }],
+    [{ ...scenarios[0], program: 'toString' }],
+    [{ ...scenarios[0], program: 'fha', specialDown: 3 }],
+    [{ ...scenarios[0], program: 'fha' }],
+    [{ ...scenarios[0], program: 'fha', loanType: 'balloon', balloonYears: 7 }],
+    [{ ...scenarios[0], compounding: 'quarterly' }],
+    [{ ...scenarios[0], compounding: 'constructor' }],
+    []
+  ];
+  bad.forEach(list => {
+    const { state, rejected } = decodeState(linkFor({ scenarios: list, activeScenarios: [1] }), defaults, views);
+    assert.equal(state.scenarios, scenarios, JSON.stringify(list));
+    assert.deepEqual(rejected, ['scenarios']);
+  });
+});
+
+test('interest-only and balloon scenarios keep their loan type', () => {
+  const list = [
+    { id: 1, name: 'IO', term: 30, rate: 6.6, accelerated: false, targetYears: null, color: '#be123c', loanType: 'interest-only', interestOnlyYears: 10 },
+    { id: 2, name: 'Balloon', term: 30, rate: 5.9, accelerated: false, targetYears: null, color: '#a16207', loanType: 'balloon', balloonYears: 7 }
+  ];
+  const { state, rejected } = decodeState(linkFor({ scenarios: list, activeScenarios: [1, 2] }), defaults, views);
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(state.scenarios, list);
+});
+
+test('program scenarios keep their program and VA options', () => {
+  const list = [
+    { id: 1, name: 'FHA', term: 30, rate: 6, accelerated: false, targetYears: null, color: '#14b8a6', specialDown: 3.5, program: 'fha' },
+    { id: 2, name: 'VA', term: 30, rate: 5.9, accelerated: false, targetYears: null, color: '#1d4ed8', specialDown: 0, program: 'va', vaSubsequentUse: true }
+  ];
+  const { state, rejected } = decodeState(linkFor({ scenarios: list, activeScenarios: [1, 2] }), defaults, views);
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(state.scenarios, list);
+});
+
+test('scenarios keep their interest convention, and monthly is left implicit', () => {
+  const list = [
+    { id: 1, name: 'Canadian', term: 25, rate: 5.5, accelerated: false, targetYears: null, color: '#dc2626', compounding: 'semi-annual' },
+    { id: 2, name: 'Daily', term: 30, rate: 6, accelerated: false, targetYears: null, color: '#0ea5e9', compounding: 'actual-365' }
+  ];
+  const { state, rejected } = decodeState(linkFor({ scenarios: [...list, { ...scenarios[0], id: 3, compounding: 'monthly' }], activeScenarios: [1, 2] }), defaults, views);
+  assert.deepEqual(rejected, []);
+  assert.deepEqual(state.scenarios.slice(0, 2), list);
+  assert.equal('compounding' in state.scenarios[2], false);
+});
+
+test('unknown scenario fields are dropped', () => {
+  const { state } = decodeState(linkFor({ scenarios: [{ ...scenarios[0], id: 7, script: '<b>' }] }), defaults, views);
+  assert.deepEqual(state.scenarios, [{ ...scenarios[0], id: 7 }]);
+});
+
+test('active scenarios only keep ids that exist, with a fallback when none do', () => {
+  assert.deepEqual(decodeState(linkFor({ activeScenarios: [4, 4, 9, 2] }), defaults, views).state.activeScenarios, [4, 2]);
+
+  const { state, rejected } = decodeState(linkFor({ activeScenarios: [9] }), defaults, views);
+  assert.deepEqual(state.activeScenarios, [1, 2]);
+  assert.deepEqual(rejected, ['activeScenarios']);
+
+  // The shared list replaces the defaults, so the default selection no longer exists
+  const shared = decodeState(linkFor({ scenarios: [{ ...scenarios[0], id: 7 }] }), defaults, views);
+  assert.deepEqual(shared.state.activeScenarios, [7]);
+});
+
+test('the baseline must be one of the scenarios, and is unpinned when it is not', () => {
+  assert.equal(decodeState(linkFor({ baselineId: 3 }), defaults, views).state.baselineId, 3);
+  assert.equal(decodeState(linkFor({ baselineId: null }), { ...defaults, baselineId: 2 }, views).state.baselineId, null);
+
+  const { state, rejected } = decodeState(linkFor({ baselineId: 9 }), defaults, views);
+  assert.equal(state.baselineId, null);
+  assert.deepEqual(rejected, ['baselineId']);
+
+  // A baseline left over from the defaults goes when the shared list replaces them
+  const shared = decodeState(linkFor({ scenarios: [{ ...scenarios[0], id: 7 }] }), { ...defaults, baselineId: 2 }, views);
+  assert.equal(shared.state.baselineId, null);
+});
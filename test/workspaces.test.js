@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  WORKSPACE_FORMAT, uniqueName, createWorkspace, mergeWorkspaces, serializeWorkspaces, parseWorkspaces,
+  loadStoredWorkspaces, storeWorkspaces
+} from '../src/workspaces.js';
+import { STATE_VERSION } from '../src/analyzerState.js';
+
+const views = ['overview', 'payments', 'equity'];
+
+const scenarios = [
+  { id: 1, name: '30-Yr Standard', term: 30, rate: 6.3, accelerated: false, targetYears: null, color: '#3b82f6' },
+  { id: 2, name: '20-Yr Standard', term: 20, rate: 6, accelerated: false, targetYears: null, color: '#10b981' }
+];
+
+const defaults = {
+  housePrice: 200000,
+  downPaymentPercent: 5,
+  propertyTaxMode: 'rate',
+  propertyTaxRate: 1.2,
+  propertyTaxAmount: 2400,
+  homeInsurance: 1500,
+  hoaDues: 0,
+  escalationRate: 0,
+  pmiRate: 0.5,
+  pmiCancelAtRequest: false,
+  selectedView: 'overview',
+  scenarios,
+  activeScenarios: [1, 2],
+  baselineId: null,
+  firstPaymentMonth: '2026-11',
+  paymentDay: 1,
+  scheduleMode: 'exact',
+  discountRate: 4,
+  inflationRate: 2.5,
+  investmentReturn: 6,
+  realDollars: false,
+  appreciationRate: 3,
+  appreciationPath: '',
+  sellingCostPercent: 6,
+  saleYear: 7
+};
+
+const fileWith = (workspaces, version = STATE_VERSION) => JSON.stringify({ format: WORKSPACE_FORMAT, version, workspaces });
+
+// In-memory stand-in for window.localStorage
+const memoryStorage = () => {
+  const items = {};
+  return {
+    getItem: (key) => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+};
+
+test('workspaces round-trip through the JSON file format', () => {
+  const workspaces = [
+    createWorkspace('Smith, 12 Oak St', { ...defaults, housePrice: 350000, selectedView: 'equity', showEditor: true }, '2026-10-01T12:00:00.000Z'),
+    createWorkspace('Jones', { ...defaults, activeScenarios: [2] }, '2026-10-02T12:00:00.000Z')
+  ];
+  assert.equal('showEditor' in workspaces[0].state, false, 'only the saved settings are kept');
+
+  const text = serializeWorkspaces(workspaces);
+  const file = JSON.parse(text);
+  assert.equal(file.format, WORKSPACE_FORMAT);
+  assert.equal(file.version, STATE_VERSION);
+  assert.deepEqual(parseWorkspaces(text, defaults, views), { workspaces, problems: [] });
+});
+
+test('a file another tool writes can leave out everything but the scenarios', () => {
+  const { workspaces, problems } = parseWorkspaces(fileWith([{
+    name: '  Generated  ',
+    state: { scenarios: [{ id: 5, name: '15-Yr', term: 15, rate: 5.5, color: '#123456' }] }
+  }]), defaults, views);
+  assert.deepEqual(problems, []);
+  assert.equal(workspaces[0].name, 'Generated');
+  assert.equal(workspaces[0].savedAt, null);
+  assert.deepEqual(workspaces[0].state.scenarios, [{ id: 5, name: '15-Yr', term: 15, rate: 5.5, accelerated: false, targetYears: null, color: '#123456' }]);
+  assert.deepEqual(workspaces[0].state.activeScenarios, [5]);
+  assert.equal(workspaces[0].state.housePrice, 200000);
+});
+
+test('files that are not workspace files are refused as a whole', () => {
+  const refused = ['not json', '[]', JSON.stringify({ workspaces: [] }), fileWith([], 99), fileWith([], 0)];
+  refused.forEach(text => {
+    const { workspaces, problems } = parseWorkspaces(text, defaults, views);
+    assert.deepEqual(workspaces, []);
+    assert.equal(problems.length, 1, text);
+  });
+  assert.match(parseWorkspaces(fileWith([], 99), defaults, views).problems[0], /version 99 is not supported/);
+});
+
+test('bad workspaces are skipped and bad settings reset, each with a message', () => {
+  const { workspaces, problems } = parseWorkspaces(fileWith([
+    { name: '', state: {} },
+    { name: 'No state' },
+    null,
+    { name: 'Typo', state: { housePrice: -5, saleYear: 3 } },
+    { name: 'typo', state: {} }
+  ]), defaults, views);
+  assert.deepEqual(workspaces.map(w => w.name), ['Typo', 'typo (2)']);
+  assert.equal(workspaces[0].state.housePrice, 200000);
+  assert.equal(workspaces[0].state.saleYear, 3);
+  assert.deepEqual(problems, [
+    'Workspace 1 was skipped: it needs a name and a state object.',
+    'Workspace 2 was skipped: it needs a name and a state object.',
+    'Workspace 3 was skipped: it needs a name and a state object.',
+    'Typo: housePrice reset to defaults.'
+  ]);
+});
+
+test('imported workspaces are renamed rather than overwriting', () => {
+  assert.equal(uniqueName('Client', [{ name: 'client' }, { name: 'Client (2)' }]), 'Client (3)');
+  const existing = [{ name: 'Client', state: defaults }];
+  const merged = mergeWorkspaces(existing, [{ name: 'Client', state: defaults }, { name: 'Client', state: defaults }, { name: 'Other', state: defaults }]);
+  assert.deepEqual(merged.map(w => w.name), ['Client', 'Client (2)', 'Client (3)', 'Other']);
+});
+
+test('workspaces survive a save and load through storage', () => {
+  const storage = memoryStorage();
+  assert.deepEqual(loadStoredWorkspaces(storage, defaults, views), []);
+  const workspaces = [createWorkspace('Kept', { ...defaults, hoaDues: 250 }, '2026-10-03T08:00:00.000Z')];
+  assert.equal(storeWorkspaces(storage, workspaces), true);
+  assert.deepEqual(loadStoredWorkspaces(storage, defaults, views), workspaces);
+});
+
+test('unavailable or full storage is reported without throwing', () => {
+  const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('quota'); } };
+  assert.deepEqual(loadStoredWorkspaces(broken, defaults, views), []);
+  assert.equal(storeWorkspaces(broken, []), false);
+  assert.deepEqual(loadStoredWorkspaces(null, defaults, views), []);
+  assert.equal(storeWorkspaces(null, []), false);
+});